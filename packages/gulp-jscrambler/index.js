@@ -53,7 +53,18 @@ module.exports = function (options) {
       self.push(file);
     };
 
-    jscramblerOp.call(jScrambler, options, dest).then(function (protectionId) {
+    // re-emit the protection lifecycle events (`protectionCreated`, `stateChanged`, ...) on the stream
+    var onEvent = options.onEvent;
+    var opOptions = Object.assign({}, options, {
+      onEvent: function (event) {
+        self.emit(event.type, event);
+        if (onEvent) {
+          onEvent(event);
+        }
+      }
+    });
+
+    jscramblerOp.call(jScrambler, opOptions, dest).then(function (protectionId) {
       self.emit('protectionId', protectionId);
       done(null);
     }).catch(function (error) {
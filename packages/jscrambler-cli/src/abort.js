@@ -0,0 +1,84 @@
+import {EventEmitter} from 'events';
+
+import {AbortError} from './errors';
+
+// `signal` can be an `AbortSignal` or any object with an `aborted` flag and
+// `addEventListener`/`removeEventListener` methods for the `abort` event.
+
+/**
+ * @param {?AbortSignal} signal
+ * @throws {AbortError} if `signal` was aborted
+ */
+export function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new AbortError();
+  }
+}
+
+/**
+ * Call `listener` once when `signal` is aborted.
+ * @param {?AbortSignal} signal
+ * @param {function} listener
+ * @returns {function} removes the listener
+ */
+export function onAbort(signal, listener) {
+  if (!signal) {
+    return () => {};
+  }
+  const handler = () => {
+    signal.removeEventListener('abort', handler);
+    listener();
+  };
+  signal.addEventListener('abort', handler);
+  return () => signal.removeEventListener('abort', handler);
+}
+
+/**
+ * Resolve after `ms` milliseconds, or reject as soon as `signal` is aborted.
+ * @param {number} ms
+ * @param {?AbortSignal} [signal]
+ * @returns {Promise}
+ */
+export function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+
+    let removeListener;
+    const timeout = setTimeout(() => {
+      removeListener();
+      resolve();
+    }, ms);
+    removeListener = onAbort(signal, () => {
+      clearTimeout(timeout);
+      reject(new AbortError());
+    });
+  });
+}
+
+/**
+ * `AbortController` is only global since node 15, older versions get a minimal
+ * replacement that is enough for this package.
+ * @returns {{signal: AbortSignal, abort: function}}
+ */
+export function createAbortController() {
+  if (typeof AbortController === 'function') {
+    return new AbortController();
+  }
+
+  const emitter = new EventEmitter();
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => emitter.on(type, listener),
+    removeEventListener: (type, listener) =>
+      emitter.removeListener(type, listener)
+  };
+  return {
+    signal,
+    abort() {
+      if (!signal.aborted) {
+        signal.aborted = true;
+        emitter.emit('abort');
+      }
+    }
+  };
+}
@@ -9,12 +9,24 @@ import filesizeParser from 'filesize-parser';
 import _config from '../config';
 import jscrambler from '../';
 import {mergeAndParseParams} from '../cli';
+import apps from '../commands/apps';
+import templates from '../commands/templates';
+import protections from '../commands/protections';
+import cache from '../commands/cache';
+import symbolicate from '../commands/symbolicate';
+import symbols from '../commands/symbols';
+import profile from '../commands/profile';
+import profiling from '../commands/profiling';
+import {createProgressIndicator, printJSON} from '../commands/output';
+import {errorFormats, formatErrors} from '../commands/error-formats';
+import {createAbortController} from '../abort';
+import {createLogger, stderrSink} from '../logger';
+import {exitCodes, getExitCode} from '../exit-codes';
 
-const debug = !!process.env.DEBUG;
 const validateBool = option => val => {
   if (!/^(true|false)$/i.test(val)) {
     console.error(`*${option}* requires a <bool> value.`);
-    process.exit(1);
+    process.exit(exitCodes.CONFIGURATION_ERROR);
   }
   return val.toLowerCase();
 };
@@ -27,11 +39,37 @@ const validateCodeHardeningThreshold = val => {
     console.error(
       '*code-hardening-threshold* requires a valid <threshold> value. Format: {number}{unit="b,kb,mb"}. Example: --code-hardening-threshold 200kb'
     );
-    process.exit(1);
+    process.exit(exitCodes.CONFIGURATION_ERROR);
   }
   return inBytes;
 };
 
+const validateErrorFormat = format => {
+  const normalizedFormat = format.toLowerCase();
+
+  if (!errorFormats.includes(normalizedFormat)) {
+    console.error(
+      `*error-format* requires one of the following formats: {${errorFormats.toString()}}. Example: --error-format sarif`
+    );
+    process.exit(exitCodes.CONFIGURATION_ERROR);
+  }
+
+  return normalizedFormat;
+};
+
+const validateMaxWarnings = val => {
+  const count = Number(val);
+
+  if (!/^\d+$/.test(String(val)) || isNaN(count)) {
+    console.error(
+      '*max-warnings* requires a positive integer value. Example: --max-warnings 10'
+    );
+    process.exit(exitCodes.CONFIGURATION_ERROR);
+  }
+
+  return count;
+};
+
 const validateProfilingDataMode = mode => {
   const availableModes = ['automatic', 'annotations', 'off'];
 
@@ -41,7 +79,7 @@ const validateProfilingDataMode = mode => {
     console.error(
       `*profiling-data-mode* requires one of the following modes: {${availableModes.toString()}}. Example: --profiling-data-mode ${availableModes[0]}`
     );
-    process.exit(1);
+    process.exit(exitCodes.CONFIGURATION_ERROR);
   }
 
   return normalizedMode;
@@ -110,10 +148,173 @@ commander
     '(version 6.3 and above) Protection should use symbol table when protecting. (default: no file)'
   )
   .option('--output-symbol-table <id>', '(version 6.3 and above) Download output symbol table (json)')
+  .option(
+    '--symbol-table-store <dir>',
+    '(version 6.3 and above) Use the symbol table stored for the application as input and store the new one afterwards'
+  )
   .option('--jscramblerVersion <version>', 'Use a specific Jscrambler version')
   .option('--debugMode', 'Protect in debug mode')
   .option('--skip-sources', 'Prevent source files from being updated')
-  .parse(process.argv);
+  .option('--incremental-sources', 'Only upload the source files that changed, keeping the previous ones if it fails')
+  .option('--retries <count>', 'Number of times a failed request is retried (default: 3)')
+  .option('--timeout <seconds>', 'Fail if the protection does not finish in time (default: no timeout)')
+  .option('--no-progress', 'Do not show the protection progress')
+  .option('-q, --quiet', 'Only print errors')
+  .option('-v, --verbose', 'Print debug information')
+  .option('--trace <file>', 'Record the requests and responses (redacted) into a HAR file')
+  .option('--cache', 'Reuse the result of a previous protection of the same sources and options')
+  .option('--manifest <file>', 'Write a JSON manifest of the protected files with their hashes and SRI values')
+  .option('--max-growth <ratio>', 'Fail if the protected files grow more than <ratio> times in total (e.g. 2.5)')
+  .option('--max-file-size <size>', 'Fail if a protected file is larger than <size>. Format: {value}{unit="b,kb,mb"}. Example: 500kb')
+  .option('--max-file-growth <ratio>', 'Fail if a protected file grows more than <ratio> times')
+  .option('--size-budget-warn', 'Only warn when the size budget is exceeded')
+  .option('--report <file>', 'Write a report of the protection (HTML if <file> ends with .html, JSON otherwise)')
+  .option(
+    '--error-format <format>',
+    'Print the source errors to stdout as sarif, junit, checkstyle or github annotations',
+    validateErrorFormat
+  )
+  .option(
+    '--max-warnings <count>',
+    'Fail if there are more than <count> non-fatal source errors (with --werror false)',
+    validateMaxWarnings
+  )
+  .option('--compose-source-maps', 'Compose the Jscrambler source maps with the source maps of the input files')
+  .option(
+    '--source-maps-content <bool>',
+    'Include the original sources in the composed source maps (default: true)',
+    validateBool('source-maps-content')
+  )
+  .option(
+    '--source-mapping-url <mode>',
+    'sourceMappingURL of the protected files with composed source maps: keep, hidden or a URL prefix (default: keep)'
+  )
+  .option('--json', 'Print a JSON document with the command results to stdout');
+
+let subcommand;
+// Files given to a subcommand that uploads sources
+let subcommandFiles;
+
+commander
+  .command('apps <action> [args...]')
+  .description(
+    'Manage applications. Actions: list, show [id], create <name>, duplicate [id], remove <id>, unlock [id]'
+  )
+  .action((action, args) => {
+    subcommand = options => apps(action, args, options);
+  });
+
+commander
+  .command('templates <action> [args...]')
+  .description(
+    'Manage templates. Actions: list, create <file>, update <id> <file>, remove <id>, apply <id> [applicationId], sync <dir>'
+  )
+  .option('--prune', '(sync) Remove templates without a local definition')
+  .option('--dry-run', '(sync) Print the changes without applying them')
+  .action((action, args, cmd) => {
+    subcommand = options =>
+      templates(action, args, {
+        ...options,
+        prune: cmd.prune,
+        dryRun: cmd.dryRun
+      });
+  });
+
+commander
+  .command('protections <action> [args...]')
+  .description(
+    'Manage the protections of an application (-i). Actions: list, show <id>, cancel <id>, remove <id>, download <id>'
+  )
+  .option('--sort <field>', '(list) Sort protections by field')
+  .option('--order <order>', '(list) Sort order (asc or desc)')
+  .option('--page <page>', '(list) Page number')
+  .option('--limit <limit>', '(list) Number of protections per page')
+  .action((action, args, cmd) => {
+    subcommand = options =>
+      protections(action, args, {
+        ...options,
+        sort: cmd.sort,
+        order: cmd.order,
+        page: cmd.page,
+        limit: cmd.limit
+      });
+  });
+
+commander
+  .command('cache <action>')
+  .description('Manage the local protection cache. Actions: ls, clean')
+  .action(action => {
+    subcommand = options => cache(action, [], options);
+  });
+
+commander
+  .command('symbolicate [file]')
+  .description(
+    'Map a stack trace of protected code (from [file] or stdin) back to the original sources'
+  )
+  .option('--protection <id>', 'Use the source maps of a protection, downloaded and cached the first time')
+  .option('--maps <dir>', 'Use the source maps in a directory')
+  .action((file, cmd) => {
+    subcommand = options =>
+      symbolicate(file, {
+        ...options,
+        protectionId: cmd.protection,
+        maps: cmd.maps
+      });
+  });
+
+commander
+  .command('symbols <action> [args...]')
+  .description(
+    'Inspect symbol tables. Actions: lookup <name>, merge <file...>'
+  )
+  .option('--table <file>', '(lookup) Use a symbol table file instead of the one stored for the application')
+  .action((action, args, cmd) => {
+    subcommand = options =>
+      symbols(action, args, {
+        ...options,
+        table: cmd.table
+      });
+  });
+
+commander
+  .command('profiling <action>')
+  .description(
+    'Inspect the profiling run of an application (-i). Actions: status, delete'
+  )
+  .option('--expect-state <state>', '(status) Fail if the profiling run is not in <state> (e.g. READY)')
+  .action((action, cmd) => {
+    subcommand = options =>
+      profiling(action, [], {
+        ...options,
+        expectState: cmd.expectState
+      });
+  });
+
+commander
+  .command('profile [files...]')
+  .description(
+    'Instrument [files...], profile the instrumented application and protect it with the profiling data'
+  )
+  .option('--instrumented-dir <dir>', 'Where to write the instrumented files')
+  .option('--exercise <command>', 'Command exercising the instrumented application (default: wait for Enter)')
+  .action((files, cmd) => {
+    subcommandFiles = files;
+    subcommand = options =>
+      profile({
+        ...options,
+        instrumentedDir: cmd.instrumentedDir,
+        exercise: cmd.exercise,
+        protectOptions: getProtectOptions(),
+        signal: abortOnSignals(),
+        onProgress: label =>
+          showProgress ? createProgressIndicator(label) : undefined
+      });
+  });
+
+commander.parse(process.argv);
+
+const json = !!commander.json;
 
 let globSrc, filesSrc, config;
 
@@ -151,9 +352,73 @@ config.werror = commander.werror ? commander.werror !== 'false' : config.werror;
 config.jscramblerVersion =
   commander.jscramblerVersion || config.jscramblerVersion;
 config.inputSymbolTable = commander.inputSymbolTable || config.inputSymbolTable;
+config.symbolTableStore = commander.symbolTableStore || config.symbolTableStore;
 config.removeProfilingData = commander.removeProfilingData;
 config.skipSources = commander.skipSources;
+config.incrementalSources =
+  commander.incrementalSources || config.incrementalSources;
 config.debugMode = commander.debugMode || config.debugMode;
+config.trace = commander.trace || config.trace;
+config.cache = commander.cache || config.cache;
+config.manifest = commander.manifest || config.manifest;
+config.report = commander.report || config.report;
+
+if (commander.errorFormat) {
+  config.errorFormat = commander.errorFormat;
+} else {
+  config.errorFormat = config.errorFormat
+    ? validateErrorFormat(config.errorFormat)
+    : undefined;
+}
+
+if (typeof commander.maxWarnings !== 'undefined') {
+  config.maxWarnings = commander.maxWarnings;
+} else if (typeof config.maxWarnings !== 'undefined') {
+  config.maxWarnings = validateMaxWarnings(config.maxWarnings);
+}
+
+if (config.errorFormat) {
+  if (json) {
+    console.error('*error-format* and *json* can not be used together.');
+    process.exit(exitCodes.CONFIGURATION_ERROR);
+  }
+}
+
+const sizeBudgetOptions = {
+  maxGrowth: commander.maxGrowth,
+  maxFileSize: commander.maxFileSize,
+  maxFileGrowth: commander.maxFileGrowth,
+  warn: commander.sizeBudgetWarn
+};
+Object.keys(sizeBudgetOptions).forEach(option => {
+  if (sizeBudgetOptions[option] !== undefined) {
+    config.sizeBudget = {...config.sizeBudget, [option]: sizeBudgetOptions[option]};
+  }
+});
+
+const composeSourceMapsOptions = {
+  sourcesContent: commander.sourceMapsContent
+    ? commander.sourceMapsContent !== 'false'
+    : undefined,
+  sourceMappingURL: commander.sourceMappingUrl
+};
+if (commander.composeSourceMaps) {
+  config.composeSourceMaps = config.composeSourceMaps || true;
+}
+Object.keys(composeSourceMapsOptions).forEach(option => {
+  if (config.composeSourceMaps && composeSourceMapsOptions[option] !== undefined) {
+    config.composeSourceMaps = {
+      ...(typeof config.composeSourceMaps === 'object'
+        ? config.composeSourceMaps
+        : {}),
+      [option]: composeSourceMapsOptions[option]
+    };
+  }
+});
+if (config.composeSourceMaps && typeof config.sourceMaps === 'undefined') {
+  // Composing needs the Jscrambler source maps
+  config.sourceMaps = true;
+}
 
 // handle codeHardening = 0
 if (typeof commander.codeHardeningThreshold === 'undefined') {
@@ -180,15 +445,60 @@ if (commander.useAppClassification) {
   config.useAppClassification = commander.useAppClassification !== 'false';
 }
 
+if (typeof commander.retries !== 'undefined') {
+  const retries = parseInt(commander.retries, 10);
+  if (isNaN(retries) || retries < 0) {
+    console.error('*retries* requires a positive integer value.');
+    process.exit(exitCodes.CONFIGURATION_ERROR);
+  }
+  config.retry = {...config.retry, retries};
+}
+
+if (typeof commander.timeout !== 'undefined') {
+  const timeout = parseInt(commander.timeout, 10);
+  if (isNaN(timeout) || timeout < 0) {
+    console.error('*timeout* requires a positive integer value (seconds).');
+    process.exit(exitCodes.CONFIGURATION_ERROR);
+  }
+  config.polling = {...config.polling, timeout: timeout * 1000};
+}
+
+if (commander.quiet && commander.verbose) {
+  console.error('*quiet* and *verbose* can not be used together.');
+  process.exit(exitCodes.CONFIGURATION_ERROR);
+}
+
+if (commander.quiet || commander.verbose) {
+  config.logger = {
+    ...config.logger,
+    level: commander.quiet ? 'error' : 'debug'
+  };
+}
+
 if (config.jscramblerVersion && !/^(?:\d+\.\d+(?:-f)?|stable|latest)$/.test(config.jscramblerVersion)) {
   console.error(
     'The Jscrambler version must be in the form of $major.$minor or the words stable and latest. (e.g. 5.2, stable, latest)'
   );
-  process.exit(1);
+  process.exit(exitCodes.CONFIGURATION_ERROR);
 }
 
 config = defaults(config, _config);
 
+if (json || config.errorFormat) {
+  // Keep stdout for the JSON document or the source errors
+  config.logger = {sink: stderrSink, ...config.logger};
+}
+
+let logger;
+try {
+  logger = createLogger(config.logger);
+} catch (error) {
+  console.error(error.message);
+  process.exit(exitCodes.CONFIGURATION_ERROR);
+}
+const showProgress =
+  commander.progress && ['info', 'debug'].includes(logger.level);
+
 if (config.codeHardeningThreshold){
   config.codeHardeningThreshold = validateCodeHardeningThreshold(config.codeHardeningThreshold);
 }
@@ -197,10 +507,13 @@ if (config.profilingDataMode) {
   config.profilingDataMode = validateProfilingDataMode(config.profilingDataMode);
 }
 
-globSrc = config.filesSrc;
+// Subcommands don't upload sources, unless they take files
+globSrc = subcommand && !subcommandFiles ? undefined : config.filesSrc;
 // If src paths have been provided
-if (commander.args.length > 0) {
+if (!subcommand && commander.args.length > 0) {
   globSrc = commander.args;
+} else if (subcommandFiles && subcommandFiles.length > 0) {
+  globSrc = subcommandFiles;
 }
 
 if (globSrc && globSrc.length) {
@@ -215,7 +528,7 @@ if (globSrc && globSrc.length) {
       console.error(
         'Please provide either a zip file containing all your source files or use the minimatch syntax'
       );
-      process.exit(1);
+      process.exit(exitCodes.CONFIGURATION_ERROR);
     }
 
     const tmpGlob = glob.sync(globSrc[i], {
@@ -224,29 +537,28 @@ if (globSrc && globSrc.length) {
 
     if (config.werror && tmpGlob.length === 0) {
       console.error(`Pattern "${globSrc[i]}" doesn't match any files.`);
-      process.exit(1);
+      process.exit(exitCodes.CONFIGURATION_ERROR);
     }
 
-    if (debug) {
-      if (tmpGlob.length === 0) {
-        console.log(
-          `Pattern "${globSrc[i]}" doesn't match any files. Will be ignored.`
-        );
-      } else {
-        console.log(`Pattern "${globSrc[i]}" matched the following files:`);
-        tmpGlob.forEach(file => {
-          console.log(`    ${file}`);
-        });
-      }
+    if (tmpGlob.length === 0) {
+      logger.debug(
+        `Pattern "${globSrc[i]}" doesn't match any files. Will be ignored.`
+      );
+    } else {
+      logger.debug(
+        `Pattern "${globSrc[i]}" matched the following files:\n${tmpGlob
+          .map(file => `    ${file}`)
+          .join('\n')}`
+      );
     }
     filesSrc = filesSrc.concat(tmpGlob);
   }
   if (filesSrc.length === 0) {
     console.error('No files matched.');
-    process.exit(1);
+    process.exit(exitCodes.CONFIGURATION_ERROR);
   }
-} else if (debug) {
-  console.log(
+} else if (!subcommand || subcommandFiles) {
+  logger.debug(
     'No filesSrc provided. Using the ones in the application (if any).'
   );
 }
@@ -280,7 +592,11 @@ const {
   useAppClassification,
   removeProfilingData,
   skipSources,
-  inputSymbolTable
+  incrementalSources,
+  inputSymbolTable,
+  retry,
+  polling,
+  trace
 } = config;
 
 const params = mergeAndParseParams(commander, config.params);
@@ -294,7 +610,7 @@ for (const incompatibleOption of incompatibleOptions) {
 }
 if (usedIncompatibleOptions.length > 1) {
   console.error('Using mutually exclusive options:', usedIncompatibleOptions);
-  process.exit(1);
+  process.exit(exitCodes.CONFIGURATION_ERROR);
 }
 
 const clientSettings = {
@@ -308,40 +624,140 @@ const clientSettings = {
   protocol,
   cafile,
   proxy,
-  jscramblerVersion
+  jscramblerVersion,
+  retry,
+  logger,
+  trace
 };
 
-if (commander.sourceMaps) {
+/**
+ * Print the source errors of a protection in the `--error-format`, if it got
+ * far enough to have them.
+ * @param {object} result
+ */
+function printErrors(result) {
+  if (config.errorFormat && result.sourcesErrors) {
+    process.stdout.write(`${formatErrors(config.errorFormat, result, cwd)}\n`);
+  }
+}
+
+function fail(error, output) {
+  if (json) {
+    printJSON({...output, error: error.message || String(error)});
+  }
+  console.error(logger.level === 'debug' ? error : error.message || error);
+  process.exit(getExitCode(error));
+}
+
+/**
+ * The first SIGINT/SIGTERM aborts the running operation, which cancels it on
+ * the server. A second one exits right away.
+ * @returns {AbortSignal}
+ */
+function abortOnSignals() {
+  const controller = createAbortController();
+  const onSignal = signal => {
+    if (controller.signal.aborted) {
+      process.exit(exitCodes.ABORTED);
+    }
+    console.error(`\nReceived ${signal}, canceling...`);
+    controller.abort();
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  return controller.signal;
+}
+
+/**
+ * The `protectAndDownload` options given by the command line and the
+ * configuration file.
+ * @returns {object}
+ */
+function getProtectOptions() {
+  const options = {
+    ...clientSettings,
+    applicationId,
+    filesSrc,
+    filesDest,
+    params,
+    applicationTypes,
+    languageSpecifications,
+    areSubscribersOrdered,
+    cwd,
+    sourceMaps,
+    randomizationSeed,
+    useRecommendedOrder,
+    tolerateMinification,
+    debugMode,
+    codeHardeningThreshold,
+    useProfilingData,
+    profilingDataMode,
+    browsers,
+    useAppClassification,
+    skipSources,
+    incrementalSources,
+    removeProfilingData,
+    inputSymbolTable,
+    polling,
+    cache: config.cache,
+    manifest: config.manifest,
+    sizeBudget: config.sizeBudget,
+    report: config.report,
+    maxWarnings: config.maxWarnings,
+    symbolTableStore: config.symbolTableStore,
+    composeSourceMaps: config.composeSourceMaps
+  };
+  if (typeof werror !== 'undefined') {
+    options.bail = werror;
+  }
+  return options;
+}
+
+if (subcommand) {
+  subcommand({
+    clientSettings,
+    applicationId,
+    filesDest,
+    json,
+    cache: config.cache,
+    symbolTableStore: config.symbolTableStore
+  }).catch(error => fail(error));
+} else if (commander.sourceMaps) {
   // Go, go, go download
   (async () => {
     try {
-      await jscrambler.downloadSourceMaps({
+      const files = await jscrambler.downloadSourceMaps({
         ...clientSettings,
         filesDest,
         filesSrc,
         protectionId: commander.sourceMaps
       });
+      if (json) {
+        printJSON({protectionId: commander.sourceMaps, files});
+      }
     } catch (error) {
-      console.error(debug ? error : error.message || error);
-      process.exit(1);
+      fail(error, {protectionId: commander.sourceMaps});
     }
   })();
 } else if (commander.outputSymbolTable) {
   // Go, go, go download
   (async () => {
     try {
-      await jscrambler.downloadSymbolTable({
+      const file = await jscrambler.downloadSymbolTable({
         ...clientSettings,
         filesDest,
         filesSrc,
         protectionId: commander.outputSymbolTable
       });
+      if (json) {
+        printJSON({protectionId: commander.outputSymbolTable, files: [file]});
+      }
     } catch (error) {
-      console.error(debug ? error : error.message || error);
-      process.exit(1);
+      fail(error, {protectionId: commander.outputSymbolTable});
     }
   })();
 } else if (commander.instrument) {
+  let result;
   jscrambler
     .instrumentAndDownload({
       ...clientSettings,
@@ -349,12 +765,23 @@ if (commander.sourceMaps) {
       filesSrc,
       filesDest,
       skipSources,
-      cwd
+      incrementalSources,
+      cwd,
+      polling,
+      signal: abortOnSignals(),
+      onProgress: showProgress
+        ? createProgressIndicator('Instrumentation')
+        : undefined,
+      onResult: r => {
+        result = r;
+      }
     })
-    .catch(error => {
-      console.error(debug ? error : error.message || error);
-      process.exit(1);
-    });
+    .then(() => {
+      if (json) {
+        printJSON(result);
+      }
+    })
+    .catch(error => fail(error, {applicationId}));
 } else if (commander.startProfiling) {
   jscrambler
     .setProfilingState(
@@ -366,10 +793,12 @@ if (commander.sourceMaps) {
       'STARTED',
       "Exercise your application and when you're finished run *--stop-profiling* command"
     )
-    .catch(error => {
-      console.error(debug ? error : error.message || error);
-      process.exit(1);
-    });
+    .then(previousState => {
+      if (json) {
+        printJSON({applicationId, state: 'RUNNING', previousState});
+      }
+    })
+    .catch(error => fail(error, {applicationId}));
 } else if (commander.stopProfiling) {
   jscrambler
     .setProfilingState(
@@ -381,45 +810,35 @@ if (commander.sourceMaps) {
       'STOPPED',
       'Protect your application with 2 extra arguments: *--profiling-data-mode automatic* and *--skip-sources*'
     )
-    .catch(error => {
-      console.error(debug ? error : error.message || error);
-      process.exit(1);
-    });
+    .then(previousState => {
+      if (json) {
+        printJSON({applicationId, state: 'READY', previousState});
+      }
+    })
+    .catch(error => fail(error, {applicationId}));
 } else {
   // Go, go, go
   (async () => {
+    let result = {applicationId};
     const protectAndDownloadOptions = {
-      ...clientSettings,
-      applicationId,
-      filesSrc,
-      filesDest,
-      params,
-      applicationTypes,
-      languageSpecifications,
-      areSubscribersOrdered,
-      cwd,
-      sourceMaps,
-      randomizationSeed,
-      useRecommendedOrder,
-      tolerateMinification,
-      debugMode,
-      codeHardeningThreshold,
-      useProfilingData,
-      profilingDataMode,
-      browsers,
-      useAppClassification,
-      skipSources,
-      removeProfilingData,
-      inputSymbolTable
+      ...getProtectOptions(),
+      signal: abortOnSignals(),
+      onProgress: showProgress
+        ? createProgressIndicator('Protection')
+        : undefined,
+      onResult: r => {
+        result = r;
+      }
     };
     try {
-      if (typeof werror !== 'undefined') {
-        protectAndDownloadOptions.bail = werror;
-      }
       await jscrambler.protectAndDownload(protectAndDownloadOptions);
+      printErrors(result);
+      if (json) {
+        printJSON(result);
+      }
     } catch (error) {
-      console.error(debug ? error : error.message || error);
-      process.exit(1);
+      printErrors(result);
+      fail(error, result);
     }
   })();
 }
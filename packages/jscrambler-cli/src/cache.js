@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import defaults from 'lodash.defaults';
+import filesizeParser from 'filesize-parser';
+import {outputFileSync, removeSync} from 'fs-extra';
+
+import {ConfigurationError} from './errors';
+
+// Each entry is a `<key>.zip` archive, as downloaded, next to a `<key>.json`
+// file with its metadata.
+
+const cacheDefaults = {
+  dir: path.join('node_modules', '.cache', 'jscrambler'),
+  maxSize: '500mb'
+};
+
+function sha256(data) {
+  return crypto
+    .createHash('sha256')
+    .update(data)
+    .digest('hex');
+}
+
+function getEntryPaths({dir}, key) {
+  return {
+    archive: path.join(dir, `${key}.zip`),
+    meta: path.join(dir, `${key}.json`)
+  };
+}
+
+/**
+ * Normalize the `cache` option. `true` uses the defaults, falsy values disable
+ * the cache.
+ * @param {boolean|{dir: ?string, maxSize: ?(number|string)}} cache
+ * @returns {?{dir: string, maxSize: number}}
+ */
+export function getCacheOptions(cache) {
+  if (!cache) {
+    return undefined;
+  }
+
+  const {dir, maxSize} = defaults(
+    {},
+    cache === true ? {} : cache,
+    cacheDefaults
+  );
+  let maxSizeBytes;
+  try {
+    maxSizeBytes =
+      typeof maxSize === 'number' ? maxSize : filesizeParser(maxSize);
+  } catch (e) {
+    maxSizeBytes = NaN;
+  }
+  if (isNaN(maxSizeBytes) || maxSizeBytes < 0) {
+    throw new ConfigurationError(
+      '*cache.maxSize* requires a size in bytes or in the {value}{unit="b,kb,mb"} format. Example: 200mb'
+    );
+  }
+
+  return {dir: path.resolve(dir), maxSize: maxSizeBytes};
+}
+
+/**
+ * Key of a protection. `zipped` sources are hashed file by file, so the key
+ * doesn't depend on zip timestamps or ordering.
+ * @param {JSZip} zipped
+ * @param {object} options everything else affecting the protection result
+ * @returns {Promise<string>}
+ */
+export async function getCacheKey(zipped, options) {
+  const names = Object.keys(zipped.files)
+    .filter(name => !zipped.files[name].dir)
+    .sort();
+  const files = [];
+  for (const name of names) {
+    files.push([name, sha256(await zipped.files[name].async('nodebuffer'))]);
+  }
+
+  return sha256(JSON.stringify({files, options}));
+}
+
+/**
+ * @param {{dir: string}} cache
+ * @returns {Array.<object>} entries metadata, most recently used first
+ */
+export function listCacheEntries(cache) {
+  if (!fs.existsSync(cache.dir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(cache.dir)
+    .filter(file => path.extname(file) === '.json')
+    .map(file => {
+      try {
+        return JSON.parse(
+          fs.readFileSync(path.join(cache.dir, file), 'utf-8')
+        );
+      } catch (e) {
+        return undefined;
+      }
+    })
+    .filter(entry => entry && entry.key)
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+}
+
+/**
+ * @param {{dir: string}} cache
+ * @param {string} key
+ */
+export function removeCacheEntry(cache, key) {
+  const {archive, meta} = getEntryPaths(cache, key);
+  removeSync(archive);
+  removeSync(meta);
+}
+
+/**
+ * Read an entry, marking it as used.
+ * @param {{dir: string}} cache
+ * @param {string} key
+ * @returns {?object} the entry metadata with the archive as `content`
+ */
+export function readCacheEntry(cache, key) {
+  const {archive, meta} = getEntryPaths(cache, key);
+  if (!fs.existsSync(archive) || !fs.existsSync(meta)) {
+    return undefined;
+  }
+
+  let entry;
+  try {
+    entry = JSON.parse(fs.readFileSync(meta, 'utf-8'));
+  } catch (e) {
+    removeCacheEntry(cache, key);
+    return undefined;
+  }
+  entry.lastUsedAt = Date.now();
+  outputFileSync(meta, JSON.stringify(entry));
+
+  return {...entry, content: fs.readFileSync(archive)};
+}
+
+/**
+ * Store an archive and evict the least recently used entries until the cache
+ * fits in `maxSize`.
+ * @param {{dir: string, maxSize: number}} cache
+ * @param {string} key
+ * @param {Buffer} content
+ * @param {object} info metadata stored with the archive
+ * @returns {boolean} `false` if the archive alone exceeds `maxSize`
+ */
+export function writeCacheEntry(cache, key, content, info) {
+  if (content.length > cache.maxSize) {
+    return false;
+  }
+
+  const {archive, meta} = getEntryPaths(cache, key);
+  const now = Date.now();
+  outputFileSync(archive, content);
+  outputFileSync(
+    meta,
+    JSON.stringify({
+      ...info,
+      key,
+      size: content.length,
+      createdAt: now,
+      lastUsedAt: now
+    })
+  );
+
+  let total = 0;
+  listCacheEntries(cache).forEach(entry => {
+    total += entry.size;
+    if (total > cache.maxSize) {
+      removeCacheEntry(cache, entry.key);
+    }
+  });
+
+  return true;
+}
+
+/**
+ * Remove every entry.
+ * @param {{dir: string}} cache
+ * @returns {Array.<object>} the removed entries metadata
+ */
+export function cleanCache(cache) {
+  const entries = listCacheEntries(cache);
+  entries.forEach(({key}) => removeCacheEntry(cache, key));
+  return entries;
+}
@@ -1,4 +1,11 @@
-export default function cleanupInputFields(args, fragments, options = {}) {
+import {createLogger} from './logger';
+
+export default function cleanupInputFields(
+  args,
+  fragments,
+  options = {},
+  logger = createLogger()
+) {
   let cleanedUpFragments = fragments;
 
   const dataArg = args.find(arg => arg.name === 'data');
@@ -14,7 +21,7 @@ export default function cleanupInputFields(args, fragments, options = {}) {
         ''
       );
 
-      console.warn(`This API Version does not support the ${field} argument.`);
+      logger.warn(`This API Version does not support the ${field} argument.`);
     }
   }
 
@@ -2,19 +2,80 @@ import defaults from 'lodash.defaults';
 import fs from 'fs';
 import keys from 'lodash.keys';
 import axios from 'axios';
+import crypto from 'crypto';
 import url from 'url';
 import https from 'https';
 
 import cfg from './config';
 import generateSignedParams from './generate-signed-params';
+import {createLogger} from './logger';
+import {getTrace} from './trace';
+import {onAbort, wait} from './abort';
+import {getRetryDelay} from './retry';
+import {
+  AbortError,
+  AuthenticationError,
+  ClientError,
+  ConfigurationError,
+  InvalidArchiveError,
+  NetworkError
+} from './errors';
+
+const retryDefaults = {
+  retries: 3,
+  minDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  retryNonIdempotent: false
+};
 
-const debug = !!process.env.DEBUG;
+// `Digest` header algorithms (RFC 3230) mapped into node crypto hashes
+const DIGEST_ALGORITHMS = {'sha-256': 'sha256', 'sha-512': 'sha512', md5: 'md5'};
 
-class ClientError extends Error {
-  constructor(message, statusCode) {
-    super(message);
-    this.statusCode = statusCode;
+/**
+ * Checksums of a response body sent in its `Digest` or `Content-MD5` headers.
+ * Unknown algorithms are ignored.
+ * @param {Object} headers
+ * @returns {Array.<{algorithm: String, value: String}>} base64 encoded values
+ */
+function getChecksums(headers = {}) {
+  const checksums = [];
+  if (headers.digest) {
+    headers.digest.split(',').forEach(digest => {
+      const separator = digest.indexOf('=');
+      const algorithm = DIGEST_ALGORITHMS[
+        digest.slice(0, separator).trim().toLowerCase()
+      ];
+      if (separator > 0 && algorithm) {
+        checksums.push({algorithm, value: digest.slice(separator + 1).trim()});
+      }
+    });
+  }
+  if (headers['content-md5']) {
+    checksums.push({algorithm: 'md5', value: headers['content-md5'].trim()});
   }
+  return checksums;
+}
+
+/**
+ * Check a downloaded file against the checksums sent by the API, if any.
+ * @param {Object} response axios response
+ * @param {String} path
+ * @throws {InvalidArchiveError}
+ */
+function verifyChecksums(response, path) {
+  const data = Buffer.from(response.data);
+  getChecksums(response.headers).forEach(({algorithm, value}) => {
+    const actual = crypto
+      .createHash(algorithm)
+      .update(data)
+      .digest('base64');
+    if (actual !== value) {
+      throw new InvalidArchiveError(
+        `Invalid archive: ${algorithm} checksum mismatch downloading ${path}`
+      );
+    }
+  });
 }
 
 /**
@@ -26,6 +87,12 @@ class ClientError extends Error {
  * @param {String} [options.port=443]
  * @param {String} [options.basePath]
  * @param {String} [options.clientId=0]
+ * @param {Object} [options.retry] Retry failed requests. Accepts `retries` (default 3),
+ *  `minDelay` (ms, default 1000), `maxDelay` (ms, default 30000), `factor` (default 2)
+ *  and `retryNonIdempotent` (default false)
+ * @param {AbortSignal} [options.signal] Abort pending requests (and retries) when signaled
+ * @param {Object} [options.logger] A logger or `{level, sink}` options (see `createLogger`)
+ * @param {String} [options.trace] Record every request and response (redacted) into this HAR file
  * @author José Magalhães (magalhas@gmail.com)
  * @license MIT <http://opensource.org/licenses/MIT>
  */
@@ -44,6 +111,15 @@ function JScramblerClient(options) {
    * @member
    */
   this.options = defaults(options || {}, cfg);
+  this.options.retry = defaults({}, this.options.retry, retryDefaults);
+  /**
+   * @member
+   */
+  this.logger = createLogger(this.options.logger);
+  /**
+   * @member
+   */
+  this.trace = this.options.trace ? getTrace(this.options.trace) : undefined;
 
   const {jscramblerVersion, clientId} = this.options;
 
@@ -90,10 +166,9 @@ JScramblerClient.prototype.request = function(
   params = {},
   isJSON = true
 ) {
-  let signedData;
   if (this.options.useHeaderAuth) {
     if (!this.token) {
-      throw new Error(
+      throw new ConfigurationError(
         'Generating auth token when useHeaderAuth === true is not yet supported. You need to set the jscramblerClient token property explicitly.'
       );
     }
@@ -102,11 +177,11 @@ JScramblerClient.prototype.request = function(
       params.token = this.token;
     } else {
       if (!this.options.keys.accessKey) {
-        throw new Error('Required *accessKey* not provided');
+        throw new AuthenticationError('Required *accessKey* not provided');
       }
 
       if (!this.options.keys.secretKey) {
-        throw new Error('Required *secretKey* not provided');
+        throw new AuthenticationError('Required *secretKey* not provided');
       }
     }
   }
@@ -118,19 +193,6 @@ JScramblerClient.prototype.request = function(
     }
   }
 
-  // If post sign data and set the request as multipart
-  if (this.options.keys.accessKey && this.options.keys.secretKey) {
-    signedData = generateSignedParams(
-      method,
-      path,
-      this.options.host,
-      this.options.keys,
-      params
-    );
-  } else {
-    signedData = params;
-  }
-
   let {protocol, port, proxy} = this.options;
 
   if (!port && !protocol) {
@@ -154,7 +216,6 @@ JScramblerClient.prototype.request = function(
       protocol
     });
 
-  let data;
   const settings = {};
 
   if (proxy) {
@@ -175,30 +236,123 @@ JScramblerClient.prototype.request = function(
 
 
 
-  let promise;
+  const {signal} = this.options;
+  let removeAbortListener = () => {};
 
-  if (method === 'GET' || method === 'DELETE') {
-    settings.params = signedData;
-    promise = this.axiosInstance[method.toLowerCase()](formatedUrl, settings);
-  } else {
-    data = signedData;
-    promise = this.axiosInstance[method.toLowerCase()](formatedUrl, data, settings);
+  if (signal) {
+    if (signal.aborted) {
+      return Promise.reject(new AbortError());
+    }
+    const source = axios.CancelToken.source();
+    settings.cancelToken = source.token;
+    removeAbortListener = onAbort(signal, () => source.cancel());
   }
 
-  return promise.then(res => {
+  const send = () => {
+    let signedData;
+    // Signed on every attempt so the timestamp is always fresh
+    if (this.options.keys.accessKey && this.options.keys.secretKey) {
+      signedData = generateSignedParams(
+        method,
+        path,
+        this.options.host,
+        this.options.keys,
+        params,
+        this.logger
+      );
+    } else {
+      signedData = params;
+    }
+
+    const startedAt = new Date();
+    let req;
+    if (method === 'GET' || method === 'DELETE') {
+      req = this.axiosInstance[method.toLowerCase()](formatedUrl, {
+        ...settings,
+        params: signedData
+      });
+    } else {
+      req = this.axiosInstance[method.toLowerCase()](
+        formatedUrl,
+        signedData,
+        settings
+      );
+    }
+
+    if (!this.trace) {
+      return req;
+    }
+    const record = (response, error) =>
+      this.trace.record({
+        startedAt,
+        method,
+        url: formatedUrl,
+        params: signedData,
+        response,
+        error
+      });
+    return req.then(
+      res => {
+        record(res);
+        return res;
+      },
+      err => {
+        record(err.response, err);
+        throw err;
+      }
+    );
+  };
+
+  const attempt = retries =>
+    send().catch(err => {
+      const delay = getRetryDelay(this.options.retry, method, err, retries);
+      if (delay === undefined) {
+        throw err;
+      }
+      this.logger.debug(
+        `Retrying ${method} ${path} in ${Math.round(delay)}ms (${err.message})`
+      );
+      return wait(delay, signal).then(() => attempt(retries + 1));
+    });
+
+  return attempt(0).then(res => {
+    removeAbortListener();
+    if (!isJSON) {
+      verifyChecksums(res, path);
+    }
     return res.data;
   }).catch(err => {
+    removeAbortListener();
+
+    if (axios.isCancel(err) || err instanceof AbortError) {
+      throw new AbortError();
+    }
+    if (err instanceof InvalidArchiveError) {
+      throw err;
+    }
+
     let errorMessage = 'Unexpected Response: ';
     let statusCode = 500;
+    let ErrorClass = NetworkError;
 
     if (err.response) {
-      if (debug) {
-        console.error(err.response);
-      }
+      const {status, statusText, headers, data} = err.response;
+      this.logger.debug(`Unexpected response to ${method} ${path}`, {
+        status,
+        statusText,
+        headers,
+        data
+      });
 
       errorMessage += `${err.response.status} ${err.response.statusText}`;
       statusCode = err.response.status;
 
+      if (statusCode === 401 || statusCode === 403) {
+        ErrorClass = AuthenticationError;
+      } else if (statusCode !== 429 && statusCode < 500) {
+        ErrorClass = ClientError;
+      }
+
       // For when we have API error messages
       if (
         err.response.data &&
@@ -218,7 +372,7 @@ JScramblerClient.prototype.request = function(
       errorMessage += err.message;
     }
 
-    throw new ClientError(errorMessage, statusCode);
+    throw new ErrorClass(errorMessage, statusCode);
   });
 };
 /**
@@ -0,0 +1,147 @@
+/* eslint-disable no-console */
+import jscrambler, {errorHandler} from '../';
+import {ConfigurationError} from '../errors';
+import {printDetails, printJSON, printTable} from './output';
+
+const applicationFragments = `
+  _id,
+  name,
+  createdAt,
+  protections
+`;
+
+const applicationColumns = [
+  {key: '_id', label: 'ID'},
+  {key: 'name', label: 'NAME'},
+  {key: 'createdAt', label: 'CREATED AT'},
+  {key: 'protections', label: 'PROTECTIONS'}
+];
+
+const sourceColumns = [
+  {key: '_id', label: 'SOURCE ID'},
+  {key: 'filename', label: 'FILENAME'},
+  {key: 'extension', label: 'EXTENSION'}
+];
+
+function requireId(id, action) {
+  if (!id) {
+    throw new ConfigurationError(
+      `Required *applicationId* not provided. Usage: jscrambler apps ${action} <id>`
+    );
+  }
+  return id;
+}
+
+const actions = {
+  async list(client, args, {json}) {
+    const res = errorHandler(
+      await jscrambler.getApplications(client, applicationFragments)
+    );
+    const {applications} = res.data;
+
+    if (json) {
+      printJSON(applications);
+    } else {
+      printTable(applications, applicationColumns);
+    }
+  },
+  async show(client, [id], {applicationId, json}) {
+    const res = errorHandler(
+      await jscrambler.getApplication(
+        client,
+        requireId(id || applicationId, 'show')
+      )
+    );
+    const {application} = res.data;
+
+    if (json) {
+      printJSON(application);
+    } else {
+      printDetails(application, applicationColumns.slice(0, 3));
+      if (application.sources && application.sources.length > 0) {
+        console.log('');
+        printTable(application.sources, sourceColumns);
+      }
+    }
+  },
+  async create(client, [name], {json}) {
+    if (!name) {
+      throw new ConfigurationError(
+        'Required *name* not provided. Usage: jscrambler apps create <name>'
+      );
+    }
+
+    const res = errorHandler(
+      await jscrambler.createApplication(client, {name})
+    );
+    const application = res.data.createApplication;
+
+    if (json) {
+      printJSON(application);
+    } else {
+      console.log(application._id);
+    }
+  },
+  async duplicate(client, [id], {applicationId, json}) {
+    const res = errorHandler(
+      await jscrambler.duplicateApplication(
+        client,
+        requireId(id || applicationId, 'duplicate')
+      )
+    );
+    const application = res.data.duplicateApplication;
+
+    if (json) {
+      printJSON(application);
+    } else {
+      console.log(application._id);
+    }
+  },
+  async remove(client, [id], {json}) {
+    const res = errorHandler(
+      await jscrambler.removeApplication(client, requireId(id, 'remove'))
+    );
+    const application = res.data.removeApplication;
+
+    if (json) {
+      printJSON(application);
+    } else {
+      console.log(`Application ${application._id} was removed.`);
+    }
+  },
+  async unlock(client, [id], {applicationId, json}) {
+    const res = errorHandler(
+      await jscrambler.unlockApplication(client, {
+        _id: requireId(id || applicationId, 'unlock')
+      })
+    );
+    const application = res.data.unlockApplication;
+
+    if (json) {
+      printJSON(application);
+    } else {
+      console.log(`Application ${application._id} was unlocked.`);
+    }
+  }
+};
+
+/**
+ * `jscrambler apps <action> [args...]`
+ * @param {string} action one of list, show, create, duplicate, remove or unlock
+ * @param {Array.<string>} args
+ * @param {{clientSettings: object, applicationId: ?string, json: ?boolean}} options
+ * @returns {Promise}
+ */
+export default async function apps(action, args, options) {
+  if (!actions.hasOwnProperty(action)) {
+    throw new ConfigurationError(
+      `Unknown apps command "${action}". Available commands: ${Object.keys(
+        actions
+      ).join(', ')}`
+    );
+  }
+
+  const client = new jscrambler.Client({...options.clientSettings});
+
+  return actions[action](client, args, options);
+}
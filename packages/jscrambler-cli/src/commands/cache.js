@@ -0,0 +1,70 @@
+/* eslint-disable no-console */
+import {cleanCache, getCacheOptions, listCacheEntries} from '../cache';
+import {ConfigurationError} from '../errors';
+import {printJSON, printTable} from './output';
+
+const entryColumns = [
+  {key: 'key', label: 'KEY'},
+  {key: 'protectionId', label: 'PROTECTION ID'},
+  {key: 'applicationId', label: 'APPLICATION ID'},
+  {key: 'size', label: 'SIZE'},
+  {key: 'lastUsed', label: 'LAST USED'}
+];
+
+function formatEntry(entry) {
+  return {
+    ...entry,
+    key: entry.key.slice(0, 12),
+    lastUsed: new Date(entry.lastUsedAt).toISOString()
+  };
+}
+
+function totalSize(entries) {
+  return entries.reduce((total, {size}) => total + size, 0);
+}
+
+const actions = {
+  ls(cache, {json}) {
+    const entries = listCacheEntries(cache);
+
+    if (json) {
+      printJSON({dir: cache.dir, maxSize: cache.maxSize, entries});
+    } else {
+      printTable(entries.map(formatEntry), entryColumns);
+      console.log(
+        `\n${entries.length} entries, ${totalSize(entries)} of ${cache.maxSize} bytes in ${cache.dir}`
+      );
+    }
+  },
+  clean(cache, {json}) {
+    const entries = cleanCache(cache);
+
+    if (json) {
+      printJSON({dir: cache.dir, removed: entries});
+    } else {
+      console.log(
+        `Removed ${entries.length} entries (${totalSize(entries)} bytes) from ${cache.dir}`
+      );
+    }
+  }
+};
+
+/**
+ * `jscrambler cache <action>`
+ * @param {string} action one of ls or clean
+ * @param {Array.<string>} args
+ * @param {{cache: ?(boolean|object), json: ?boolean}} options
+ * @returns {Promise}
+ */
+export default async function cache(action, args, options) {
+  if (!actions.hasOwnProperty(action)) {
+    throw new ConfigurationError(
+      `Unknown cache command "${action}". Available commands: ${Object.keys(
+        actions
+      ).join(', ')}`
+    );
+  }
+
+  // The cache doesn't need to be enabled to be inspected
+  return actions[action](getCacheOptions(options.cache || true), options);
+}
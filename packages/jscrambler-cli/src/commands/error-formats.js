@@ -0,0 +1,227 @@
+import path from 'path';
+
+const {version} = require('../../package.json');
+
+const RULE_ID = 'jscrambler/protection';
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Attribute values would have them normalized to spaces
+    .replace(/\r/g, '&#13;')
+    .replace(/\n/g, '&#10;');
+}
+
+// Workflow commands data and properties escaping, see
+// https://github.com/actions/toolkit/blob/main/packages/core/src/command.ts
+function escapeGithubData(value) {
+  return String(value)
+    .replace(/%/g, '%25')
+    .replace(/\r/g, '%0D')
+    .replace(/\n/g, '%0A');
+}
+
+function escapeGithubProperty(value) {
+  return escapeGithubData(value)
+    .replace(/:/g, '%3A')
+    .replace(/,/g, '%2C');
+}
+
+function toFile(filename, cwd) {
+  if (/^[a-z][a-z0-9+.-]+:/i.test(filename)) {
+    // Sources of a source map can be URLs (e.g. `webpack://`)
+    return filename;
+  }
+  return path
+    .relative(process.cwd(), path.resolve(cwd || '', filename))
+    .replace(/\\/g, '/');
+}
+
+/**
+ * Normalize the errors of a protection. Files are made relative to the current
+ * directory, so annotations point to the files in the repository. Lines are
+ * 1-based and columns 0-based (as reported by the parser), CI formats expect
+ * 1-based columns. Errors mapped through input source maps point to the
+ * original location, the protected file location is kept in the message.
+ * @param {{sourcesErrors: ?Array.<object>, errorMessage: ?string}} result
+ * @param {?string} cwd the directory the files were uploaded from
+ * @returns {Array.<{file: ?string, line: ?number, column: ?number, severity: string, message: string}>}
+ */
+function toProblems({sourcesErrors = [], errorMessage}, cwd) {
+  const problems = sourcesErrors.map(
+    ({filename, line, column, fatal, message, original}) => {
+      const location = original || {filename, line, column};
+      return {
+        file: location.filename ? toFile(location.filename, cwd) : null,
+        line: typeof location.line === 'number' ? location.line : null,
+        column:
+          typeof location.column === 'number' ? location.column + 1 : null,
+        severity: fatal === false ? 'warning' : 'error',
+        message: original
+          ? `${message} (in ${filename}:${line}:${column})`
+          : message
+      };
+    }
+  );
+
+  if (errorMessage) {
+    problems.unshift({
+      file: null,
+      line: null,
+      column: null,
+      severity: 'error',
+      message: errorMessage
+    });
+  }
+  return problems;
+}
+
+function toSarif(problems) {
+  return JSON.stringify(
+    {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: 'jscrambler',
+              version,
+              informationUri: 'https://jscrambler.com',
+              rules: [
+                {
+                  id: RULE_ID,
+                  shortDescription: {text: 'Jscrambler protection error'}
+                }
+              ]
+            }
+          },
+          results: problems.map(({file, line, column, severity, message}) => {
+            const result = {
+              ruleId: RULE_ID,
+              level: severity,
+              message: {text: message}
+            };
+            if (file) {
+              const physicalLocation = {artifactLocation: {uri: file}};
+              if (line) {
+                physicalLocation.region = {startLine: line};
+                if (column) {
+                  physicalLocation.region.startColumn = column;
+                }
+              }
+              result.locations = [{physicalLocation}];
+            }
+            return result;
+          })
+        }
+      ]
+    },
+    null,
+    2
+  );
+}
+
+function toJunit(problems) {
+  const testcases = problems.map(({file, line, column, severity, message}) => {
+    const location = [line, column].filter(Boolean).join(':');
+    const name = location ? `${location} ${message}` : message;
+    return [
+      `    <testcase classname="${escapeXml(file || 'protection')}" name="${escapeXml(name)}">`,
+      `      <failure type="${severity}" message="${escapeXml(message)}">${escapeXml(
+        `${file || 'protection'}${location ? `:${location}` : ''} ${message}`
+      )}</failure>`,
+      '    </testcase>'
+    ].join('\n');
+  });
+  if (testcases.length === 0) {
+    testcases.push('    <testcase classname="protection" name="protection"/>');
+  }
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<testsuites>',
+    `  <testsuite name="jscrambler" tests="${testcases.length}" failures="${problems.length}" errors="0">`,
+    ...testcases,
+    '  </testsuite>',
+    '</testsuites>'
+  ].join('\n');
+}
+
+function toCheckstyle(problems) {
+  const files = [];
+  problems.forEach(problem => {
+    const name = problem.file || 'protection';
+    let file = files.find(f => f.name === name);
+    if (!file) {
+      file = {name, problems: []};
+      files.push(file);
+    }
+    file.problems.push(problem);
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<checkstyle version="4.3">',
+    ...files.map(({name, problems: fileProblems}) =>
+      [
+        `  <file name="${escapeXml(name)}">`,
+        ...fileProblems.map(
+          ({line, column, severity, message}) =>
+            `    <error line="${line || 0}" column="${column ||
+              0}" severity="${severity}" message="${escapeXml(
+              message
+            )}" source="${RULE_ID}"/>`
+        ),
+        '  </file>'
+      ].join('\n')
+    ),
+    '</checkstyle>'
+  ].join('\n');
+}
+
+function toGithub(problems) {
+  return problems
+    .map(({file, line, column, severity, message}) => {
+      const properties = [['title', 'Jscrambler']];
+      if (file) {
+        properties.unshift(['file', file]);
+        if (line) {
+          properties.splice(1, 0, ['line', line]);
+          if (column) {
+            properties.splice(2, 0, ['col', column]);
+          }
+        }
+      }
+      return `::${severity} ${properties
+        .map(([key, value]) => `${key}=${escapeGithubProperty(value)}`)
+        .join(',')}::${escapeGithubData(message)}`;
+    })
+    .join('\n');
+}
+
+const formatters = {
+  sarif: toSarif,
+  junit: toJunit,
+  checkstyle: toCheckstyle,
+  github: toGithub
+};
+
+export const errorFormats = Object.keys(formatters);
+
+/**
+ * Format the errors of a protection for CI systems, so they're shown as
+ * annotations in code review. Fatal errors are reported as errors and
+ * non-fatal ones as warnings.
+ * @param {string} format one of `errorFormats`
+ * @param {{sourcesErrors: ?Array.<object>, errorMessage: ?string}} result
+ * @param {?string} [cwd] the directory the files were uploaded from
+ * @returns {string}
+ */
+export function formatErrors(format, result, cwd) {
+  return formatters[format](toProblems(result, cwd));
+}
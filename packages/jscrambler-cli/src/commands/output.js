@@ -0,0 +1,72 @@
+/* eslint-disable no-console */
+
+function toCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Print a value as indented JSON on stdout. With `--json`, the CLI logs to
+ * stderr so this is the only output on stdout.
+ * @param {*} data
+ */
+export function printJSON(data) {
+  process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+}
+
+/**
+ * Print a list of objects as a plain text table.
+ * @param {Array.<object>} rows
+ * @param {Array.<{key: string, label: string}>} columns
+ */
+export function printTable(rows, columns) {
+  const cells = rows.map(row => columns.map(({key}) => toCell(row[key])));
+  const widths = columns.map(({label}, i) =>
+    Math.max(label.length, ...cells.map(line => line[i].length))
+  );
+  const format = line =>
+    line
+      .map((cell, i) => cell.padEnd(widths[i]))
+      .join('  ')
+      .trimRight();
+
+  console.log(format(columns.map(({label}) => label)));
+  cells.forEach(line => console.log(format(line)));
+}
+
+/**
+ * Print an object as aligned `key: value` lines.
+ * @param {object} data
+ * @param {Array.<{key: string, label: string}>} fields
+ */
+export function printDetails(data, fields) {
+  const width = Math.max(...fields.map(({label}) => label.length));
+  fields.forEach(({key, label}) => {
+    console.log(`${`${label}:`.padEnd(width + 1)} ${toCell(data[key])}`);
+  });
+}
+
+/**
+ * Build an `onProgress` handler that shows the state of a protection (or
+ * instrumentation) on stderr. On a terminal the current line is updated with
+ * the elapsed time, otherwise only state changes are printed.
+ * @param {string} label
+ * @param {object} [stream=process.stderr]
+ * @returns {function}
+ */
+export function createProgressIndicator(label, stream = process.stderr) {
+  return ({state, previousState, elapsed, final}) => {
+    const line = `${label}: ${state} (${Math.round(elapsed / 1000)}s)`;
+
+    if (stream.isTTY) {
+      if (previousState && state !== previousState) {
+        stream.write('\n');
+      }
+      stream.write(`\r${line}\u001b[K${final ? '\n' : ''}`);
+    } else if (state !== previousState) {
+      stream.write(`${line}\n`);
+    }
+  };
+}
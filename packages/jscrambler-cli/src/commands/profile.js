@@ -0,0 +1,206 @@
+import {spawn} from 'child_process';
+
+import jscrambler from '../';
+import {onAbort} from '../abort';
+import {AbortError, ConfigurationError, ProfilingStateError} from '../errors';
+import {printJSON} from './output';
+
+const STAGES = 5;
+
+function stage(logger, number, message) {
+  logger.info(`[${number}/${STAGES}] ${message}`);
+}
+
+/**
+ * Run the exercise command through the shell. Its output goes to stderr when
+ * stdout is kept for the JSON document. The command is killed if `signal` is
+ * aborted.
+ * @param {string} command
+ * @param {boolean} json
+ * @param {?AbortSignal} signal
+ * @returns {Promise}
+ * @throws {AbortError} if `signal` is aborted
+ */
+function runExercise(command, json, signal) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, [], {
+      shell: true,
+      stdio: ['inherit', json ? process.stderr : 'inherit', 'inherit']
+    });
+    const removeListener = onAbort(signal, () => child.kill());
+    child.on('error', e => {
+      removeListener();
+      reject(e);
+    });
+    child.on('exit', (code, exitSignal) => {
+      removeListener();
+      if (signal && signal.aborted) {
+        reject(new AbortError());
+      } else if (code === 0) {
+        resolve();
+      } else {
+        reject(
+          new Error(
+            `The exercise command failed with ${
+              exitSignal ? `signal ${exitSignal}` : `exit code ${code}`
+            }.`
+          )
+        );
+      }
+    });
+  });
+}
+
+/**
+ * @param {object} output the stream the instructions are written to
+ * @param {?AbortSignal} signal
+ * @returns {Promise}
+ * @throws {AbortError} if `signal` is aborted
+ */
+function waitForEnter(output, signal) {
+  output.write(
+    'Exercise your instrumented application, then press Enter to stop profiling.\n'
+  );
+  return new Promise((resolve, reject) => {
+    let removeListener;
+    const done = error => {
+      removeListener();
+      process.stdin.removeListener('data', done);
+      process.stdin.removeListener('end', done);
+      process.stdin.pause();
+      if (error instanceof AbortError) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+    removeListener = onAbort(signal, () => done(new AbortError()));
+    process.stdin.once('data', done);
+    process.stdin.once('end', done);
+    process.stdin.resume();
+  });
+}
+
+/**
+ * `jscrambler profile [files...]`: instrument, profile and protect an
+ * application in one go.
+ * @param {{
+ *  clientSettings: object,
+ *  applicationId: ?string,
+ *  json: ?boolean,
+ *  instrumentedDir: ?string,
+ *  exercise: ?string,
+ *  protectOptions: object,
+ *  signal: ?AbortSignal,
+ *  onProgress: ?function(string): function
+ * }} options `protectOptions` are the `protectAndDownload` options and
+ * `onProgress` builds a progress handler given its label
+ * @returns {Promise}
+ */
+export default async function profile(options) {
+  const {
+    clientSettings,
+    applicationId,
+    json,
+    instrumentedDir,
+    exercise,
+    protectOptions,
+    signal,
+    onProgress = () => undefined
+  } = options;
+
+  if (!applicationId) {
+    throw new ConfigurationError('Required *applicationId* not provided');
+  }
+  if (!instrumentedDir) {
+    throw new ConfigurationError(
+      'Required *instrumented-dir* not provided. Usage: jscrambler profile --instrumented-dir <dir> -o <dir> [files...]'
+    );
+  }
+  if (!protectOptions.filesDest) {
+    throw new ConfigurationError('Required *filesDest* not provided');
+  }
+
+  const {logger} = clientSettings;
+  const result = {applicationId};
+
+  stage(
+    logger,
+    1,
+    `Instrumenting application ${applicationId} into ${instrumentedDir}`
+  );
+  result.instrumentationId = await jscrambler.instrumentAndDownload({
+    ...clientSettings,
+    applicationId,
+    filesSrc: protectOptions.filesSrc,
+    filesDest: instrumentedDir,
+    cwd: protectOptions.cwd,
+    skipSources: protectOptions.skipSources,
+    incrementalSources: protectOptions.incrementalSources,
+    polling: protectOptions.polling,
+    signal,
+    onProgress: onProgress('Instrumentation')
+  });
+
+  stage(logger, 2, 'Starting profiling');
+  await jscrambler.setProfilingState(
+    {...clientSettings, applicationId},
+    'RUNNING',
+    'STARTED',
+    exercise
+      ? `Running *${exercise}*`
+      : `Serve the instrumented files in ${instrumentedDir}`
+  );
+
+  stage(logger, 3, 'Exercising the application');
+  try {
+    if (exercise) {
+      await runExercise(exercise, json, signal);
+    } else {
+      await waitForEnter(json ? process.stderr : process.stdout, signal);
+    }
+  } catch (e) {
+    // Profiling is left running, the data collected so far may still be used
+    const instructions = `Profiling of application ${applicationId} is still RUNNING. Run *jscrambler --stop-profiling -i ${applicationId}* to use the data collected so far, or *jscrambler profiling delete -i ${applicationId}* to discard it.`;
+    if (e instanceof AbortError) {
+      logger.error(instructions);
+      throw e;
+    }
+    throw new ProfilingStateError(`${e.message} ${instructions}`, 'RUNNING');
+  }
+
+  stage(logger, 4, 'Stopping profiling');
+  await jscrambler.setProfilingState(
+    {...clientSettings, applicationId},
+    'READY',
+    'STOPPED',
+    'Waiting for the profiling data.'
+  );
+  const client = new jscrambler.Client({...clientSettings, signal});
+  const profiling = await jscrambler.pollProfiling(client, applicationId, {
+    polling: protectOptions.polling,
+    onProgress: onProgress('Profiling'),
+    signal
+  });
+  result.profilingState = profiling.data.state;
+
+  stage(logger, 5, 'Protecting with the profiling data');
+  await jscrambler.protectAndDownload({
+    ...protectOptions,
+    ...clientSettings,
+    applicationId,
+    profilingDataMode: protectOptions.profilingDataMode || 'automatic',
+    // The profiled sources are already in the application
+    skipSources: true,
+    removeProfilingData: false,
+    signal,
+    onProgress: onProgress('Protection'),
+    onResult: protection => {
+      result.protection = protection;
+    }
+  });
+
+  if (json) {
+    printJSON(result);
+  }
+}
@@ -0,0 +1,128 @@
+/* eslint-disable no-console */
+import jscrambler, {errorHandler} from '../';
+import {ConfigurationError, ProfilingStateError} from '../errors';
+import {printDetails, printJSON, printTable} from './output';
+
+const profilingFields = [
+  {key: 'id', label: 'ID'},
+  {key: 'state', label: 'STATE'},
+  {key: 'createdAt', label: 'CREATED AT'},
+  {key: 'updatedAt', label: 'UPDATED AT'},
+  {key: 'startedAt', label: 'STARTED AT'},
+  {key: 'finishedAt', label: 'FINISHED AT'}
+];
+
+const instrumentationErrorColumns = [
+  {key: 'fileName', label: 'FILENAME'},
+  {key: 'lineNumber', label: 'LINE'},
+  {key: 'message', label: 'MESSAGE'}
+];
+
+function requireApplicationId(applicationId, usage) {
+  if (!applicationId) {
+    throw new ConfigurationError(
+      `Required *applicationId* not provided. Usage: jscrambler profiling ${usage}`
+    );
+  }
+  return applicationId;
+}
+
+/**
+ * The profiling run of an application.
+ * @param {object} client
+ * @param {string} applicationId
+ * @returns {Promise<?object>} nothing if there's no profiling run
+ */
+async function getProfiling(client, applicationId) {
+  const res = await jscrambler
+    .getApplicationProfiling(client, applicationId)
+    .catch(e => {
+      if (e.statusCode !== 404) throw e;
+    });
+  return res && res.data;
+}
+
+const actions = {
+  async status(client, args, {applicationId, json, expectState}) {
+    requireApplicationId(applicationId, 'status -i <applicationId>');
+    const profiling = await getProfiling(client, applicationId);
+
+    const state = profiling ? profiling.state : 'NONE';
+    if (expectState && state !== expectState.toUpperCase()) {
+      throw new ProfilingStateError(
+        `Profiling of application ${applicationId} is ${state}, expected ${expectState.toUpperCase()}.`,
+        state
+      );
+    }
+
+    let instrumentationErrors = [];
+    if (profiling) {
+      const instrumentation = errorHandler(
+        await jscrambler.getInstrumentation(client, profiling.id)
+      );
+      instrumentationErrors = instrumentation.data.instrumentationErrors || [];
+    }
+
+    if (json) {
+      printJSON({
+        applicationId,
+        profiling: profiling ? {...profiling, instrumentationErrors} : null
+      });
+    } else if (!profiling) {
+      console.log(`Application ${applicationId} has no profiling run.`);
+    } else {
+      printDetails(
+        profiling,
+        profilingFields.filter(({key}) => typeof profiling[key] !== 'undefined')
+      );
+      if (instrumentationErrors.length > 0) {
+        console.log('\nInstrumentation errors:');
+        printTable(instrumentationErrors, instrumentationErrorColumns);
+      }
+    }
+  },
+  async delete(client, args, {applicationId, json}) {
+    requireApplicationId(applicationId, 'delete -i <applicationId>');
+    const profiling = await getProfiling(client, applicationId);
+    if (!profiling) {
+      throw new ProfilingStateError(
+        `Application ${applicationId} has no profiling run.`
+      );
+    }
+
+    await jscrambler.deleteProfiling(client, profiling.id);
+
+    if (json) {
+      printJSON({
+        applicationId,
+        profilingId: profiling.id,
+        previousState: profiling.state
+      });
+    } else {
+      console.log(
+        `Profiling ${profiling.id} of application ${applicationId} was deleted.`
+      );
+    }
+  }
+};
+
+/**
+ * `jscrambler profiling <action>`
+ * @param {string} action one of status or delete
+ * @param {Array.<string>} args
+ * @param {{clientSettings: object, applicationId: ?string, json: ?boolean, expectState: ?string}} options
+ * @returns {Promise}
+ */
+export default async function profiling(action, args, options) {
+  if (!actions.hasOwnProperty(action)) {
+    throw new ConfigurationError(
+      `Unknown profiling command "${action}". Available commands: ${Object.keys(
+        actions
+      ).join(', ')}`
+    );
+  }
+
+  const client = new jscrambler.Client({...options.clientSettings});
+
+  return actions[action](client, args, options);
+}
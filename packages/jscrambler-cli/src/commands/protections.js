@@ -0,0 +1,203 @@
+/* eslint-disable no-console */
+import jscrambler, {errorHandler} from '../';
+import {ConfigurationError} from '../errors';
+import getProtectionDefaultFragments from '../get-protection-default-fragments';
+import {printDetails, printJSON, printTable} from './output';
+
+const protectionListFragments = `
+  _id,
+  state,
+  finishedAt,
+  randomizationSeed
+`;
+
+const protectionColumns = [
+  {key: '_id', label: 'ID'},
+  {key: 'state', label: 'STATE'},
+  {key: 'finishedAt', label: 'FINISHED AT'},
+  {key: 'randomizationSeed', label: 'SEED'}
+];
+
+const protectionFields = [
+  {key: '_id', label: 'ID'},
+  {key: 'state', label: 'STATE'},
+  {key: 'bail', label: 'BAIL'},
+  {key: 'size', label: 'SIZE'},
+  {key: 'transformedSize', label: 'TRANSFORMED SIZE'},
+  {key: 'growthWarning', label: 'GROWTH WARNING'},
+  {key: 'errorMessage', label: 'ERROR'}
+];
+
+const sourceErrorColumns = [
+  {key: 'filename', label: 'FILENAME'},
+  {key: 'line', label: 'LINE'},
+  {key: 'column', label: 'COLUMN'},
+  {key: 'fatal', label: 'FATAL'},
+  {key: 'message', label: 'MESSAGE'}
+];
+
+function requireArg(value, name, usage) {
+  if (!value) {
+    throw new ConfigurationError(
+      `Required *${name}* not provided. Usage: jscrambler protections ${usage}`
+    );
+  }
+  return value;
+}
+
+function parseInteger(value, name) {
+  if (typeof value === 'undefined') {
+    return undefined;
+  }
+  const parsed = parseInt(value, 10);
+  if (isNaN(parsed) || parsed < 0) {
+    throw new ConfigurationError(`*${name}* requires a positive integer value.`);
+  }
+  return parsed;
+}
+
+const actions = {
+  async list(client, args, {applicationId, json, sort, order, page, limit}) {
+    requireArg(applicationId, 'applicationId', 'list -i <applicationId>');
+
+    if (order && !/^(asc|desc)$/i.test(order)) {
+      throw new ConfigurationError('*order* requires one of the following values: {asc,desc}');
+    }
+
+    const params = {
+      sort,
+      order: order && order.toLowerCase(),
+      page: parseInteger(page, 'page'),
+      limit: parseInteger(limit, 'limit')
+    };
+
+    const [protectionsRes, countRes] = await Promise.all([
+      jscrambler.getApplicationProtections(
+        client,
+        applicationId,
+        params,
+        protectionListFragments
+      ),
+      jscrambler.getApplicationProtectionsCount(client, applicationId)
+    ]);
+    const protections = errorHandler(protectionsRes).data.applicationProtections;
+    const {count} = errorHandler(countRes).data.applicationProtectionsCount;
+
+    if (json) {
+      printJSON({count, protections});
+    } else {
+      printTable(protections, protectionColumns);
+      console.log(`\nShowing ${protections.length} of ${count} protections.`);
+    }
+  },
+  async show(client, [id], {applicationId, json}) {
+    const usage = 'show <id> -i <applicationId>';
+    const res = errorHandler(
+      await jscrambler.getApplicationProtection(
+        client,
+        requireArg(applicationId, 'applicationId', usage),
+        requireArg(id, 'id', usage),
+        await getProtectionDefaultFragments(client)
+      )
+    );
+    const protection = res.data.applicationProtection;
+
+    if (json) {
+      printJSON(protection);
+      return;
+    }
+
+    printDetails(
+      protection,
+      protectionFields.filter(({key}) => typeof protection[key] !== 'undefined')
+    );
+
+    const deprecations = protection.deprecations || [];
+    if (deprecations.length > 0) {
+      console.log('\nDeprecations:');
+      deprecations.forEach(({type, entity}) =>
+        console.log(`- ${type} ${entity}`)
+      );
+    }
+
+    const sourcesErrors = [];
+    (protection.sources || []).forEach(s => {
+      (s.errorMessages || []).forEach(e =>
+        sourcesErrors.push({filename: s.filename, ...e})
+      );
+    });
+    if (sourcesErrors.length > 0) {
+      console.log('');
+      printTable(sourcesErrors, sourceErrorColumns);
+    }
+  },
+  async cancel(client, [id], {applicationId, json}) {
+    const usage = 'cancel <id> -i <applicationId>';
+    const res = errorHandler(
+      await jscrambler.cancelProtection(
+        client,
+        requireArg(id, 'id', usage),
+        requireArg(applicationId, 'applicationId', usage)
+      )
+    );
+    const protection = res.data.cancelProtection;
+
+    if (json) {
+      printJSON(protection);
+    } else {
+      console.log(`Protection ${protection._id} was canceled.`);
+    }
+  },
+  async remove(client, [id], {applicationId, json}) {
+    const usage = 'remove <id> -i <applicationId>';
+    const res = errorHandler(
+      await jscrambler.removeProtection(
+        client,
+        requireArg(id, 'id', usage),
+        requireArg(applicationId, 'applicationId', usage)
+      )
+    );
+    const protection = res.data.removeProtection;
+
+    if (json) {
+      printJSON(protection);
+    } else {
+      console.log(`Protection ${protection._id} was removed.`);
+    }
+  },
+  async download(client, [id], {clientSettings, filesDest, json}) {
+    const usage = 'download <id> -o <dir>';
+    const files = await jscrambler.downloadProtection({
+      ...clientSettings,
+      filesDest: requireArg(filesDest, 'filesDest', usage),
+      protectionId: requireArg(id, 'id', usage)
+    });
+
+    if (json) {
+      printJSON({protectionId: id, filesDest, files});
+    } else {
+      console.log(id);
+    }
+  }
+};
+
+/**
+ * `jscrambler protections <action> [args...]`
+ * @param {string} action one of list, show, cancel, remove or download
+ * @param {Array.<string>} args
+ * @param {{clientSettings: object, applicationId: ?string, filesDest: ?string, json: ?boolean, sort: ?string, order: ?string, page: ?string, limit: ?string}} options
+ * @returns {Promise}
+ */
+export default async function protections(action, args, options) {
+  if (!actions.hasOwnProperty(action)) {
+    throw new ConfigurationError(
+      `Unknown protections command "${action}". Available commands: ${Object.keys(
+        actions
+      ).join(', ')}`
+    );
+  }
+
+  const client = new jscrambler.Client({...options.clientSettings});
+
+  return actions[action](client, args, options);
+}
@@ -0,0 +1,91 @@
+/* eslint-disable no-console */
+import fs from 'fs';
+import path from 'path';
+import {mkdirsSync, removeSync} from 'fs-extra';
+
+import jscrambler from '../';
+import {getCacheOptions} from '../cache';
+import {ConfigurationError} from '../errors';
+import {loadSourceMaps, symbolicate as symbolicateTrace} from '../symbolicate';
+import {printJSON} from './output';
+
+function readInput(file) {
+  if (file && file !== '-') {
+    return Promise.resolve(fs.readFileSync(file, 'utf-8'));
+  }
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on('data', chunk => chunks.push(chunk));
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    process.stdin.on('error', reject);
+  });
+}
+
+/**
+ * The directory with the source maps of a protection, downloading them into
+ * the cache the first time.
+ * @param {string} protectionId
+ * @param {{clientSettings: object, cache: ?(boolean|object)}} options
+ * @returns {Promise<string>}
+ */
+async function getSourceMapsDir(protectionId, {clientSettings, cache}) {
+  const dir = path.join(
+    getCacheOptions(cache || true).dir,
+    'source-maps',
+    protectionId
+  );
+  if (fs.existsSync(dir)) {
+    clientSettings.logger.debug(`Using the source maps cached in ${dir}`);
+    return dir;
+  }
+
+  // Download them to a temporary directory first, so a failed download is
+  // never mistaken for a cached one. It's created beforehand, as a protection
+  // without source maps downloads nothing.
+  const tmpDir = `${dir}.${process.pid}.tmp`;
+  removeSync(tmpDir);
+  mkdirsSync(tmpDir);
+  try {
+    await jscrambler.downloadSourceMaps({
+      ...clientSettings,
+      protectionId,
+      filesDest: `${tmpDir}${path.sep}`
+    });
+    fs.renameSync(tmpDir, dir);
+  } catch (e) {
+    // Another process may have cached them in the meantime
+    if (!fs.existsSync(dir)) {
+      throw e;
+    }
+    clientSettings.logger.debug(`Using the source maps cached in ${dir}`);
+    return dir;
+  } finally {
+    removeSync(tmpDir);
+  }
+  clientSettings.logger.debug(`Source maps cached in ${dir}`);
+  return dir;
+}
+
+/**
+ * `jscrambler symbolicate [file]`
+ * @param {?string} file the stack trace, read from stdin if missing or `-`
+ * @param {{clientSettings: object, protectionId: ?string, maps: ?string, cache: ?(boolean|object), json: ?boolean}} options
+ * @returns {Promise}
+ */
+export default async function symbolicate(file, options) {
+  const {protectionId, maps, json} = options;
+  if (!protectionId === !maps) {
+    throw new ConfigurationError(
+      'Either *protection* or *maps* is required. Usage: jscrambler symbolicate [file] (--protection <id> | --maps <dir>)'
+    );
+  }
+
+  const dir = maps || (await getSourceMapsDir(protectionId, options));
+  const result = symbolicateTrace(await readInput(file), loadSourceMaps(dir));
+
+  if (json) {
+    printJSON({protectionId, maps: dir, ...result});
+  } else {
+    console.log(result.trace);
+  }
+}
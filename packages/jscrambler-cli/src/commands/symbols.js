@@ -0,0 +1,100 @@
+/* eslint-disable no-console */
+import fs from 'fs';
+
+import {ConfigurationError} from '../errors';
+import {
+  lookupSymbol,
+  mergeSymbolTables,
+  parseSymbolTable,
+  readStoredSymbolTable
+} from '../symbol-table-store';
+import {printJSON, printTable} from './output';
+
+const symbolColumns = [
+  {key: 'kind', label: 'KIND'},
+  {key: 'name', label: 'NAME'},
+  {key: 'transformed', label: 'TRANSFORMED'}
+];
+
+function readSymbolTable(file) {
+  if (!fs.existsSync(file)) {
+    throw new ConfigurationError(`Symbol table ${file} not found`);
+  }
+  return parseSymbolTable(fs.readFileSync(file, 'utf-8'), file);
+}
+
+/**
+ * The table given with `--table`, or the one stored for the application.
+ * @param {{table: ?string, symbolTableStore: ?string, applicationId: ?string}} options
+ * @returns {object}
+ */
+function getSymbolTable({table, symbolTableStore, applicationId}) {
+  if (table) {
+    return readSymbolTable(table);
+  }
+  if (!symbolTableStore || !applicationId) {
+    throw new ConfigurationError(
+      'Required *table*, or *symbolTableStore* and *applicationId*, not provided'
+    );
+  }
+  const stored = readStoredSymbolTable(symbolTableStore, applicationId);
+  if (!stored) {
+    throw new ConfigurationError(
+      `No symbol table stored for application ${applicationId} in ${symbolTableStore}`
+    );
+  }
+  return stored;
+}
+
+const actions = {
+  lookup([name], options) {
+    if (!name) {
+      throw new ConfigurationError(
+        'Required *name* not provided. Usage: jscrambler symbols lookup <name>'
+      );
+    }
+    const matches = lookupSymbol(getSymbolTable(options), name);
+
+    if (options.json) {
+      printJSON({name, matches});
+    } else if (matches.length === 0) {
+      console.log(`${name} is not in the symbol table.`);
+    } else {
+      printTable(matches, symbolColumns);
+    }
+  },
+  merge(files) {
+    if (files.length === 0) {
+      throw new ConfigurationError(
+        'Required *files* not provided. Usage: jscrambler symbols merge <file...>'
+      );
+    }
+    const {table, conflicts} = mergeSymbolTables(files.map(readSymbolTable));
+
+    conflicts.forEach(({kind, name, transformed, ignored}) =>
+      console.error(
+        `Warning: ${kind} ${name} is renamed to ${transformed}, ignoring ${ignored}.`
+      )
+    );
+    printJSON(table);
+  }
+};
+
+/**
+ * `jscrambler symbols <action> [args...]`
+ * @param {string} action one of lookup or merge
+ * @param {Array.<string>} args
+ * @param {{applicationId: ?string, symbolTableStore: ?string, table: ?string, json: ?boolean}} options
+ * @returns {Promise}
+ */
+export default async function symbols(action, args, options) {
+  if (!actions.hasOwnProperty(action)) {
+    throw new ConfigurationError(
+      `Unknown symbols command "${action}". Available commands: ${Object.keys(
+        actions
+      ).join(', ')}`
+    );
+  }
+
+  return actions[action](args, options);
+}
@@ -0,0 +1,280 @@
+/* eslint-disable no-console */
+import fs from 'fs';
+import path from 'path';
+
+import jscrambler, {errorHandler, normalizeParameters} from '../';
+import {ConfigurationError} from '../errors';
+import {intoObjectType} from '../introspection';
+import {printJSON, printTable} from './output';
+
+const templateFragments = `
+  _id,
+  name,
+  description,
+  parameters
+`;
+
+const templateColumns = [
+  {key: '_id', label: 'ID'},
+  {key: 'name', label: 'NAME'},
+  {key: 'description', label: 'DESCRIPTION'}
+];
+
+function parseParameters(parameters) {
+  return typeof parameters === 'string' ? JSON.parse(parameters) : parameters;
+}
+
+/**
+ * Read a template definition. The `name` defaults to the file name without
+ * the `.json` extension and `parameters` may use either the array or the
+ * object notation.
+ * @param {string} file
+ * @returns {{name: string, description: ?string, parameters: Array}}
+ */
+function readTemplateFile(file) {
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    throw new ConfigurationError(`Invalid template file ${file}: ${e.message}`);
+  }
+
+  if (!definition.parameters) {
+    throw new ConfigurationError(`Template file ${file} has no *parameters*`);
+  }
+
+  return {
+    name: definition.name || path.basename(file, '.json'),
+    description: definition.description,
+    parameters: normalizeParameters(definition.parameters)
+  };
+}
+
+function canonicalParameters(parameters) {
+  return JSON.stringify(
+    normalizeParameters(parseParameters(parameters) || []).map(
+      ({name, options = {}}) => ({name, options})
+    )
+  );
+}
+
+function isTemplateChanged(local, remote) {
+  return (
+    (local.description || '') !== (remote.description || '') ||
+    canonicalParameters(local.parameters) !==
+      canonicalParameters(remote.parameters)
+  );
+}
+
+async function getTemplates(client) {
+  const res = errorHandler(
+    await jscrambler.getTemplates(client, templateFragments)
+  );
+  return res.data.templates;
+}
+
+async function toTemplateInput(client, template) {
+  const input = await intoObjectType(client, template, 'Template');
+  // `updateTemplate` reads the id from the template itself
+  if (template._id) {
+    input._id = template._id;
+  }
+  return input;
+}
+
+async function createTemplate(client, template) {
+  const res = errorHandler(
+    await jscrambler.createTemplate(
+      client,
+      await toTemplateInput(client, template),
+      templateFragments
+    )
+  );
+  return res.data.createTemplate;
+}
+
+async function updateTemplate(client, template) {
+  const res = errorHandler(
+    await jscrambler.updateTemplate(
+      client,
+      await toTemplateInput(client, template),
+      templateFragments
+    )
+  );
+  return res.data.updateTemplate;
+}
+
+function requireArg(value, name, usage) {
+  if (!value) {
+    throw new ConfigurationError(
+      `Required *${name}* not provided. Usage: jscrambler templates ${usage}`
+    );
+  }
+  return value;
+}
+
+const actions = {
+  async list(client, args, {json}) {
+    const templates = await getTemplates(client);
+
+    if (json) {
+      printJSON(templates.map(t => ({
+        ...t,
+        parameters: parseParameters(t.parameters)
+      })));
+    } else {
+      printTable(templates, templateColumns);
+    }
+  },
+  async create(client, [file], {json}) {
+    const template = await createTemplate(
+      client,
+      readTemplateFile(requireArg(file, 'file', 'create <file>'))
+    );
+
+    if (json) {
+      printJSON(template);
+    } else {
+      console.log(template._id);
+    }
+  },
+  async update(client, [id, file], {json}) {
+    const usage = 'update <id> <file>';
+    const template = await updateTemplate(client, {
+      _id: requireArg(id, 'id', usage),
+      ...readTemplateFile(requireArg(file, 'file', usage))
+    });
+
+    if (json) {
+      printJSON(template);
+    } else {
+      console.log(`Template ${template._id} was updated.`);
+    }
+  },
+  async remove(client, [id], {json}) {
+    const res = errorHandler(
+      await jscrambler.removeTemplate(client, requireArg(id, 'id', 'remove <id>'))
+    );
+    const template = res.data.removeTemplate;
+
+    if (json) {
+      printJSON(template);
+    } else {
+      console.log(`Template ${template._id} was removed.`);
+    }
+  },
+  async apply(client, [id, appId], {applicationId, json}) {
+    const usage = 'apply <id> [applicationId]';
+    const res = errorHandler(
+      await jscrambler.applyTemplate(
+        client,
+        requireArg(id, 'id', usage),
+        requireArg(appId || applicationId, 'applicationId', usage)
+      )
+    );
+    const application = res.data.applyTemplate;
+
+    if (json) {
+      printJSON(application);
+    } else {
+      console.log(`Template ${id} was applied to application ${application._id}.`);
+    }
+  },
+  /**
+   * Reconcile a directory of `*.json` template definitions with the server.
+   * Templates are matched by name. Missing templates are created, changed ones
+   * are updated and, with `--prune`, templates without a local file are removed.
+   */
+  async sync(client, [dir], {json, prune, dryRun}) {
+    requireArg(dir, 'dir', 'sync <dir> [--prune] [--dry-run]');
+
+    const files = fs
+      .readdirSync(dir)
+      .filter(file => path.extname(file) === '.json')
+      .sort();
+    const localTemplates = files.map(file =>
+      readTemplateFile(path.join(dir, file))
+    );
+
+    const names = new Set();
+    localTemplates.forEach(({name}) => {
+      if (names.has(name)) {
+        throw new ConfigurationError(`Duplicated template name "${name}" in ${dir}`);
+      }
+      names.add(name);
+    });
+
+    const remoteTemplates = await getTemplates(client);
+    const remoteByName = new Map(remoteTemplates.map(t => [t.name, t]));
+    const changes = [];
+
+    for (const local of localTemplates) {
+      const remote = remoteByName.get(local.name);
+      if (!remote) {
+        changes.push({action: 'create', name: local.name, template: local});
+      } else if (isTemplateChanged(local, remote)) {
+        changes.push({
+          action: 'update',
+          name: local.name,
+          _id: remote._id,
+          template: {_id: remote._id, ...local}
+        });
+      } else {
+        changes.push({action: 'unchanged', name: local.name, _id: remote._id});
+      }
+    }
+
+    if (prune) {
+      remoteTemplates
+        .filter(({name}) => !names.has(name))
+        .forEach(({_id, name}) => changes.push({action: 'remove', name, _id}));
+    }
+
+    for (const change of dryRun ? [] : changes) {
+      switch (change.action) {
+        case 'create':
+          change._id = (await createTemplate(client, change.template))._id;
+          break;
+        case 'update':
+          await updateTemplate(client, change.template);
+          break;
+        case 'remove':
+          errorHandler(await jscrambler.removeTemplate(client, change._id));
+          break;
+        default:
+      }
+    }
+
+    const summary = changes.map(({action, name, _id}) => ({action, name, _id}));
+    if (json) {
+      printJSON({dryRun: !!dryRun, changes: summary});
+    } else {
+      printTable(summary, [
+        {key: 'action', label: dryRun ? 'ACTION (DRY RUN)' : 'ACTION'},
+        {key: 'name', label: 'NAME'},
+        {key: '_id', label: 'ID'}
+      ]);
+    }
+  }
+};
+
+/**
+ * `jscrambler templates <action> [args...]`
+ * @param {string} action one of list, create, update, remove, apply or sync
+ * @param {Array.<string>} args
+ * @param {{clientSettings: object, applicationId: ?string, json: ?boolean, prune: ?boolean, dryRun: ?boolean}} options
+ * @returns {Promise}
+ */
+export default async function templates(action, args, options) {
+  if (!actions.hasOwnProperty(action)) {
+    throw new ConfigurationError(
+      `Unknown templates command "${action}". Available commands: ${Object.keys(
+        actions
+      ).join(', ')}`
+    );
+  }
+
+  const client = new jscrambler.Client({...options.clientSettings});
+
+  return actions[action](client, args, options);
+}
@@ -0,0 +1,162 @@
+import {posix} from 'path';
+import {SourceMapConsumer, SourceMapGenerator} from 'source-map';
+
+import {ConfigurationError} from './errors';
+import {loadInputSourceMap} from './input-source-maps';
+import {createLogger} from './logger';
+import {generateArchive, readArchive, zipSources} from './zip';
+
+const SOURCE_MAPS_DIR = 'jscramblerSourceMaps/';
+const SOURCE_MAPPING_URL_COMMENT = /^[ \t]*\/\/[#@][ \t]*sourceMappingURL=.*(\r?\n)?/gm;
+const JS_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+
+/**
+ * Normalize the `composeSourceMaps` option. `true` uses the defaults, falsy
+ * values disable it.
+ * @param {boolean|{sourcesContent: ?boolean, sourceMappingURL: ?string}} composeSourceMaps
+ * `sourceMappingURL` is `keep` (default) to point protected files to their
+ * map, `hidden` to leave them without a comment or a prefix the map paths are
+ * appended to
+ * @returns {?{sourcesContent: boolean, sourceMappingURL: string}}
+ */
+export function getComposeSourceMapsOptions(composeSourceMaps) {
+  if (!composeSourceMaps) {
+    return undefined;
+  }
+
+  const {sourcesContent = true, sourceMappingURL = 'keep'} =
+    composeSourceMaps === true ? {} : composeSourceMaps;
+  if (typeof sourceMappingURL !== 'string' || sourceMappingURL === '') {
+    throw new ConfigurationError(
+      '*composeSourceMaps.sourceMappingURL* requires keep, hidden or a URL prefix. Example: https://maps.example.com/'
+    );
+  }
+  return {sourcesContent: !!sourcesContent, sourceMappingURL};
+}
+
+/**
+ * The `sourceMappingURL` of a protected file, if any.
+ * @param {string} filename
+ * @param {string} mapName
+ * @param {string} sourceMappingURL as returned by `getComposeSourceMapsOptions`
+ * @returns {?string}
+ */
+function getSourceMappingURL(filename, mapName, sourceMappingURL) {
+  if (sourceMappingURL === 'hidden') {
+    return undefined;
+  }
+  if (sourceMappingURL === 'keep') {
+    return posix.relative(posix.dirname(filename), mapName);
+  }
+  return `${sourceMappingURL}${mapName}`;
+}
+
+/**
+ * Compose the Jscrambler source map of a file with its input source map, if
+ * it has one.
+ * @param {string} jscramblerMap
+ * @param {?{consumer: SourceMapConsumer}} inputMap as returned by
+ * `loadInputSourceMap`
+ * @param {string} filename
+ * @param {boolean} sourcesContent
+ * @returns {object} the composed map
+ */
+function composeSourceMap(jscramblerMap, inputMap, filename, sourcesContent) {
+  const consumer = new SourceMapConsumer(JSON.parse(jscramblerMap));
+  const generator = SourceMapGenerator.fromSourceMap(consumer);
+  if (inputMap) {
+    const source =
+      consumer.sources.find(s => s === filename) ||
+      (consumer.sources.length === 1 ? consumer.sources[0] : filename);
+    generator.applySourceMap(inputMap.consumer, source);
+  }
+
+  const map = generator.toJSON();
+  map.file = posix.basename(filename);
+  if (!sourcesContent) {
+    delete map.sourcesContent;
+  }
+  return map;
+}
+
+/**
+ * Compose the source maps of a protection with the source maps of its inputs,
+ * so protected code maps back to the original sources instead of the uploaded
+ * (bundled or transpiled) files. Each composed map replaces the input map of
+ * the file (`<file>.map` if it was inline) and the `sourceMappingURL` comments
+ * of the protected files are rewritten.
+ * @param {{
+ *  download: Buffer,
+ *  sourceMaps: Buffer,
+ *  readInput: function(string): Promise<?string>,
+ *  options: {sourcesContent: boolean, sourceMappingURL: string}
+ * }} protection `download` is the protected files archive and `sourceMaps`
+ * the Jscrambler source maps archive. See `loadInputSourceMap` for `readInput`
+ * @param {object} [logger]
+ * @returns {Promise<Buffer>} the protected files archive, with the composed maps
+ */
+export async function composeSourceMaps(
+  {download, sourceMaps, readInput, options},
+  logger = createLogger()
+) {
+  const jscramblerMaps = {};
+  (await readArchive(sourceMaps)).forEach(({name, content}) => {
+    if (name.startsWith(SOURCE_MAPS_DIR) && posix.extname(name) === '.map') {
+      jscramblerMaps[name.slice(SOURCE_MAPS_DIR.length, -4)] = content.toString();
+    }
+  });
+
+  const files = {};
+  // A composed map replaces a protected file with the same name (an uploaded
+  // input map)
+  const maps = {};
+  for (const {name, content} of await readArchive(download)) {
+    const jscramblerMap = jscramblerMaps[name];
+    if (!jscramblerMap) {
+      files[name] = content;
+      continue;
+    }
+
+    let inputMap;
+    try {
+      inputMap = await loadInputSourceMap(name, readInput);
+    } catch (e) {
+      logger.warn(`Ignoring the source map of ${name}: ${e.message}`);
+    }
+    // The composed map is written where the input map was, unless that's
+    // outside of the output
+    const mapName =
+      inputMap && inputMap.file && !posix.normalize(inputMap.file).startsWith('../')
+        ? posix.normalize(inputMap.file)
+        : `${name}.map`;
+    const map = composeSourceMap(
+      jscramblerMap,
+      inputMap,
+      name,
+      options.sourcesContent
+    );
+    logger.debug(
+      inputMap
+        ? `Composed the source map of ${name} with ${inputMap.file || 'its inline source map'}`
+        : `${name} has no input source map, using the Jscrambler one`
+    );
+    maps[mapName] = JSON.stringify(map);
+
+    if (JS_EXTENSIONS.indexOf(posix.extname(name)) === -1) {
+      files[name] = content;
+      continue;
+    }
+    const url = getSourceMappingURL(name, mapName, options.sourceMappingURL);
+    const code = content.toString().replace(SOURCE_MAPPING_URL_COMMENT, '');
+    files[name] = url
+      ? `${code.replace(/\s*$/, '')}\n//# sourceMappingURL=${url}\n`
+      : code;
+  }
+
+  const output = {...files, ...maps};
+  const zipped = await zipSources(
+    Object.keys(output).map(filename => ({filename, content: output[filename]})),
+    logger
+  );
+  return generateArchive(zipped);
+}
@@ -0,0 +1,173 @@
+// Babel doesn't keep the prototype chain when extending built-ins like `Error`,
+// so every class restores its own prototype to make `instanceof` work.
+
+/**
+ * Base class of all the errors thrown by the client. `code` is stable and can
+ * be used to tell errors apart (the CLI maps it into an exit code).
+ */
+export class JscramblerError extends Error {
+  constructor(message, code = 'JSCRAMBLER_ERROR') {
+    super(message);
+    Object.setPrototypeOf(this, JscramblerError.prototype);
+    this.name = 'JscramblerError';
+    this.code = code;
+  }
+}
+
+/**
+ * Missing or invalid options.
+ */
+export class ConfigurationError extends JscramblerError {
+  constructor(message) {
+    super(message, 'CONFIGURATION_ERROR');
+    Object.setPrototypeOf(this, ConfigurationError.prototype);
+    this.name = 'ConfigurationError';
+  }
+}
+
+/**
+ * An API request was not successful.
+ */
+export class ClientError extends JscramblerError {
+  constructor(message, statusCode, code = 'CLIENT_ERROR') {
+    super(message, code);
+    Object.setPrototypeOf(this, ClientError.prototype);
+    this.name = 'ClientError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Missing or rejected credentials (HTTP 401 and 403).
+ */
+export class AuthenticationError extends ClientError {
+  constructor(message, statusCode) {
+    super(message, statusCode, 'AUTHENTICATION_ERROR');
+    Object.setPrototypeOf(this, AuthenticationError.prototype);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * The API could not be reached or is temporarily unavailable (no response,
+ * HTTP 429 or 5xx). Retrying later may succeed.
+ */
+export class NetworkError extends ClientError {
+  constructor(message, statusCode) {
+    super(message, statusCode, 'NETWORK_ERROR');
+    Object.setPrototypeOf(this, NetworkError.prototype);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * The API answered with GraphQL errors.
+ */
+export class GraphQLError extends JscramblerError {
+  constructor(message, errors = []) {
+    super(message, 'GRAPHQL_ERROR');
+    Object.setPrototypeOf(this, GraphQLError.prototype);
+    this.name = 'GraphQLError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * The protection finished with errors. `sourcesErrors` holds the errors of
+ * each source file (if any).
+ */
+export class ProtectionFailedError extends JscramblerError {
+  constructor(message, protectionId, sourcesErrors = []) {
+    super(message, 'PROTECTION_FAILED');
+    Object.setPrototypeOf(this, ProtectionFailedError.prototype);
+    this.name = 'ProtectionFailedError';
+    this.protectionId = protectionId;
+    this.sourcesErrors = sourcesErrors;
+  }
+}
+
+/**
+ * The protection (or instrumentation) was canceled before finishing.
+ */
+export class ProtectionCanceledError extends JscramblerError {
+  constructor(message, protectionId) {
+    super(message, 'PROTECTION_CANCELED');
+    Object.setPrototypeOf(this, ProtectionCanceledError.prototype);
+    this.name = 'ProtectionCanceledError';
+    this.protectionId = protectionId;
+  }
+}
+
+/**
+ * The instrumentation finished with errors.
+ */
+export class InstrumentationFailedError extends JscramblerError {
+  constructor(message, instrumentationId) {
+    super(message, 'INSTRUMENTATION_FAILED');
+    Object.setPrototypeOf(this, InstrumentationFailedError.prototype);
+    this.name = 'InstrumentationFailedError';
+    this.instrumentationId = instrumentationId;
+  }
+}
+
+/**
+ * The operation is not allowed in the current profiling state.
+ */
+export class ProfilingStateError extends JscramblerError {
+  constructor(message, state) {
+    super(message, 'PROFILING_STATE_ERROR');
+    Object.setPrototypeOf(this, ProfilingStateError.prototype);
+    this.name = 'ProfilingStateError';
+    this.state = state;
+  }
+}
+
+/**
+ * The protection (or instrumentation) did not finish within the configured
+ * timeout.
+ */
+export class TimeoutError extends JscramblerError {
+  constructor(message, id) {
+    super(message, 'TIMEOUT');
+    Object.setPrototypeOf(this, TimeoutError.prototype);
+    this.name = 'TimeoutError';
+    this.id = id;
+  }
+}
+
+/**
+ * The operation was aborted through its `AbortSignal`.
+ */
+export class AbortError extends JscramblerError {
+  constructor(message = 'The operation was aborted') {
+    super(message, 'ABORTED');
+    Object.setPrototypeOf(this, AbortError.prototype);
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * A downloaded archive is corrupted (checksum or CRC mismatch) or unsafe to
+ * extract (entries escaping the destination or symbolic links).
+ */
+export class InvalidArchiveError extends JscramblerError {
+  constructor(message) {
+    super(message, 'INVALID_ARCHIVE');
+    Object.setPrototypeOf(this, InvalidArchiveError.prototype);
+    this.name = 'InvalidArchiveError';
+  }
+}
+
+/**
+ * The protected files exceed the configured size budget. `violations` lists
+ * each exceeded limit.
+ */
+export class SizeBudgetError extends JscramblerError {
+  constructor(message, protectionId, violations = []) {
+    super(message, 'SIZE_BUDGET_EXCEEDED');
+    Object.setPrototypeOf(this, SizeBudgetError.prototype);
+    this.name = 'SizeBudgetError';
+    this.protectionId = protectionId;
+    this.violations = violations;
+  }
+}
@@ -0,0 +1,25 @@
+// Documented in the README (Exit codes). Keep them stable, scripts rely on them.
+export const exitCodes = {
+  CONFIGURATION_ERROR: 2,
+  AUTHENTICATION_ERROR: 3,
+  NETWORK_ERROR: 4,
+  CLIENT_ERROR: 5,
+  GRAPHQL_ERROR: 6,
+  PROTECTION_FAILED: 7,
+  PROTECTION_CANCELED: 8,
+  INSTRUMENTATION_FAILED: 9,
+  PROFILING_STATE_ERROR: 10,
+  TIMEOUT: 11,
+  INVALID_ARCHIVE: 12,
+  SIZE_BUDGET_EXCEEDED: 13,
+  ABORTED: 130
+};
+
+/**
+ * Exit code of the CLI failing with `error`, `1` for unexpected errors.
+ * @param {Error} error
+ * @returns {number}
+ */
+export function getExitCode(error) {
+  return (error && exitCodes[error.code]) || 1;
+}
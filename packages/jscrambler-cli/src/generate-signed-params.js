@@ -3,23 +3,37 @@ import crypto from 'crypto';
 import defaults from 'lodash.defaults';
 import keys from 'lodash.keys';
 
-const debug = !!process.env.DEBUG;
+import {createLogger} from './logger';
 
-export default function signedParams(method, path, host, keys, params = {}) {
+export default function signedParams(
+  method,
+  path,
+  host,
+  keys,
+  params = {},
+  logger = createLogger()
+) {
   params = defaults(clone(params), {
     access_key: keys.accessKey,
     timestamp: new Date().toISOString()
   });
-  params.signature = generateHmacSignature(method, path, host, keys, params);
+  params.signature = generateHmacSignature(
+    method,
+    path,
+    host,
+    keys,
+    params,
+    logger
+  );
   return params;
 }
 
-function generateHmacSignature(method, path, host, keys, params) {
+function generateHmacSignature(method, path, host, keys, params, logger) {
   const paramsCopy = clone(params);
   const signatureData = `${method.toUpperCase()};${host.toLowerCase()};${path};${buildSortedQuery(
     paramsCopy
   )}`;
-  debug && console.log(`Signature data: ${signatureData}`);
+  logger.debug(`Signature data: ${signatureData}`);
   const hmac = crypto.createHmac('sha256', keys.secretKey.toUpperCase());
   hmac.update(signatureData);
   return hmac.digest('base64');
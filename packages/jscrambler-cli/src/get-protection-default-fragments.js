@@ -55,7 +55,9 @@ const protectionFields = {
   growthWarning: 1,
   errorMessage: 1,
   size: 1,
-  transformedSize: 1
+  transformedSize: 1,
+  randomizationSeed: 1,
+  version: 1
 };
 
 const deprecationFields = {
@@ -107,3 +109,46 @@ export default async function(client) {
     applicationProtection: fragmentToQL(fragments.applicationProtection)
   };
 }
+
+const reportProtectionFields = {
+  _id: 1,
+  state: 1,
+  finishedAt: 1,
+  parameters: 1,
+  randomizationSeed: 1,
+  version: 1,
+  codeHardeningThreshold: 1,
+  profilingDataMode: 1,
+  useProfilingData: 1,
+  tolerateMinification: 1,
+  debugMode: 1
+};
+
+const reportSourceFields = {
+  filename: 1,
+  size: 1,
+  transformedSize: 1
+};
+
+/**
+ * Fragments of `getProtection` with the options a protection was made with,
+ * for protection reports. Fields unknown to the API version are left out.
+ * @param {object} client
+ * @returns {Promise<{application: string, applicationProtection: string}>}
+ */
+export async function getProtectionReportFragments(client) {
+  const appProtection = await getIntrospection(client, 'ApplicationProtection');
+  const source = await getIntrospection(client, 'ApplicationSource');
+
+  const fragment = appProtection
+    ? getAvaliableFragments(appProtection.fields, reportProtectionFields)
+    : {_id: 1};
+  if (source) {
+    fragment.sources = getAvaliableFragments(source.fields, reportSourceFields);
+  }
+
+  return {
+    application: fragmentToQL({name: 1}),
+    applicationProtection: fragmentToQL(fragment)
+  };
+}
@@ -1,4 +1,3 @@
-/* eslint-disable no-console */
 import 'babel-polyfill';
 
 import glob from 'glob';
@@ -12,43 +11,100 @@ import generateSignedParams from './generate-signed-params';
 import JscramblerClient from './client';
 import * as mutations from './mutations';
 import * as queries from './queries';
-import {zip, zipSources, unzip, outputFileSync} from './zip';
+import {
+  generateArchive,
+  zip,
+  zipSources,
+  unzip,
+  outputFileSync
+} from './zip';
 import * as introspection from './introspection';
-
-import getProtectionDefaultFragments from './get-protection-default-fragments';
+import * as errors from './errors';
+import {throwIfAborted, wait} from './abort';
+import {createLogger, consoleSink} from './logger';
+import {writeManifest} from './manifest';
+import {formatErrorLocation, mapSourcesErrors} from './input-source-maps';
+import {
+  composeSourceMaps as composeProtectionSourceMaps,
+  getComposeSourceMapsOptions
+} from './compose-source-maps';
+import {
+  mergeSymbolTables,
+  parseSymbolTable,
+  readStoredSymbolTable,
+  storeSymbolTable
+} from './symbol-table-store';
+import {createReport, writeReport} from './report';
+import {
+  applySizeBudget,
+  checkSizeBudget,
+  getProtectionSizes,
+  getSizeBudget
+} from './size-budget';
+import {
+  getCacheKey,
+  getCacheOptions,
+  readCacheEntry,
+  removeCacheEntry,
+  writeCacheEntry
+} from './cache';
+
+import getProtectionDefaultFragments, {
+  getProtectionReportFragments
+} from './get-protection-default-fragments';
 
 const {intoObjectType} = introspection;
+const {
+  AbortError,
+  ClientError,
+  ConfigurationError,
+  GraphQLError,
+  InstrumentationFailedError,
+  ProfilingStateError,
+  ProtectionCanceledError,
+  ProtectionFailedError,
+  TimeoutError
+} = errors;
+
+export * from './errors';
+export {createLogger, consoleSink};
 
-const debug = !!process.env.DEBUG;
 const APP_URL = 'https://app.jscrambler.com';
 
-function errorHandler(res) {
+export function errorHandler(res) {
+  if (res instanceof Error) {
+    throw res;
+  }
+
   if (res.errors && res.errors.length) {
     res.errors.forEach(error => {
-      throw new Error(`Error: ${error.message}`);
+      throw new GraphQLError(`Error: ${error.message}`, res.errors);
     });
   }
 
   if (res.data && res.data.errors) {
-    res.data.errors.forEach(e => console.error(e.message));
-    throw new Error('GraphQL Query Error');
+    throw new GraphQLError(
+      `GraphQL Query Error: ${res.data.errors.map(e => e.message).join('\n')}`,
+      res.data.errors
+    );
   }
 
   if (res.message) {
-    throw new Error(`Error: ${res.message}`);
+    throw new ClientError(`Error: ${res.message}`);
   }
 
   return res;
 }
 
-function printSourcesErrors(errors) {
-  console.error('Application sources errors:');
-  console.error(JSON.stringify(errors, null, 2));
-  console.error('');
+function logSourcesErrors(logger, errors) {
+  logger.error(
+    `Application sources errors:\n${JSON.stringify(errors, null, 2)}\n`,
+    {sourcesErrors: errors}
+  );
 }
 
 
-function normalizeParameters(parameters) {
+export function normalizeParameters(parameters) {
   let result;
 
   if (!Array.isArray(parameters)) {
@@ -66,6 +122,178 @@ function normalizeParameters(parameters) {
   return result;
 }
 
+const PROFILING_PENDING_STATES = ['RUNNING', 'STOPPED'];
+
+const pollingDefaults = {
+  // 0 means no timeout
+  timeout: 0,
+  minInterval: 500,
+  maxInterval: 5000,
+  factor: 1.5
+};
+
+/**
+ * Fetch a resource until it reaches a final state. The interval between
+ * requests grows while the state doesn't change and resets on every change.
+ * `onProgress` is called after every request with the current state.
+ * @param {{
+ *  fetch: function(): Promise<object>,
+ *  getState: function(object): string,
+ *  isFinal: function(string): boolean,
+ *  type: string,
+ *  id: string,
+ *  polling: ?{timeout: number, minInterval: number, maxInterval: number, factor: number},
+ *  onProgress: ?function,
+ *  signal: ?AbortSignal
+ * }} opts
+ * @returns {Promise<object>} the last fetched resource
+ * @throws {TimeoutError}
+ * @throws {AbortError} if `signal` is aborted
+ */
+// Not a function declaration because it would be hoisted above the
+// `babel-polyfill` import, which provides `regeneratorRuntime`.
+const pollUntilFinal = async ({
+  fetch,
+  getState,
+  isFinal,
+  type,
+  id,
+  polling,
+  onProgress,
+  signal
+}) => {
+  const {timeout, minInterval, maxInterval, factor} = defaults(
+    {},
+    polling,
+    pollingDefaults
+  );
+  const startedAt = Date.now();
+  let interval = minInterval;
+  let previousState;
+
+  for (;;) {
+    throwIfAborted(signal);
+    const resource = await fetch();
+    const state = getState(resource);
+    const elapsed = Date.now() - startedAt;
+    const final = isFinal(state);
+
+    if (onProgress) {
+      onProgress({type, id, state, previousState, elapsed, final});
+    }
+
+    if (final) {
+      return resource;
+    }
+
+    if (timeout && elapsed >= timeout) {
+      throw new TimeoutError(
+        `The ${type} ${id} did not finish after ${Math.round(
+          elapsed / 1000
+        )}s (last state: ${state}).`,
+        id
+      );
+    }
+
+    interval =
+      state === previousState
+        ? Math.min(maxInterval, interval * factor)
+        : minInterval;
+    previousState = state;
+
+    const delay = timeout
+      ? Math.min(interval, Math.max(0, timeout - elapsed))
+      : interval;
+    await wait(delay, signal);
+  }
+};
+
+/**
+ * Read an input file, or the file next to it, by name. Uploaded files are read
+ * from `zipped`, others from disk when the inputs come from there.
+ * @param {?JSZip} zipped
+ * @param {?string} dir the directory `filesSrc` are relative to, if any
+ * @returns {function(string): Promise<?string>}
+ */
+function createInputReader(zipped, dir) {
+  return async name => {
+    const file = zipped && zipped.files[name];
+    if (file && !file.dir) {
+      return file.async('string');
+    }
+    if (typeof dir !== 'string') {
+      return undefined;
+    }
+    try {
+      return fs.readFileSync(path.resolve(dir, name), 'utf-8');
+    } catch (e) {
+      return undefined;
+    }
+  };
+}
+
+/**
+ * Zip `filesSrc` (glob patterns, paths or vinyl files) or `sources`.
+ * @param {{sources: ?Array, filesSrc: ?Array, cwd: ?string}} opts
+ * @param {object} logger
+ * @returns {Promise<?JSZip>} nothing if there are no sources
+ */
+function zipApplicationSources({sources, filesSrc, cwd}, logger) {
+  if (filesSrc && filesSrc.length) {
+    let _filesSrc = [];
+    for (let i = 0, l = filesSrc.length; i < l; i += 1) {
+      if (typeof filesSrc[i] === 'string') {
+        // TODO Replace `glob.sync` with async version
+        _filesSrc = _filesSrc.concat(
+          glob.sync(filesSrc[i], {
+            dot: true
+          })
+        );
+      } else {
+        _filesSrc.push(filesSrc[i]);
+      }
+    }
+
+    logger.debug('Creating zip from source files');
+
+    return zip(_filesSrc, cwd, logger);
+  } else if (sources) {
+    logger.debug('Creating zip from sources');
+
+    return zipSources(sources, logger);
+  }
+
+  return Promise.resolve();
+}
+
+// Source names as stored by the API: without leading `./` or `/`
+function normalizeSourceName(name) {
+  return name.replace(/\\/g, '/').replace(/^(\.?\/)+/, '');
+}
+
+// Sources are sent one by one as text, which only UTF-8 files survive
+function isUtf8(buffer) {
+  return Buffer.from(buffer.toString('utf-8'), 'utf-8').equals(buffer);
+}
+
+// Every source of an application with its content, in a single request
+const applicationSourcesFragments = `
+  _id,
+  sources {
+    _id,
+    filename,
+    extension,
+    content
+  }
+`;
+
+// The parameters an application is protected with, when not given
+const applicationParametersFragments = `
+  _id,
+  parameters,
+  areSubscribersOrdered
+`;
+
 function buildFinalConfig(configPathOrObject) {
   const _config =
     typeof configPathOrObject === 'string'
@@ -78,6 +306,8 @@ function buildFinalConfig(configPathOrObject) {
 export default {
   Client: JscramblerClient,
   config,
+  errors,
+  createLogger,
   generateSignedParams,
   /**
    * Remove and Add application sources
@@ -87,20 +317,20 @@ export default {
    *  sources: Array.<{filename: string, content: string}>,
    *  filesSrc: Array.<string>,
    *  cwd: string,
-   *  appProfiling: ?object
-   * }} opts
+   *  appProfiling: ?object,
+   *  onEvent: ?function,
+   *  zipped: ?JSZip
+   * }} opts `zipped` skips zipping `sources` or `filesSrc` again
    * @returns {Promise<{extension: string, filename: string, content: *}>}
    */
-  async updateApplicationSources(
-    client,
-    applicationId,
-    {sources, filesSrc, cwd, appProfiling}
-  ) {
+  async updateApplicationSources(client, applicationId, opts) {
+    const {sources, filesSrc, cwd, appProfiling, onEvent} = opts;
     if (sources || (filesSrc && filesSrc.length)) {
       // prevent removing sources if profiling state is READY
       if (appProfiling && appProfiling.data.state === 'READY') {
-        throw new Error(
-          'You have a finished Profiling for this application so you are NOT ALLOWED to update sources. To override this behavior use *--remove-profiling-data* or *--skip-sources*.'
+        throw new ProfilingStateError(
+          'You have a finished Profiling for this application so you are NOT ALLOWED to update sources. To override this behavior use *--remove-profiling-data* or *--skip-sources*.',
+          appProfiling.data.state
         );
       }
 
@@ -113,48 +343,25 @@ export default {
       errorHandler(removeSourceRes);
     }
 
-    let zipped;
     let source;
-
-    if (filesSrc && filesSrc.length) {
-      let _filesSrc = [];
-      for (let i = 0, l = filesSrc.length; i < l; i += 1) {
-        if (typeof filesSrc[i] === 'string') {
-          // TODO Replace `glob.sync` with async version
-          _filesSrc = _filesSrc.concat(
-            glob.sync(filesSrc[i], {
-              dot: true
-            })
-          );
-        } else {
-          _filesSrc.push(filesSrc[i]);
-        }
-      }
-
-      if (debug) {
-        console.log('Creating zip from source files');
-      }
-
-      zipped = await zip(_filesSrc, cwd);
-    } else if (sources) {
-      if (debug) {
-        console.log('Creating zip from sources');
-      }
-
-      zipped = await zipSources(sources);
-    }
+    const zipped =
+      opts.zipped ||
+      (await zipApplicationSources({sources, filesSrc, cwd}, client.logger));
 
     if (zipped) {
-      const content = zipped
-        .generate({
-          type: 'nodebuffer'
-        })
-        .toString('base64');
-
-      if (debug) {
-        console.log('Adding sources to application');
+      const buffer = await generateArchive(zipped);
+      const content = buffer.toString('base64');
+
+      if (onEvent) {
+        onEvent({
+          type: 'sourcesZipped',
+          files: Object.keys(zipped.files).filter(f => !zipped.files[f].dir),
+          size: buffer.length
+        });
       }
 
+      client.logger.debug('Adding sources to application');
+
       source = {
         content,
         filename: 'application.zip',
@@ -164,10 +371,203 @@ export default {
       errorHandler(
         await this.addApplicationSource(client, applicationId, source)
       );
+
+      if (onEvent) {
+        onEvent({type: 'sourcesUploaded', applicationId, size: buffer.length});
+      }
     }
 
     return source;
   },
+  /**
+   * Update the application sources in place, only adding, updating or removing
+   * the files that changed since the last upload. If any step fails, the
+   * changes already applied are reverted so the application keeps its previous
+   * sources.
+   * @param {object} client
+   * @param {string} applicationId
+   * @param {object} opts same as `updateApplicationSources`
+   * @returns {Promise<?{added: Array.<string>, updated: Array.<string>, removed: Array.<string>}>}
+   * nothing if there are binary files, which are uploaded with every other
+   * file by `updateApplicationSources` instead
+   */
+  async syncApplicationSources(client, applicationId, opts) {
+    const {sources, filesSrc, cwd, appProfiling, onEvent} = opts;
+    const {logger} = client;
+    const changes = {added: [], updated: [], removed: []};
+
+    const zipped =
+      opts.zipped ||
+      (await zipApplicationSources({sources, filesSrc, cwd}, logger));
+    if (!zipped) {
+      return changes;
+    }
+
+    const localSources = {};
+    let size = 0;
+    const names = Object.keys(zipped.files).filter(
+      name => !zipped.files[name].dir
+    );
+    for (const name of names) {
+      const content = await zipped.files[name].async('nodebuffer');
+      localSources[normalizeSourceName(name)] = content;
+      size += content.length;
+    }
+
+    const binaryFiles = Object.keys(localSources).filter(
+      name => !isUtf8(localSources[name])
+    );
+    if (binaryFiles.length > 0) {
+      logger.warn(
+        `Binary files can not be uploaded incrementally (${binaryFiles.join(
+          ', '
+        )}). Uploading all the sources instead.`
+      );
+      await this.updateApplicationSources(client, applicationId, {
+        ...opts,
+        zipped
+      });
+      return undefined;
+    }
+
+    if (onEvent) {
+      onEvent({type: 'sourcesZipped', files: Object.keys(localSources), size});
+    }
+
+    // The remote contents are kept to revert the operations if needed
+    const applicationRes = errorHandler(
+      await this.getApplication(
+        client,
+        applicationId,
+        applicationSourcesFragments
+      )
+    );
+    const remoteSources = applicationRes.data.application.sources || [];
+
+    const operations = [];
+    for (const previous of remoteSources) {
+      const {filename} = previous;
+      const content = localSources[normalizeSourceName(filename)];
+
+      if (typeof content === 'undefined') {
+        operations.push({type: 'removed', filename, previous});
+      } else if (
+        !content.equals(Buffer.from(previous.content || '', 'utf-8'))
+      ) {
+        operations.push({type: 'updated', filename, previous, content});
+      }
+    }
+
+    const remoteFilenames = remoteSources.map(({filename}) =>
+      normalizeSourceName(filename)
+    );
+    Object.keys(localSources)
+      .filter(filename => !remoteFilenames.includes(filename))
+      .forEach(filename =>
+        operations.push({
+          type: 'added',
+          filename,
+          content: localSources[filename]
+        })
+      );
+
+    if (
+      operations.length > 0 &&
+      appProfiling &&
+      appProfiling.data.state === 'READY'
+    ) {
+      throw new ProfilingStateError(
+        'You have a finished Profiling for this application so you are NOT ALLOWED to update sources. To override this behavior use *--remove-profiling-data* or *--skip-sources*.',
+        appProfiling.data.state
+      );
+    }
+
+    // Removals go last, so a failure leaves every previous file in place
+    operations.sort(
+      (a, b) =>
+        ['added', 'updated', 'removed'].indexOf(a.type) -
+        ['added', 'updated', 'removed'].indexOf(b.type)
+    );
+
+    const apply = (_client, {type, filename, previous, content}) => {
+      switch (type) {
+        case 'added':
+          return this.addApplicationSource(_client, applicationId, {
+            filename,
+            content: content.toString('utf-8'),
+            extension: path.extname(filename).substr(1)
+          });
+        case 'updated':
+          return this.updateApplicationSource(_client, {
+            _id: previous._id,
+            content: content.toString('utf-8')
+          });
+        default:
+          return this.removeSourceFromApplication(
+            _client,
+            previous.filename,
+            applicationId
+          );
+      }
+    };
+    const revert = (_client, {type, filename, previous}) => {
+      switch (type) {
+        case 'added':
+          return this.removeSourceFromApplication(
+            _client,
+            filename,
+            applicationId
+          );
+        case 'updated':
+          return this.updateApplicationSource(_client, {
+            _id: previous._id,
+            content: previous.content
+          });
+        default:
+          return this.addApplicationSource(_client, applicationId, {
+            filename: previous.filename,
+            content: previous.content,
+            extension: previous.extension
+          });
+      }
+    };
+
+    const applied = [];
+    try {
+      for (const operation of operations) {
+        logger.debug(`Source ${operation.filename} ${operation.type}`);
+        errorHandler(await apply(client, operation));
+        applied.push(operation);
+      }
+    } catch (e) {
+      logger.error(
+        `Could not update the application sources (${e.message}). Restoring the previous ones.`
+      );
+      // An aborted client would fail every request
+      const revertClient = client.options.signal
+        ? new this.Client({...client.options, signal: undefined})
+        : client;
+      for (const operation of applied.reverse()) {
+        try {
+          errorHandler(await revert(revertClient, operation));
+        } catch (err) {
+          logger.error(`Could not restore ${operation.filename}: ${err.message}`);
+        }
+      }
+      throw e;
+    }
+
+    operations.forEach(({type, filename}) => changes[type].push(filename));
+    logger.debug(
+      `Sources synchronized: ${changes.added.length} added, ${changes.updated.length} updated, ${changes.removed.length} removed`
+    );
+
+    if (onEvent) {
+      onEvent({type: 'sourcesUploaded', applicationId, size, ...changes});
+    }
+
+    return changes;
+  },
   // This method is a shortcut method that accepts an object with everything needed
   // for the entire process of requesting an application protection and downloading
   // that same protection when the same ends.
@@ -200,7 +600,9 @@ export default {
   // ```
   //
   // `filesSrc` supports glob patterns, and if it's provided it will replace the
-  // entire application sources.
+  // entire application sources. With `incrementalSources`, only the files that changed
+  // are added, updated or removed instead, and the previous sources are restored if
+  // any of these steps fails.
   //
   // `params` if provided will replace all the application transformation parameters.
   //
@@ -211,6 +613,67 @@ export default {
   // endpoint than the default one, useful if you're running an enterprise version of
   // Jscrambler or if you're provided access to beta features of our product.
   //
+  // `polling` controls how the protection state is polled: `timeout` (ms, 0 for no
+  // timeout), `minInterval`, `maxInterval` (ms) and `factor` (interval growth while
+  // the state doesn't change). `onProgress`, if provided, is called after every poll
+  // with `{type, id, state, previousState, elapsed, final}`.
+  //
+  // `onResult`, if provided, is called with a summary of the protection (id, state,
+  // growth warning, deprecations, source errors, written files and timings) once the
+  // protection finishes, even when it fails.
+  //
+  // `onEvent`, if provided, is called with `{type, applicationId, ...}` as the protection
+  // goes through its lifecycle. The types are `sourcesZipped` (`files`, `size`),
+  // `sourcesUploaded` (`size`), `applicationUpdated`, `protectionCreated` (`protectionId`),
+  // `stateChanged` (`state`, `previousState`), `warning` (`message`, plus `deprecation` or
+  // `sourceError` when caused by one), `downloadStarted` and `filesWritten` (`files`).
+  // All the events after `protectionCreated` also have the `protectionId`.
+  //
+  // `logger` is either a logger created with `createLogger` or its `{level, sink}` options.
+  // Everything is logged through it, nothing is written to the console directly.
+  //
+  // `trace`, if provided, is the path of a HAR file where every request and response is
+  // recorded, with keys, signatures, tokens and source content redacted.
+  //
+  // `signal` (an `AbortSignal`) stops the upload, the polling and the download as soon
+  // as it's aborted. If the protection was already created it's canceled on the server
+  // before rejecting with an `AbortError`.
+  //
+  // `cache` (`true` or `{dir, maxSize}`) keeps the downloaded protections in a local
+  // cache, keyed on the sources and the protection options. When nothing changed since
+  // a previous protection its result is restored without any request. With
+  // `symbolTableStore`, the symbol table of the cached protection is still stored. The
+  // cache is not used with `removeProfilingData`, which changes the application.
+  //
+  // `manifest`, if provided, is the path of a JSON file listing every protected file with
+  // its input and output paths, sizes, sha256 and SRI (`sha384-...`) value, along with the
+  // protection id, jscramblerVersion and seed.
+  //
+  // `sizeBudget` (`{maxGrowth, maxFileSize, maxFileGrowth, warn}`) fails with a
+  // `SizeBudgetError`, before any file is written, when the protected files grow past it.
+  // With `warn: true` the violations are only reported as warnings.
+  //
+  // `report`, if provided, is the path of a report of the protection: sizes of each file,
+  // parameters, deprecations, source errors, code hardening and profiling settings and
+  // timings. It's written as HTML if the path ends with `.html`, as JSON otherwise.
+  //
+  // `maxWarnings` fails protections made with `bail: false` when they have more non-fatal
+  // source errors than that, with a `ProtectionFailedError`.
+  //
+  // `symbolTableStore`, if provided, is a directory keeping the symbol tables of each
+  // application. The stored table is used as input symbol table (merged with
+  // `inputSymbolTable`, which takes precedence) and the table of the protection is
+  // downloaded and merged into it afterwards, so identifiers are renamed the same way
+  // across builds.
+  //
+  // `composeSourceMaps` (`true` or `{sourcesContent, sourceMappingURL}`) requires the
+  // `sourceMaps` parameter. The Jscrambler source map of each protected file is composed
+  // with its input source map and written in its place (`<file>.map` if it was inline),
+  // so protected code maps back to the original sources. `sourcesContent: false` leaves
+  // the sources out of the maps. `sourceMappingURL` is `keep` (default) to point the
+  // protected files to their map, `hidden` to remove the comment, or a URL prefix the map
+  // paths are appended to.
+  //
   async protectAndDownload(configPathOrObject, destCallback) {
     const finalConfig = buildFinalConfig(configPathOrObject);
 
@@ -245,12 +708,36 @@ export default {
       profilingDataMode,
       removeProfilingData,
       skipSources,
-      inputSymbolTable
+      inputSymbolTable,
+      onResult,
+      onProgress,
+      polling,
+      retry,
+      trace,
+      signal,
+      onEvent,
+      cache,
+      incrementalSources,
+      manifest,
+      sizeBudget,
+      report,
+      maxWarnings = Infinity,
+      symbolTableStore,
+      composeSourceMaps
     } = finalConfig;
 
+    const startedAt = Date.now();
+    const timings = {};
+    const logger = createLogger(finalConfig.logger);
+    const emit = (type, data) => {
+      if (onEvent) {
+        onEvent({type, applicationId, ...data});
+      }
+    };
+
     const {accessKey, secretKey} = keys;
 
-    const client = new this.Client({
+    const clientOptions = {
       accessKey,
       secretKey,
       host,
@@ -260,8 +747,12 @@ export default {
       cafile,
       jscramblerVersion,
       proxy,
-      clientId
-    });
+      clientId,
+      retry,
+      logger,
+      trace
+    };
+    const client = new this.Client({...clientOptions, signal});
 
     let filesSrc = finalConfig.filesSrc;
     let filesDest = finalConfig.filesDest;
@@ -275,11 +766,223 @@ export default {
     }
 
     if (!applicationId) {
-      throw new Error('Required *applicationId* not provided');
+      throw new ConfigurationError('Required *applicationId* not provided');
     }
 
     if (!filesDest && !destCallback) {
-      throw new Error('Required *filesDest* not provided');
+      throw new ConfigurationError('Required *filesDest* not provided');
+    }
+
+    let cacheOptions = getCacheOptions(cache);
+    if (cacheOptions && removeProfilingData) {
+      // The profiling data must be deleted on the server, a cached protection
+      // would skip it
+      logger.debug('Not using the cache, *removeProfilingData* is set');
+      cacheOptions = undefined;
+    }
+    const budget = getSizeBudget(sizeBudget);
+    const composeOptions = getComposeSourceMapsOptions(composeSourceMaps);
+    if (composeOptions && !sourceMaps) {
+      throw new ConfigurationError(
+        '*composeSourceMaps* requires the *sourceMaps* parameter'
+      );
+    }
+    const reportOptions = {
+      params: params && normalizeParameters(params),
+      jscramblerVersion,
+      seed: randomizationSeed,
+      codeHardeningThreshold,
+      profilingDataMode,
+      useProfilingData
+    };
+    // Note: we can not use the fs.promises API because some users may not have node 10.
+    // Once node 10 is old enough to be safe to assume that all users will have it, this
+    // should be safe to replace with `await fs.promises.readFile`.
+    let inputSymbolTableContents =
+      inputSymbolTable && fs.readFileSync(inputSymbolTable, 'utf-8');
+    const storedSymbolTable =
+      symbolTableStore && readStoredSymbolTable(symbolTableStore, applicationId);
+    if (storedSymbolTable) {
+      const tables = [storedSymbolTable];
+      if (inputSymbolTableContents) {
+        tables.unshift(parseSymbolTable(inputSymbolTableContents, inputSymbolTable));
+      }
+      const {table, conflicts} = mergeSymbolTables(tables);
+      conflicts.forEach(({kind, name, transformed, ignored}) =>
+        logger.debug(
+          `Symbol table store: ${kind} ${name} is renamed to ${transformed} instead of ${ignored}`
+        )
+      );
+      inputSymbolTableContents = JSON.stringify(table);
+      logger.debug(`Using the symbol table stored in ${symbolTableStore}`);
+    }
+
+    // Merge the symbol table of a protection into the store
+    const downloadAndStoreSymbolTable = async protectionId => {
+      try {
+        const symbolTable = await this.downloadSymbolTableRequest(
+          client,
+          protectionId
+        );
+        const {file, conflicts} = storeSymbolTable(
+          symbolTableStore,
+          applicationId,
+          protectionId,
+          Buffer.from(symbolTable)
+        );
+        conflicts.forEach(({kind, name, transformed, ignored}) => {
+          const message = `Warning: ${kind} ${name} was renamed to ${ignored}, but it was renamed to ${transformed} by a previous protection.`;
+          logger.warn(message);
+          emit('warning', {protectionId, message});
+        });
+        logger.debug(`Symbol table stored in ${file}`);
+        return file;
+      } catch (e) {
+        logger.warn(
+          `Could not store the symbol table of protection ${protectionId}: ${e.message}`
+        );
+        return undefined;
+      }
+    };
+
+    let zipped;
+    let cacheKey;
+    // The manifest, the size budget, the report and the source maps composition
+    // need the input files too, zip them once for everything
+    if (
+      (cacheOptions || manifest || budget || report || composeOptions) &&
+      !skipSources
+    ) {
+      zipped = await zipApplicationSources({sources, filesSrc, cwd}, logger);
+    }
+    if (zipped && cacheOptions) {
+      let applicationParameters;
+      if (!params || Object.keys(params).length === 0) {
+        // The protection uses the parameters of the application, which may
+        // have changed in the web app since the cached protection
+        const applicationRes = errorHandler(
+          await this.getApplication(
+            client,
+            applicationId,
+            applicationParametersFragments
+          )
+        );
+        const {parameters, areSubscribersOrdered: ordered} =
+          applicationRes.data.application;
+        applicationParameters = {
+          parameters:
+            typeof parameters === 'string' ? JSON.parse(parameters) : parameters,
+          areSubscribersOrdered: ordered
+        };
+      }
+      cacheKey = await getCacheKey(zipped, {
+        applicationId,
+        params: params && normalizeParameters(params),
+        applicationParameters,
+        applicationTypes,
+        languageSpecifications,
+        sourceMaps,
+        randomizationSeed,
+        areSubscribersOrdered,
+        useRecommendedOrder,
+        bail,
+        jscramblerVersion,
+        debugMode,
+        tolerateMinification,
+        codeHardeningThreshold,
+        useProfilingData,
+        browsers,
+        useAppClassification,
+        profilingDataMode,
+        inputSymbolTable: inputSymbolTableContents,
+        composeSourceMaps: composeOptions
+      });
+
+      const cached = readCacheEntry(cacheOptions, cacheKey);
+      let sizes;
+      if (cached && (budget || report)) {
+        sizes = await getProtectionSizes({
+          inputs: zipped,
+          download: cached.content
+          // An invalid entry is ignored below
+        }).catch(() => undefined);
+      }
+      if (sizes && budget) {
+        sizes.violations = checkSizeBudget(budget, sizes);
+        applySizeBudget(budget, sizes, cached.protectionId, logger, emit);
+      }
+      if (cached && (cached.sourcesErrors || []).length > maxWarnings) {
+        throw new ProtectionFailedError(
+          `Your protection has ${cached.sourcesErrors.length} non-fatal errors, more than the maximum of ${maxWarnings}.`,
+          cached.protectionId,
+          cached.sourcesErrors
+        );
+      }
+      if (cached) {
+        let files;
+        try {
+          files = await unzip(cached.content, filesDest || destCallback, stream);
+        } catch (e) {
+          logger.warn(`Ignoring invalid cache entry ${cacheKey}: ${e.message}`);
+          removeCacheEntry(cacheOptions, cacheKey);
+        }
+
+        if (files) {
+          const {protectionId} = cached;
+          logger.debug(`Protection ${protectionId} restored from cache`);
+          emit('filesWritten', {protectionId, files, cached: true});
+          if (manifest) {
+            await writeManifest(manifest, {
+              protectionId,
+              applicationId,
+              jscramblerVersion: cached.jscramblerVersion,
+              seed: cached.seed,
+              inputs: zipped,
+              download: cached.content,
+              files
+            });
+          }
+          const cachedResult = {
+            protectionId,
+            applicationId,
+            state: 'finished',
+            growthWarning: !!cached.growthWarning,
+            deprecations: cached.deprecations || [],
+            errorMessage: null,
+            sourcesErrors: cached.sourcesErrors || [],
+            files,
+            cached: true,
+            timings: {total: Date.now() - startedAt}
+          };
+          if (budget) {
+            cachedResult.sizes = sizes;
+          }
+          if (symbolTableStore) {
+            cachedResult.symbolTable = await downloadAndStoreSymbolTable(
+              protectionId
+            );
+          }
+          if (report) {
+            writeReport(
+              report,
+              createReport({
+                ...cachedResult,
+                options: {
+                  ...reportOptions,
+                  jscramblerVersion: cached.jscramblerVersion,
+                  seed: cached.seed
+                },
+                sizes
+              })
+            );
+          }
+          if (onResult) {
+            onResult(cachedResult);
+          }
+          logger.info(protectionId);
+          return protectionId;
+        }
+      }
     }
 
     let source;
@@ -296,14 +999,27 @@ export default {
         appProfiling.data.state = 'DELETED';
       }
 
-      source = await this.updateApplicationSources(client, applicationId, {
+      const sourcesStartedAt = Date.now();
+      const sourcesOptions = {
         sources,
         filesSrc,
         cwd,
-        appProfiling
-      });
+        appProfiling,
+        zipped,
+        onEvent: ({type, ...data}) => emit(type, data)
+      };
+      if (incrementalSources) {
+        await this.syncApplicationSources(client, applicationId, sourcesOptions);
+      } else {
+        source = await this.updateApplicationSources(
+          client,
+          applicationId,
+          sourcesOptions
+        );
+      }
+      timings.sources = Date.now() - sourcesStartedAt;
     } else {
-      console.log('Update source files SKIPPED');
+      logger.info('Update source files SKIPPED');
     }
 
     const updateData = {
@@ -359,9 +1075,7 @@ export default {
       updateData.browsers ||
       typeof updateData.areSubscribersOrdered !== 'undefined'
     ) {
-      if (debug) {
-        console.log('Updating parameters of protection');
-      }
+      logger.debug('Updating parameters of protection');
 
       const applicationUpdate = await intoObjectType(
         client,
@@ -372,28 +1086,23 @@ export default {
         client,
         applicationUpdate
       );
-      if (debug) {
-        console.log('Finished updating parameters of protection');
-        console.error(updateApplicationRes);
-      }
+      logger.debug('Finished updating parameters of protection', {
+        response: updateApplicationRes
+      });
       errorHandler(updateApplicationRes);
+      emit('applicationUpdated');
     }
 
-    if (debug) {
-      console.log('Creating Application Protection');
-    }
+    logger.debug('Creating Application Protection');
 
     delete updateData._id;
     const protectionOptions = {bail, randomizationSeed, tolerateMinification, source, inputSymbolTable, ...updateData};
 
-    if (finalConfig.inputSymbolTable) {
-      // Note: we can not use the fs.promises API because some users may not have node 10.
-      // Once node 10 is old enough to be safe to assume that all users will have it, this
-      // should be safe to replace with `await fs.promises.readFile`.
-      const inputSymbolTableContents = fs.readFileSync(finalConfig.inputSymbolTable, 'utf-8');
+    if (inputSymbolTableContents) {
       protectionOptions.inputSymbolTable = inputSymbolTableContents;
     }
 
+    const protectionStartedAt = Date.now();
     const createApplicationProtectionRes = await this.createApplicationProtection(
       client,
       applicationId,
@@ -403,34 +1112,74 @@ export default {
 
     const protectionId =
       createApplicationProtectionRes.data.createApplicationProtection._id;
-    const protection = await this.pollProtection(
-      client,
-      applicationId,
-      protectionId,
-      await getProtectionDefaultFragments(client)
-    );
-    if (protection.growthWarning) {
-      console.warn(`Warning: Your protected application has surpassed a reasonable file growth.\nFor more information on what might have caused this, please see the Protection Report.\nLink: ${APP_URL}.`);
+    emit('protectionCreated', {protectionId});
+
+    let protection;
+    try {
+      protection = await this.pollProtection(
+        client,
+        applicationId,
+        protectionId,
+        await getProtectionDefaultFragments(client),
+        {
+          polling,
+          signal,
+          onProgress: progress => {
+            if (progress.state !== progress.previousState) {
+              emit('stateChanged', {
+                protectionId,
+                state: progress.state,
+                previousState: progress.previousState
+              });
+            }
+            if (onProgress) {
+              onProgress(progress);
+            }
+          }
+        }
+      );
+    } catch (e) {
+      if (e instanceof AbortError) {
+        // `client` only fails from now on, so cancel with a new one
+        await this.cancelProtection(
+          new this.Client(clientOptions),
+          protectionId,
+          applicationId
+        )
+          .then(errorHandler)
+          .catch(err =>
+            logger.error(
+              `Could not cancel protection ${protectionId}: ${err.message}`
+            )
+          );
+        throw new AbortError(`Protection ${protectionId} was aborted`);
+      }
+      throw e;
     }
-    if (debug) {
-      console.log('Finished protecting');
+    timings.protection = Date.now() - protectionStartedAt;
+    if (protection.growthWarning) {
+      const message = `Warning: Your protected application has surpassed a reasonable file growth.\nFor more information on what might have caused this, please see the Protection Report.\nLink: ${APP_URL}.`;
+      logger.warn(message);
+      emit('warning', {protectionId, message});
     }
+    logger.debug('Finished protecting');
 
     if (protection.deprecations) {
       protection.deprecations.forEach(deprecation => {
+        let message;
         if (deprecation.type === 'Transformation') {
-          console.warn(
-            `Warning: ${deprecation.type} ${deprecation.entity} is no longer maintained. Please consider removing it from your configuration.`
-          );
+          message = `Warning: ${deprecation.type} ${deprecation.entity} is no longer maintained. Please consider removing it from your configuration.`;
         } else if (deprecation.type && deprecation.entity) {
-          console.warn(
-            `Warning: ${deprecation.type} ${deprecation.entity} is deprecated.`
-          );
+          message = `Warning: ${deprecation.type} ${deprecation.entity} is deprecated.`;
+        }
+        if (message) {
+          logger.warn(message);
+          emit('warning', {protectionId, message, deprecation});
         }
       });
     }
 
-    const sourcesErrors = [];
+    let sourcesErrors = [];
 
     protection.sources.forEach(s => {
       if (s.errorMessages && s.errorMessages.length > 0) {
@@ -443,51 +1192,209 @@ export default {
       }
     });
 
+    if (sourcesErrors.length > 0 && !skipSources) {
+      // Point errors of bundled or transpiled inputs to the original sources
+      if (!zipped) {
+        zipped = await zipApplicationSources({sources, filesSrc, cwd}, logger);
+      }
+      sourcesErrors = await mapSourcesErrors(
+        sourcesErrors,
+        createInputReader(zipped, filesSrc && (cwd || '')),
+        logger
+      );
+    }
+
+    const result = {
+      protectionId,
+      applicationId,
+      state: protection.state,
+      growthWarning: !!protection.growthWarning,
+      deprecations: protection.deprecations || [],
+      errorMessage: protection.errorMessage,
+      sourcesErrors,
+      files: [],
+      cached: false,
+      timings
+    };
+    let sizes;
+    const reportResult = async () => {
+      timings.total = Date.now() - startedAt;
+      if (report) {
+        let details;
+        try {
+          const res = errorHandler(
+            await this.getApplicationProtection(
+              client,
+              applicationId,
+              protectionId,
+              await getProtectionReportFragments(client)
+            )
+          );
+          details = {
+            ...res.data.applicationProtection,
+            application: res.data.application
+          };
+        } catch (e) {
+          logger.warn(
+            `Could not fetch the details of protection ${protectionId} for the report: ${e.message}`
+          );
+        }
+        writeReport(
+          report,
+          createReport({...result, details, options: reportOptions, sizes})
+        );
+        logger.debug(`Report written to ${report}`);
+      }
+      if (onResult) {
+        onResult(result);
+      }
+    };
+
     if (protection.state === 'errored') {
-      console.error('Global protection errors:');
-      console.error(`- ${protection.errorMessage}`);
-      console.error('');
+      await reportResult();
+      logger.error(`Global protection errors:\n- ${protection.errorMessage}\n`);
       if (sourcesErrors.length > 0) {
-        printSourcesErrors(sourcesErrors);
+        logSourcesErrors(logger, sourcesErrors);
       }
-      throw new Error(`Protection failed. For more information visit: ${APP_URL}.`);
+      throw new ProtectionFailedError(
+        `Protection failed. For more information visit: ${APP_URL}.`,
+        protectionId,
+        sourcesErrors
+      );
     } else if (sourcesErrors.length > 0) {
       if (protection.bail) {
-        printSourcesErrors(sourcesErrors);
-        throw new Error('Your protection has failed.');
-      } else {
-        sourcesErrors.forEach(e =>
-          console.warn(`Non-fatal error: "${e.message}" in ${e.filename}`)
+        await reportResult();
+        logSourcesErrors(logger, sourcesErrors);
+        throw new ProtectionFailedError(
+          'Your protection has failed.',
+          protectionId,
+          sourcesErrors
         );
+      } else {
+        sourcesErrors.forEach(e => {
+          const message = `Non-fatal error: "${e.message}" in ${
+            e.original ? formatErrorLocation(e) : e.filename
+          }`;
+          logger.warn(message);
+          emit('warning', {protectionId, message, sourceError: e});
+        });
+        if (sourcesErrors.length > maxWarnings) {
+          await reportResult();
+          throw new ProtectionFailedError(
+            `Your protection has ${sourcesErrors.length} non-fatal errors, more than the maximum of ${maxWarnings}.`,
+            protectionId,
+            sourcesErrors
+          );
+        }
       }
     }
 
-    if (debug) {
-      console.log('Downloading protection result');
-    }
-    const download = await this.downloadApplicationProtection(
+    logger.debug('Downloading protection result');
+    const downloadStartedAt = Date.now();
+    emit('downloadStarted', {protectionId});
+    let download = await this.downloadApplicationProtection(
       client,
       protectionId
     );
 
     errorHandler(download);
 
-    if (debug) {
-      console.log('Unzipping files');
+    if (budget || report) {
+      sizes = await getProtectionSizes({
+        inputs: zipped,
+        download: Buffer.from(download),
+        size: protection.size,
+        transformedSize: protection.transformedSize
+      });
+    }
+    if (budget) {
+      sizes.violations = checkSizeBudget(budget, sizes);
+      result.sizes = sizes;
+      if (sizes.violations.length > 0 && !budget.warn) {
+        await reportResult();
+      }
+      applySizeBudget(budget, sizes, protectionId, logger, emit);
+    }
+
+    if (composeOptions) {
+      logger.debug('Composing source maps');
+      let jscramblerSourceMaps;
+      try {
+        jscramblerSourceMaps = await this.downloadSourceMapsRequest(
+          client,
+          protectionId
+        );
+      } catch (e) {
+        errorHandler(e);
+      }
+      download = await composeProtectionSourceMaps(
+        {
+          download: Buffer.from(download),
+          sourceMaps: Buffer.from(jscramblerSourceMaps),
+          readInput: createInputReader(zipped, filesSrc && (cwd || '')),
+          options: composeOptions
+        },
+        logger
+      );
+    }
+
+    logger.debug('Unzipping files');
+
+    result.files = await unzip(download, filesDest || destCallback, stream);
+    timings.download = Date.now() - downloadStartedAt;
+    emit('filesWritten', {protectionId, files: result.files});
+
+    const protectionInfo = {
+      jscramblerVersion: protection.version || jscramblerVersion,
+      seed: protection.randomizationSeed || randomizationSeed
+    };
+    if (manifest) {
+      await writeManifest(manifest, {
+        ...protectionInfo,
+        protectionId,
+        applicationId,
+        inputs: zipped,
+        download: Buffer.from(download),
+        files: result.files
+      });
+      logger.debug(`Manifest written to ${manifest}`);
+    }
+
+    if (cacheKey) {
+      const stored = writeCacheEntry(
+        cacheOptions,
+        cacheKey,
+        Buffer.from(download),
+        {
+          protectionId,
+          applicationId,
+          ...protectionInfo,
+          growthWarning: result.growthWarning,
+          deprecations: result.deprecations,
+          sourcesErrors
+        }
+      );
+      if (!stored) {
+        logger.debug('Protection is larger than the cache, not caching it');
+      }
     }
 
-    unzip(download, filesDest || destCallback, stream);
+    logger.debug('Finished unzipping files');
 
-    if (debug) {
-      console.log('Finished unzipping files');
+    if (symbolTableStore) {
+      result.symbolTable = await downloadAndStoreSymbolTable(protectionId);
     }
 
-    console.log(protectionId);
+    await reportResult();
+
+    logger.info(protectionId);
 
     return protectionId;
   },
   /**
-   * Instrument and download application sources for profiling purposes
+   * Instrument and download application sources for profiling purposes.
+   * `onResult`, if provided, is called with the instrumentation id and the written files.
+   * Aborting `signal` deletes the instrumentation if it was already started.
    * @param {object} configPathOrObject
    * @param {function} [destCallback]
    * @returns {Promise<string>}
@@ -509,12 +1416,20 @@ export default {
       jscramblerVersion,
       proxy,
       skipSources,
-      clientId
+      clientId,
+      onResult,
+      onProgress,
+      polling,
+      retry,
+      trace,
+      signal,
+      incrementalSources
     } = finalConfig;
 
     const {accessKey, secretKey} = keys;
+    const logger = createLogger(finalConfig.logger);
 
-    const client = new this.Client({
+    const clientOptions = {
       accessKey,
       secretKey,
       host,
@@ -524,8 +1439,12 @@ export default {
       cafile,
       jscramblerVersion,
       proxy,
-      clientId
-    });
+      clientId,
+      retry,
+      logger,
+      trace
+    };
+    const client = new this.Client({...clientOptions, signal});
 
     let {filesSrc, filesDest} = finalConfig;
 
@@ -538,21 +1457,26 @@ export default {
     }
 
     if (!applicationId) {
-      throw new Error('Required *applicationId* not provided');
+      throw new ConfigurationError('Required *applicationId* not provided');
     }
 
     if (!filesDest && !destCallback) {
-      throw new Error('Required *filesDest* not provided');
+      throw new ConfigurationError('Required *filesDest* not provided');
     }
 
     if (!skipSources) {
-      await this.updateApplicationSources(client, applicationId, {
-        sources,
-        filesSrc,
-        cwd
-      });
+      const sourcesOptions = {sources, filesSrc, cwd};
+      if (incrementalSources) {
+        await this.syncApplicationSources(client, applicationId, sourcesOptions);
+      } else {
+        await this.updateApplicationSources(
+          client,
+          applicationId,
+          sourcesOptions
+        );
+      }
     } else {
-      console.log('Update source files SKIPPED');
+      logger.info('Update source files SKIPPED');
     }
 
     let instrumentation = await this.startInstrumentation(
@@ -561,15 +1485,30 @@ export default {
     );
     errorHandler(instrumentation);
 
-    instrumentation = await this.pollInstrumentation(
-      client,
-      instrumentation.data.id
-    );
-    if (debug) {
-      console.log(
-        `Finished instrumention with id ${instrumentation.data.id}. Downloading...`
+    const instrumentationId = instrumentation.data.id;
+    try {
+      instrumentation = await this.pollInstrumentation(
+        client,
+        instrumentationId,
+        {polling, onProgress, signal}
       );
+    } catch (e) {
+      if (e instanceof AbortError) {
+        await this.deleteProfiling(
+          new this.Client(clientOptions),
+          instrumentationId
+        ).catch(err =>
+          logger.error(
+            `Could not delete instrumentation ${instrumentationId}: ${err.message}`
+          )
+        );
+        throw new AbortError(`Instrumentation ${instrumentationId} was aborted`);
+      }
+      throw e;
     }
+    logger.debug(
+      `Finished instrumention with id ${instrumentation.data.id}. Downloading...`
+    );
 
     const download = await this.downloadApplicationInstrumented(
       client,
@@ -577,21 +1516,25 @@ export default {
     );
     errorHandler(download);
 
-    if (debug) {
-      console.log('Unzipping files');
-    }
+    logger.debug('Unzipping files');
 
-    unzip(download, filesDest || destCallback, stream);
+    const files = await unzip(download, filesDest || destCallback, stream);
 
-    if (debug) {
-      console.log('Finished unzipping files');
+    logger.debug('Finished unzipping files');
+
+    if (onResult) {
+      onResult({
+        instrumentationId: instrumentation.data.id,
+        applicationId,
+        files
+      });
     }
 
-    console.warn(`
+    logger.warn(`
       WARNING: DO NOT SEND THIS CODE TO PRODUCTION AS IT IS NOT PROTECTED
     `);
 
-    console.log(
+    logger.info(
       `Application ${applicationId} was instrumented. Bootstrap your instrumented application and run *--start-profiling* command.`
     );
 
@@ -620,7 +1563,10 @@ export default {
       applicationId,
       proxy,
       jscramblerVersion,
-      clientId
+      clientId,
+      retry,
+      logger,
+      trace
     } = finalConfig;
 
     const {accessKey, secretKey} = keys;
@@ -635,7 +1581,10 @@ export default {
       cafile,
       proxy,
       jscramblerVersion,
-      clientId
+      clientId,
+      retry,
+      logger,
+      trace
     });
     const instrumentation = await client
       .get('/profiling-run', {applicationId})
@@ -644,24 +1593,26 @@ export default {
       });
 
     if (!instrumentation) {
-      throw new Error(
+      throw new ProfilingStateError(
         'There is no active profiling run. Instrument your application first.'
       );
     }
 
     const previousState = instrumentation.data.state;
     if (previousState === state) {
-      console.log(
+      client.logger.info(
         `Profiling was already ${label} for application ${applicationId}. ${nextStepMessage}`
       );
-      return;
+      return previousState;
     }
 
     await client.patch(`/profiling-run/${instrumentation.data.id}`, {
       state
     });
 
-    console.log(`Profiling was ${label} for application ${applicationId}. ${nextStepMessage}`);
+    client.logger.info(`Profiling was ${label} for application ${applicationId}. ${nextStepMessage}`);
+
+    return previousState;
   },
 
   async downloadSourceMaps(configs, destCallback) {
@@ -677,7 +1628,10 @@ export default {
       filesSrc,
       protectionId,
       jscramblerVersion,
-      proxy
+      proxy,
+      retry,
+      logger,
+      trace
     } = configs;
 
     const {accessKey, secretKey} = keys;
@@ -691,19 +1645,22 @@ export default {
       protocol,
       cafile,
       jscramblerVersion,
-      proxy
+      proxy,
+      retry,
+      logger,
+      trace
     });
 
     if (!filesDest && !destCallback) {
-      throw new Error('Required *filesDest* not provided');
+      throw new ConfigurationError('Required *filesDest* not provided');
     }
 
     if (!protectionId) {
-      throw new Error('Required *protectionId* not provided');
+      throw new ConfigurationError('Required *protectionId* not provided');
     }
 
     if (filesSrc) {
-      console.warn(
+      client.logger.warn(
         '[Warning] Ignoring sources supplied. Downloading source maps of given protection'
       );
     }
@@ -713,7 +1670,75 @@ export default {
     } catch (e) {
       errorHandler(e);
     }
-    unzip(download, filesDest || destCallback, stream);
+    return unzip(download, filesDest || destCallback, stream);
+  },
+  /**
+   * Download and unzip the result of a previous protection
+   * @param {object} configs
+   * @param {function} [destCallback]
+   * @returns {Promise<Array.<string>>} the extracted files, as returned by
+   * `unzip`
+   */
+  async downloadProtection(configs, destCallback) {
+    const {
+      keys,
+      host,
+      port,
+      basePath,
+      protocol,
+      cafile,
+      stream = true,
+      filesDest,
+      protectionId,
+      jscramblerVersion,
+      proxy,
+      clientId,
+      retry,
+      logger,
+      trace
+    } = configs;
+
+    const {accessKey, secretKey} = keys;
+
+    const client = new this.Client({
+      accessKey,
+      secretKey,
+      host,
+      port,
+      basePath,
+      protocol,
+      cafile,
+      jscramblerVersion,
+      proxy,
+      clientId,
+      retry,
+      logger,
+      trace
+    });
+
+    if (!filesDest && !destCallback) {
+      throw new ConfigurationError('Required *filesDest* not provided');
+    }
+
+    if (!protectionId) {
+      throw new ConfigurationError('Required *protectionId* not provided');
+    }
+
+    client.logger.debug('Downloading protection result');
+    const download = await this.downloadApplicationProtection(
+      client,
+      protectionId
+    );
+
+    errorHandler(download);
+
+    client.logger.debug('Unzipping files');
+
+    const files = await unzip(download, filesDest || destCallback, stream);
+
+    client.logger.debug('Finished unzipping files');
+
+    return files;
   },
   async downloadSymbolTable(configs, destCallback) {
     const {
@@ -728,7 +1753,10 @@ export default {
       filesSrc,
       protectionId,
       jscramblerVersion,
-      proxy
+      proxy,
+      retry,
+      logger,
+      trace
     } = configs;
 
     const {accessKey, secretKey} = keys;
@@ -742,19 +1770,22 @@ export default {
       protocol,
       cafile,
       jscramblerVersion,
-      proxy
+      proxy,
+      retry,
+      logger,
+      trace
     });
 
     if (!filesDest && !destCallback) {
-      throw new Error('Required *filesDest* not provided');
+      throw new ConfigurationError('Required *filesDest* not provided');
     }
 
     if (!protectionId) {
-      throw new Error('Required *protectionId* not provided');
+      throw new ConfigurationError('Required *protectionId* not provided');
     }
 
     if (filesSrc) {
-      console.warn(
+      client.logger.warn(
         '[Warning] Ignoring sources supplied. Downloading symbol table of given protection'
       );
     }
@@ -768,77 +1799,173 @@ export default {
     if (typeof destCallback === 'function') {
       destCallback(download, filesDest);
     } else {
-      outputFileSync(
-        path.join(filesDest, `${protectionId}_symbolTable.json`),
-        download
+      const symbolTablePath = path.join(
+        filesDest,
+        `${protectionId}_symbolTable.json`
       );
+      outputFileSync(symbolTablePath, download);
+      return symbolTablePath;
     }
   },
   /**
-   * Polls a instrumentation every 500ms until the state be equal to
+   * Polls a instrumentation until the state be equal to
    * FINISHED_INSTRUMENTATION, FAILED_INSTRUMENTATION or DELETED
    * @param {object} client
    * @param {string} instrumentationId
+   * @param {{polling: ?object, onProgress: ?function, signal: ?AbortSignal}} [options] see `pollUntilFinal`
    * @returns {Promise<object>}
-   * @throws {Error} due to errors in instrumentation process or user cancel the operation
+   * @throws {InstrumentationFailedError} due to errors in instrumentation process
+   * @throws {ProtectionCanceledError} if the user cancels the operation
+   * @throws {TimeoutError} if `polling.timeout` is exceeded
+   * @throws {AbortError} if `signal` is aborted
    */
-  async pollInstrumentation(client, instrumentationId) {
-    const poll = async () => {
-      const instrumentation = await this.getInstrumentation(
-        client,
-        instrumentationId
-      );
-      switch (instrumentation.data.state) {
-        case 'DELETED':
-          throw new Error('Protection canceled by user');
-        case 'FAILED_INSTRUMENTATION':
-          instrumentation.errors = instrumentation.errors.concat(
-            instrumentation.data.instrumentationErrors.map(e => ({
-              message: `${e.message} at ${e.fileName}:${e.lineNumber}`
-            }))
-          );
-          return errorHandler(instrumentation);
-        case 'FINISHED_INSTRUMENTATION':
-          return instrumentation;
-        default:
-          await new Promise(resolve => setTimeout(resolve, 500));
-          return poll();
-      }
-    };
-    return poll();
+  async pollInstrumentation(
+    client,
+    instrumentationId,
+    {polling, onProgress, signal} = {}
+  ) {
+    const instrumentation = await pollUntilFinal({
+      fetch: () => this.getInstrumentation(client, instrumentationId),
+      getState: ({data}) => data.state,
+      isFinal: state =>
+        [
+          'DELETED',
+          'FAILED_INSTRUMENTATION',
+          'FINISHED_INSTRUMENTATION'
+        ].includes(state),
+      type: 'instrumentation',
+      id: instrumentationId,
+      polling,
+      onProgress,
+      signal
+    });
+
+    switch (instrumentation.data.state) {
+      case 'DELETED':
+        throw new ProtectionCanceledError(
+          'Protection canceled by user',
+          instrumentationId
+        );
+      case 'FAILED_INSTRUMENTATION':
+        throw new InstrumentationFailedError(
+          instrumentation.errors
+            .concat(
+              instrumentation.data.instrumentationErrors.map(e => ({
+                message: `${e.message} at ${e.fileName}:${e.lineNumber}`
+              }))
+            )
+            .map(e => `Error: ${e.message}`)
+            .join('\n'),
+          instrumentationId
+        );
+      default:
+        return instrumentation;
+    }
   },
-  async pollProtection(client, applicationId, protectionId, fragments) {
-    const poll = async () => {
-      const applicationProtection = await this.getApplicationProtection(
-        client,
-        applicationId,
-        protectionId,
-        fragments
-      );
-      if (applicationProtection.errors) {
-        console.log('Error polling protection', applicationProtection.errors);
+  /**
+   * Polls the profiling run of an application until it's READY, after being
+   * stopped.
+   * @param {object} client
+   * @param {string} applicationId
+   * @param {{polling: ?object, onProgress: ?function, signal: ?AbortSignal}} [options] see `pollUntilFinal`
+   * @returns {Promise<object>}
+   * @throws {ProfilingStateError} if the profiling run ends in any other state
+   * (deleted, failed, canceled...)
+   * @throws {TimeoutError} if `polling.timeout` is exceeded
+   * @throws {AbortError} if `signal` is aborted
+   */
+  async pollProfiling(
+    client,
+    applicationId,
+    {polling, onProgress, signal} = {}
+  ) {
+    let profilingId;
+    const profiling = await pollUntilFinal({
+      fetch: async () => {
+        const res = await this.getApplicationProfiling(
+          client,
+          applicationId
+        ).catch(e => {
+          if (e.statusCode !== 404) throw e;
+          throw new ProfilingStateError(
+            'There is no active profiling run. Instrument your application first.'
+          );
+        });
+        profilingId = res.data.id;
+        return res;
+      },
+      getState: ({data}) => data.state,
+      // Only a running or stopped profiling run can still become READY
+      isFinal: state => !PROFILING_PENDING_STATES.includes(state),
+      type: 'profiling',
+      id: applicationId,
+      polling,
+      onProgress,
+      signal
+    });
 
-        throw new Error(
-          `Protection failed. For more information visit: ${APP_URL}.`
+    if (profiling.data.state !== 'READY') {
+      throw new ProfilingStateError(
+        `Profiling ${profilingId} of application ${applicationId} ended in the ${profiling.data.state} state.`,
+        profiling.data.state
+      );
+    }
+    return profiling;
+  },
+  /**
+   * Polls a protection until the state be equal to finished, errored or canceled
+   * @param {object} client
+   * @param {string} applicationId
+   * @param {string} protectionId
+   * @param {object} fragments
+   * @param {{polling: ?object, onProgress: ?function, signal: ?AbortSignal}} [options] see `pollUntilFinal`
+   * @returns {Promise<object>}
+   * @throws {ProtectionCanceledError} if the user cancels the protection
+   * @throws {TimeoutError} if `polling.timeout` is exceeded
+   * @throws {AbortError} if `signal` is aborted
+   */
+  async pollProtection(
+    client,
+    applicationId,
+    protectionId,
+    fragments,
+    {polling, onProgress, signal} = {}
+  ) {
+    const applicationProtection = await pollUntilFinal({
+      fetch: async () => {
+        const res = await this.getApplicationProtection(
+          client,
+          applicationId,
+          protectionId,
+          fragments
         );
-      } else {
-        const {state} = applicationProtection.data.applicationProtection;
-        if (
-          state !== 'finished' &&
-          state !== 'errored' &&
-          state !== 'canceled'
-        ) {
-          await new Promise(resolve => setTimeout(resolve, 500));
-          return poll();
-        } else if (state === 'canceled') {
-          throw new Error('Protection canceled by user');
-        } else {
-          return applicationProtection.data.applicationProtection;
+        if (res.errors) {
+          client.logger.error('Error polling protection', {errors: res.errors});
+
+          throw new ProtectionFailedError(
+            `Protection failed. For more information visit: ${APP_URL}.`,
+            protectionId
+          );
         }
-      }
-    };
+        return res.data.applicationProtection;
+      },
+      getState: ({state}) => state,
+      isFinal: state => ['finished', 'errored', 'canceled'].includes(state),
+      type: 'protection',
+      id: protectionId,
+      polling,
+      onProgress,
+      signal
+    });
+
+    if (applicationProtection.state === 'canceled') {
+      throw new ProtectionCanceledError(
+        'Protection canceled by user',
+        protectionId
+      );
+    }
 
-    return poll();
+    return applicationProtection;
   },
   //
   async createApplication(client, data, fragments) {
@@ -1040,7 +2167,8 @@ export default {
       applicationId,
       fragments,
       protectionOptions,
-      args
+      args,
+      client.logger
     );
 
     return client.post('/application', mutation);
@@ -0,0 +1,174 @@
+import {posix} from 'path';
+import {SourceMapConsumer} from 'source-map';
+
+import {createLogger} from './logger';
+
+const SOURCE_MAPPING_URL = /[#@]\s*sourceMappingURL=([^\s'"*]+)/g;
+const DATA_URL = /^data:application\/json(?:;charset=[^;,]+)?(;base64)?,(.*)$/i;
+
+function hasScheme(url) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(url);
+}
+
+/**
+ * The `sourceMappingURL` of a file. Only the last one counts, as bundlers may
+ * leave the comments of the files they concatenate.
+ * @param {string} content
+ * @returns {?string}
+ */
+function getSourceMappingURL(content) {
+  let url;
+  let match;
+  SOURCE_MAPPING_URL.lastIndex = 0;
+  while ((match = SOURCE_MAPPING_URL.exec(content))) {
+    url = match[1];
+  }
+  return url;
+}
+
+function parseDataUrl(url) {
+  const match = url.match(DATA_URL);
+  if (!match) {
+    return undefined;
+  }
+  return match[1]
+    ? Buffer.from(match[2], 'base64').toString()
+    : decodeURIComponent(match[2]);
+}
+
+/**
+ * Load the source map of an uploaded file. It's either inline, referenced by
+ * the `sourceMappingURL` of the file or, without one, `<filename>.map`.
+ * @param {string} filename
+ * @param {function(string): Promise<?string>} readInput reads an uploaded
+ * file (or the file next to it) by name
+ * @returns {Promise<?{consumer: SourceMapConsumer, dir: string, file: ?string}>}
+ * nothing if the file has no source map. `dir` is where relative sources are
+ * resolved from and `file` the name of the map, unless it's inline
+ */
+export async function loadInputSourceMap(filename, readInput) {
+  const content = await readInput(filename);
+  if (typeof content !== 'string') {
+    return undefined;
+  }
+
+  const url = getSourceMappingURL(content);
+  let mapName;
+  let rawMap;
+  if (url && /^data:/i.test(url)) {
+    rawMap = parseDataUrl(url);
+  } else if (url && hasScheme(url)) {
+    // Remote maps are not fetched
+    return undefined;
+  } else {
+    mapName = url
+      ? posix.join(posix.dirname(filename), decodeURIComponent(url))
+      : `${filename}.map`;
+    rawMap = await readInput(mapName);
+  }
+
+  if (typeof rawMap !== 'string') {
+    return undefined;
+  }
+  return {
+    consumer: new SourceMapConsumer(JSON.parse(rawMap)),
+    dir: posix.dirname(mapName || filename),
+    file: mapName
+  };
+}
+
+/**
+ * @param {SourceMapConsumer} consumer
+ * @param {number} line 1-based
+ * @param {number} column 0-based
+ * @returns {?object}
+ */
+function originalPositionFor(consumer, line, column) {
+  const biases = [
+    SourceMapConsumer.GREATEST_LOWER_BOUND,
+    SourceMapConsumer.LEAST_UPPER_BOUND
+  ];
+  for (const bias of biases) {
+    const position = consumer.originalPositionFor({line, column, bias});
+    if (position.source) {
+      return position;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Translate the locations of protection errors back to the original sources,
+ * through the source maps of the uploaded files. Mapped errors keep their
+ * `line` and `column` and get an `original` location
+ * (`{filename, line, column, name}`). Errors of files without a source map are
+ * left as they are.
+ * @param {Array.<{filename: string, line: ?number, column: ?number}>} sourcesErrors
+ * @param {function(string): Promise<?string>} readInput see `loadInputSourceMap`
+ * @param {object} [logger]
+ * @returns {Promise<Array.<object>>}
+ */
+export async function mapSourcesErrors(
+  sourcesErrors,
+  readInput,
+  logger = createLogger()
+) {
+  const maps = {};
+  const mapped = [];
+
+  for (const error of sourcesErrors) {
+    const {filename, line, column} = error;
+    if (!filename || typeof line !== 'number') {
+      mapped.push(error);
+      continue;
+    }
+
+    if (!maps.hasOwnProperty(filename)) {
+      try {
+        maps[filename] = await loadInputSourceMap(filename, readInput);
+      } catch (e) {
+        logger.debug(`Ignoring the source map of ${filename}: ${e.message}`);
+        maps[filename] = undefined;
+      }
+    }
+
+    const map = maps[filename];
+    const position =
+      map && originalPositionFor(map.consumer, line, column || 0);
+    if (position) {
+      const {source} = position;
+      mapped.push({
+        ...error,
+        original: {
+          filename:
+            hasScheme(source) || posix.isAbsolute(source)
+              ? source
+              : posix.join(map.dir, source),
+          line: position.line,
+          column: position.column,
+          name: position.name
+        }
+      });
+    } else {
+      mapped.push(error);
+    }
+  }
+
+  return mapped;
+}
+
+/**
+ * `<filename>:<line>:<column>` of an error, followed by its original location
+ * if it was mapped.
+ * @param {object} error
+ * @returns {string}
+ */
+export function formatErrorLocation({filename, line, column, original}) {
+  const position = [filename, line, column]
+    .filter(part => part !== undefined && part !== null)
+    .join(':');
+  if (!original) {
+    return position;
+  }
+  return `${position} (original ${original.filename}:${original.line}:${original.column})`;
+}
@@ -0,0 +1,86 @@
+/* eslint-disable no-console */
+import {inspect} from 'util';
+
+import {ConfigurationError} from './errors';
+import {redact} from './redact';
+
+// Ordered from the least to the most verbose
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+/**
+ * Default sink. It's the only place where the library writes to the console.
+ * @param {{level: string, message: string, data: ?object}} entry
+ */
+export function consoleSink({level, message, data}) {
+  const args = typeof data === 'undefined' ? [message] : [message, inspect(data)];
+  if (level === 'error') {
+    console.error(...args);
+  } else if (level === 'warn') {
+    console.warn(...args);
+  } else {
+    console.log(...args);
+  }
+}
+
+/**
+ * Sink writing every entry to stderr, so stdout is left for the output of a
+ * command.
+ * @param {{level: string, message: string, data: ?object}} entry
+ */
+export function stderrSink({message, data}) {
+  console.error(
+    ...(typeof data === 'undefined' ? [message] : [message, inspect(data)])
+  );
+}
+
+function isLogger(options) {
+  return LEVELS.every(level => typeof options[level] === 'function');
+}
+
+/**
+ * Create a logger with one method per level (`error`, `warn`, `info` and
+ * `debug`), each taking a message and optional structured data. Entries above
+ * `level` are dropped, the others are handed to `sink` as
+ * `{level, message, data}`. `level` can also be `silent`.
+ *
+ * Secrets (keys, signatures, tokens, credentials) and source content are
+ * masked before reaching the sink, unless `redact` is `false`.
+ *
+ * Passing a logger returns it as is, so it can be threaded through options.
+ * @param {{level: ?string, sink: ?function, redact: ?boolean}|object} [options]
+ * @returns {{level: string, error: function, warn: function, info: function, debug: function}}
+ */
+export function createLogger(options = {}) {
+  if (isLogger(options)) {
+    return options;
+  }
+
+  const {
+    level = process.env.DEBUG ? 'debug' : 'info',
+    sink = consoleSink,
+    redact: shouldRedact = true
+  } = options;
+
+  if (level !== 'silent' && !LEVELS.includes(level)) {
+    throw new ConfigurationError(
+      `*logger.level* requires one of the following values: {silent,${LEVELS.join(
+        ','
+      )}}`
+    );
+  }
+
+  const threshold = LEVELS.indexOf(level);
+  const logger = {level};
+  LEVELS.forEach((entryLevel, i) => {
+    logger[entryLevel] = (message, data) => {
+      if (i <= threshold) {
+        sink(
+          shouldRedact
+            ? {level: entryLevel, message: redact(message), data: redact(data)}
+            : {level: entryLevel, message, data}
+        );
+      }
+    };
+  });
+  return logger;
+}
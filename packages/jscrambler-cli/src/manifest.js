@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import {outputFileSync} from 'fs-extra';
+
+import {readArchive} from './zip';
+
+function hash(algorithm, content, encoding) {
+  return crypto
+    .createHash(algorithm)
+    .update(content)
+    .digest(encoding);
+}
+
+/**
+ * Manifest of the files written by a protection. Each protected file is
+ * listed with its input path (the name it was uploaded with), output path,
+ * sizes, sha256 and SRI value, so deploy tooling can check artifacts and
+ * update `integrity` attributes.
+ * @param {{
+ *  protectionId: string,
+ *  applicationId: string,
+ *  jscramblerVersion: ?string,
+ *  seed: ?string,
+ *  inputs: ?JSZip,
+ *  download: Buffer,
+ *  files: Array.<string>
+ * }} protection `inputs` are the zipped sources, if known. `download` is the
+ * protected archive and `files` what `unzip` returned for it
+ * @returns {Promise<object>}
+ */
+export async function createManifest({
+  protectionId,
+  applicationId,
+  jscramblerVersion,
+  seed,
+  inputs,
+  download,
+  files
+}) {
+  const entries = await readArchive(download);
+  const manifestFiles = [];
+
+  for (let i = 0; i < entries.length; i += 1) {
+    const {name, content} = entries[i];
+    const input = inputs && inputs.files[name];
+    const inputContent = input && !input.dir && (await input.async('nodebuffer'));
+
+    manifestFiles.push({
+      input: inputContent ? name : null,
+      output: files[i],
+      size: inputContent ? inputContent.length : null,
+      protectedSize: content.length,
+      sha256: hash('sha256', content, 'hex'),
+      integrity: `sha384-${hash('sha384', content, 'base64')}`
+    });
+  }
+
+  return {
+    protectionId,
+    applicationId,
+    jscramblerVersion: jscramblerVersion || null,
+    seed: seed || null,
+    files: manifestFiles
+  };
+}
+
+/**
+ * Create a manifest (see `createManifest`) and write it as JSON.
+ * @param {string} file
+ * @param {object} protection
+ * @returns {Promise<object>} the manifest
+ */
+export async function writeManifest(file, protection) {
+  const manifest = await createManifest(protection);
+  outputFileSync(file, JSON.stringify(manifest, null, 2));
+  return manifest;
+}
@@ -329,12 +329,13 @@ export function createApplicationProtection(
   applicationId,
   _fragments = createProtectionDefaultFragments,
   _options,
-  args
+  args,
+  logger
 ) {
   let fragments = _fragments;
   let options = _options;
 
-  [options, fragments] = cleanupInputFields(args, fragments, options);
+  [options, fragments] = cleanupInputFields(args, fragments, options, logger);
 
   if (!args.some(f => f.name === 'options')) {
     const {bail, randomizationSeed} = options;
@@ -0,0 +1,92 @@
+const MASK = '[REDACTED]';
+
+// Compared without case, dashes and underscores (`access_key` === `accessKey`)
+const SECRET_KEYS = [
+  'accesskey',
+  'secretkey',
+  'signature',
+  'token',
+  'password',
+  'auth',
+  'authorization',
+  'proxyauthorization',
+  'xuserauthentication',
+  'cookie',
+  'setcookie'
+];
+// Uploaded (or downloaded) source code
+const CONTENT_KEYS = ['content'];
+const MAX_DEPTH = 10;
+
+function normalizeKey(key) {
+  return key.toLowerCase().replace(/[-_]/g, '');
+}
+
+function byteLength(value) {
+  if (typeof value === 'string') {
+    return Buffer.byteLength(value);
+  }
+  return value.byteLength || value.length || 0;
+}
+
+/**
+ * Mask the secrets found in free text: signed query string parameters and
+ * credentials in URLs.
+ * @param {string} text
+ * @returns {string}
+ */
+export function redactString(text) {
+  return text
+    .replace(
+      /\b(access_key|accessKey|secret_key|secretKey|signature|token)=[^&\s;]*/g,
+      `$1=${MASK}`
+    )
+    .replace(/(\/\/)[^/@\s:]+:[^/@\s]+@/g, `$1${MASK}@`);
+}
+
+/**
+ * Copy `value` masking keys, signatures, tokens, credentials and source
+ * content, so it can be shared in logs and traces.
+ * @param {*} value
+ * @returns {*}
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (Buffer.isBuffer(value) || value instanceof ArrayBuffer) {
+    return `[${byteLength(value)} bytes]`;
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return '[Object]';
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  if (value instanceof Error) {
+    return redactString(value.stack || value.message);
+  }
+
+  const result = {};
+  Object.keys(value).forEach(key => {
+    const normalizedKey = normalizeKey(key);
+    const item = value[key];
+
+    if (SECRET_KEYS.includes(normalizedKey)) {
+      result[key] = item ? MASK : item;
+    } else if (CONTENT_KEYS.includes(normalizedKey) && item) {
+      result[key] = `${MASK} (${byteLength(item)} bytes)`;
+    } else {
+      result[key] = redact(item, depth + 1);
+    }
+  });
+  return result;
+}
@@ -0,0 +1,288 @@
+import path from 'path';
+import {outputFileSync} from 'fs-extra';
+
+function growth(size, protectedSize) {
+  return size && typeof protectedSize === 'number' ? protectedSize / size : null;
+}
+
+/**
+ * Whether code hardening was applied to a file, given its original size. It's
+ * skipped for files larger than the threshold.
+ * @param {?number} size
+ * @param {?number} threshold
+ * @returns {?string} `applied`, `skipped` or nothing if unknown
+ */
+function getCodeHardening(size, threshold) {
+  if (typeof threshold !== 'number' || typeof size !== 'number') {
+    return null;
+  }
+  return size > threshold ? 'skipped' : 'applied';
+}
+
+/**
+ * The API returns the parameters of a protection as a JSON string.
+ * @param {?string|Array.<object>} parameters
+ * @returns {?Array.<object>}
+ */
+function parseParameters(parameters) {
+  return typeof parameters === 'string' ? JSON.parse(parameters) : parameters;
+}
+
+/**
+ * Summary of a protection, for people without access to the web app. Details
+ * of the protection (as returned by `getProtection` with the report
+ * fragments) take precedence over the options it was requested with.
+ * @param {{
+ *  protectionId: string,
+ *  applicationId: string,
+ *  cached: boolean,
+ *  state: string,
+ *  details: ?object,
+ *  options: object,
+ *  sizes: ?{total: object, files: Array.<object>},
+ *  growthWarning: boolean,
+ *  errorMessage: ?string,
+ *  deprecations: Array.<object>,
+ *  sourcesErrors: Array.<object>,
+ *  timings: object
+ * }} protection `options` are `params`, `jscramblerVersion`, `seed`,
+ * `codeHardeningThreshold`, `profilingDataMode` and `useProfilingData`
+ * @returns {object}
+ */
+export function createReport({
+  protectionId,
+  applicationId,
+  cached,
+  state,
+  details = {},
+  options,
+  sizes,
+  growthWarning,
+  errorMessage,
+  deprecations,
+  sourcesErrors,
+  timings
+}) {
+  const pick = (detail, option) =>
+    detail !== undefined && detail !== null ? detail : option;
+  const codeHardeningThreshold = pick(
+    details.codeHardeningThreshold,
+    options.codeHardeningThreshold
+  );
+
+  let files;
+  let total;
+  if (sizes) {
+    ({files, total} = sizes);
+  } else {
+    // Nothing was downloaded, rely on the sizes known by the API
+    files = (details.sources || []).map(({filename, size, transformedSize}) => ({
+      filename,
+      size: pick(size, null),
+      protectedSize: pick(transformedSize, null),
+      growth: growth(size, transformedSize)
+    }));
+    total = {
+      size: pick(details.size, null),
+      protectedSize: pick(details.transformedSize, null),
+      growth: growth(details.size, details.transformedSize)
+    };
+  }
+
+  return {
+    protectionId,
+    applicationId,
+    applicationName: details.application ? details.application.name : null,
+    state: pick(details.state, state),
+    cached: !!cached,
+    finishedAt: pick(details.finishedAt, null),
+    jscramblerVersion: pick(details.version, options.jscramblerVersion) || null,
+    seed: pick(details.randomizationSeed, options.seed) || null,
+    profiling: {
+      mode: pick(details.profilingDataMode, options.profilingDataMode) || null,
+      useProfilingData: pick(
+        details.useProfilingData,
+        pick(options.useProfilingData, null)
+      )
+    },
+    codeHardeningThreshold: pick(codeHardeningThreshold, null),
+    total,
+    files: files.map(file => ({
+      ...file,
+      codeHardening: getCodeHardening(file.size, codeHardeningThreshold)
+    })),
+    parameters:
+      pick(parseParameters(details.parameters), options.params) || [],
+    growthWarning: !!growthWarning,
+    errorMessage: errorMessage || null,
+    deprecations: deprecations || [],
+    sourcesErrors: sourcesErrors || [],
+    timings
+  };
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '-' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatGrowth(ratio) {
+  return ratio === null || ratio === undefined ? '-' : `${ratio.toFixed(2)}x`;
+}
+
+function table(columns, rows) {
+  if (rows.length === 0) {
+    return '<p class="empty">None</p>';
+  }
+  const head = columns.map(({label}) => `<th>${escapeHtml(label)}</th>`);
+  const body = rows.map(
+    row =>
+      `<tr>${columns
+        .map(({value}) => `<td>${escapeHtml(value(row))}</td>`)
+        .join('')}</tr>`
+  );
+  return `<table><thead><tr>${head.join('')}</tr></thead><tbody>${body.join(
+    ''
+  )}</tbody></table>`;
+}
+
+/**
+ * Render a report as a standalone HTML page.
+ * @param {object} report as returned by `createReport`
+ * @returns {string}
+ */
+export function renderHtmlReport(report) {
+  const summary = [
+    ['Protection', report.protectionId],
+    ['Application', report.applicationName || report.applicationId],
+    ['State', report.cached ? `${report.state} (cached)` : report.state],
+    ['Finished at', report.finishedAt],
+    ['Jscrambler version', report.jscramblerVersion],
+    ['Randomization seed', report.seed],
+    ['Profiling data mode', report.profiling.mode],
+    ['Use profiling data', report.profiling.useProfilingData],
+    ['Code hardening threshold', report.codeHardeningThreshold],
+    ['Original size', report.total.size],
+    ['Protected size', report.total.protectedSize],
+    ['Growth', formatGrowth(report.total.growth)],
+    ['Growth warning', report.growthWarning],
+    ['Error', report.errorMessage]
+  ];
+
+  const sections = [
+    [
+      'Files',
+      table(
+        [
+          {label: 'File', value: file => file.filename},
+          {label: 'Original size', value: file => file.size},
+          {label: 'Protected size', value: file => file.protectedSize},
+          {label: 'Growth', value: file => formatGrowth(file.growth)},
+          {label: 'Code hardening', value: file => file.codeHardening}
+        ],
+        report.files
+      )
+    ],
+    [
+      'Parameters',
+      table(
+        [
+          {label: 'Name', value: param => param.name},
+          {
+            label: 'Options',
+            value: param =>
+              param.options && Object.keys(param.options).length
+                ? JSON.stringify(param.options)
+                : ''
+          }
+        ],
+        report.parameters
+      )
+    ],
+    [
+      'Deprecations',
+      table(
+        [
+          {label: 'Type', value: deprecation => deprecation.type},
+          {label: 'Entity', value: deprecation => deprecation.entity}
+        ],
+        report.deprecations
+      )
+    ],
+    [
+      'Source errors',
+      table(
+        [
+          {label: 'File', value: error => error.filename},
+          {label: 'Line', value: error => error.line},
+          {label: 'Column', value: error => error.column},
+          {
+            label: 'Original location',
+            value: ({original}) =>
+              original &&
+              `${original.filename}:${original.line}:${original.column}`
+          },
+          {label: 'Fatal', value: error => error.fatal},
+          {label: 'Message', value: error => error.message}
+        ],
+        report.sourcesErrors
+      )
+    ],
+    [
+      'Timings (ms)',
+      table(
+        [
+          {label: 'Step', value: ([step]) => step},
+          {label: 'Duration', value: ([, duration]) => duration}
+        ],
+        Object.keys(report.timings || {}).map(step => [
+          step,
+          report.timings[step]
+        ])
+      )
+    ]
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Jscrambler protection ${escapeHtml(report.protectionId)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5em; }
+th, td { border: 1px solid #ccc; padding: 0.3em 0.6em; text-align: left; }
+th { background: #f4f4f4; }
+.empty { color: #888; }
+</style>
+</head>
+<body>
+<h1>Jscrambler protection ${escapeHtml(report.protectionId)}</h1>
+<table><tbody>${summary
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('')}</tbody></table>
+${sections
+    .map(([title, content]) => `<h2>${escapeHtml(title)}</h2>\n${content}`)
+    .join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write a report as HTML if `file` has an `.html` (or `.htm`) extension, as
+ * JSON otherwise.
+ * @param {string} file
+ * @param {object} report as returned by `createReport`
+ */
+export function writeReport(file, report) {
+  const isHtml = /^\.html?$/i.test(path.extname(file));
+  outputFileSync(
+    file,
+    isHtml ? renderHtmlReport(report) : JSON.stringify(report, null, 2)
+  );
+}
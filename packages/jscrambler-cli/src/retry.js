@@ -0,0 +1,79 @@
+const IDEMPOTENT_METHODS = ['GET'];
+const RETRYABLE_STATUS_CODES = [408, 429, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EAI_AGAIN'
+];
+// The connection was never established, so the server did not get the request
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Delay (in ms) asked for by the `Retry-After` header of a response, either
+ * in seconds or as an HTTP date.
+ * @param {?Object} response axios response
+ * @returns {Number|undefined}
+ */
+export function parseRetryAfter(response) {
+  const retryAfter = response && response.headers && response.headers['retry-after'];
+  if (!retryAfter) {
+    return undefined;
+  }
+  if (/^\d+$/.test(retryAfter)) {
+    return parseInt(retryAfter, 10) * 1000;
+  }
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay (in ms) before retrying a failed request, or `undefined` if it should
+ * not be retried. Only idempotent requests are retried, unless
+ * `retryNonIdempotent` is set. Even then, non-idempotent requests are only
+ * retried when they surely did not reach the server or when the server
+ * explicitly asked for it (HTTP 429 or 503 with a `Retry-After` header).
+ * @param {Object} retry retry options
+ * @param {String} method
+ * @param {Error} err axios error
+ * @param {Number} attempt number of retries done so far
+ * @returns {Number|undefined}
+ */
+export function getRetryDelay(retry, method, err, attempt) {
+  if (attempt >= retry.retries) {
+    return undefined;
+  }
+
+  const {response} = err;
+  const retryAfter = parseRetryAfter(response);
+
+  if (IDEMPOTENT_METHODS.includes(method)) {
+    const isRetryable = response
+      ? RETRYABLE_STATUS_CODES.includes(response.status)
+      : RETRYABLE_ERROR_CODES.includes(err.code);
+    if (!isRetryable) {
+      return undefined;
+    }
+  } else {
+    const isSafe = response
+      ? [429, 503].includes(response.status) && retryAfter !== undefined
+      : NOT_SENT_ERROR_CODES.includes(err.code);
+    if (!retry.retryNonIdempotent || !isSafe) {
+      return undefined;
+    }
+  }
+
+  if (retryAfter !== undefined) {
+    return retryAfter;
+  }
+
+  // Exponential backoff with "equal jitter"
+  const delay = Math.min(
+    retry.maxDelay,
+    retry.minDelay * Math.pow(retry.factor, attempt)
+  );
+  return delay / 2 + Math.random() * (delay / 2);
+}
@@ -0,0 +1,214 @@
+import filesizeParser from 'filesize-parser';
+
+import {ConfigurationError, SizeBudgetError} from './errors';
+import {readArchive} from './zip';
+
+function parseRatio(value, option) {
+  const ratio = typeof value === 'number' ? value : parseFloat(value);
+  if (isNaN(ratio) || ratio <= 0) {
+    throw new ConfigurationError(
+      `*sizeBudget.${option}* requires a positive ratio. Example: 2.5`
+    );
+  }
+  return ratio;
+}
+
+function parseSize(value, option) {
+  let bytes;
+  try {
+    bytes = typeof value === 'number' ? value : filesizeParser(value);
+  } catch (e) {
+    bytes = NaN;
+  }
+  if (isNaN(bytes) || bytes <= 0) {
+    throw new ConfigurationError(
+      `*sizeBudget.${option}* requires a size in bytes or in the {value}{unit="b,kb,mb"} format. Example: 200kb`
+    );
+  }
+  return bytes;
+}
+
+/**
+ * Normalize the `sizeBudget` option.
+ * @param {{
+ *  maxGrowth: ?(number|string),
+ *  maxFileSize: ?(number|string),
+ *  maxFileGrowth: ?(number|string),
+ *  warn: ?boolean
+ * }} sizeBudget `maxGrowth` limits the total protected size relative to the
+ * original one, `maxFileSize` and `maxFileGrowth` limit each protected file.
+ * With `warn` violations are reported as warnings instead of failing
+ * @returns {?object} nothing if there's no budget
+ */
+export function getSizeBudget(sizeBudget) {
+  if (!sizeBudget) {
+    return undefined;
+  }
+
+  const {maxGrowth, maxFileSize, maxFileGrowth, warn} = sizeBudget;
+  const budget = {warn: !!warn};
+  if (maxGrowth !== undefined) {
+    budget.maxGrowth = parseRatio(maxGrowth, 'maxGrowth');
+  }
+  if (maxFileSize !== undefined) {
+    budget.maxFileSize = parseSize(maxFileSize, 'maxFileSize');
+  }
+  if (maxFileGrowth !== undefined) {
+    budget.maxFileGrowth = parseRatio(maxFileGrowth, 'maxFileGrowth');
+  }
+  return budget;
+}
+
+function growth(size, protectedSize) {
+  return size ? protectedSize / size : null;
+}
+
+function formatGrowth(ratio) {
+  return ratio === null ? '-' : `${ratio.toFixed(2)}x`;
+}
+
+/**
+ * Original and protected sizes of a protection. Each file is compared with
+ * the input uploaded with the same name, if any.
+ * @param {{
+ *  inputs: ?JSZip,
+ *  download: Buffer,
+ *  size: ?number,
+ *  transformedSize: ?number
+ * }} protection `size` and `transformedSize` are the totals reported by the
+ * API, the sum of the known files is used if they're missing
+ * @returns {Promise<{total: object, files: Array.<object>}>}
+ */
+export async function getProtectionSizes({inputs, download, size, transformedSize}) {
+  const files = [];
+  for (const {name, content} of await readArchive(download)) {
+    const input = inputs && inputs.files[name];
+    const inputSize =
+      input && !input.dir ? (await input.async('nodebuffer')).length : null;
+    files.push({
+      filename: name,
+      size: inputSize,
+      protectedSize: content.length,
+      growth: growth(inputSize, content.length)
+    });
+  }
+
+  const known = files.filter(file => file.size !== null);
+  const total = {
+    size:
+      typeof size === 'number'
+        ? size
+        : known.reduce((sum, file) => sum + file.size, 0),
+    protectedSize:
+      typeof transformedSize === 'number'
+        ? transformedSize
+        : known.reduce((sum, file) => sum + file.protectedSize, 0)
+  };
+  total.growth = growth(total.size, total.protectedSize);
+
+  return {total, files};
+}
+
+/**
+ * Check the sizes of a protection against a budget.
+ * @param {object} budget as returned by `getSizeBudget`
+ * @param {{total: object, files: Array.<object>}} sizes as returned by
+ * `getProtectionSizes`
+ * @returns {Array.<object>} the exceeded limits
+ */
+export function checkSizeBudget(budget, {total, files}) {
+  const violations = [];
+  if (
+    budget.maxGrowth !== undefined &&
+    total.growth !== null &&
+    total.growth > budget.maxGrowth
+  ) {
+    violations.push({
+      filename: null,
+      limit: 'maxGrowth',
+      value: total.growth,
+      max: budget.maxGrowth
+    });
+  }
+  files.forEach(file => {
+    if (
+      budget.maxFileSize !== undefined &&
+      file.protectedSize > budget.maxFileSize
+    ) {
+      violations.push({
+        filename: file.filename,
+        limit: 'maxFileSize',
+        value: file.protectedSize,
+        max: budget.maxFileSize
+      });
+    }
+    if (
+      budget.maxFileGrowth !== undefined &&
+      file.growth !== null &&
+      file.growth > budget.maxFileGrowth
+    ) {
+      violations.push({
+        filename: file.filename,
+        limit: 'maxFileGrowth',
+        value: file.growth,
+        max: budget.maxFileGrowth
+      });
+    }
+  });
+
+  return violations;
+}
+
+/**
+ * Describe the violations of a size budget, followed by the sizes of every
+ * file that exceeded it.
+ * @param {{total: object, files: Array.<object>, violations: Array.<object>}} report
+ * @returns {string}
+ */
+export function formatSizeBudgetViolations({total, files, violations}) {
+  const lines = violations.map(({filename, limit, value, max}) => {
+    if (limit === 'maxFileSize') {
+      return `- ${filename}: ${value} bytes exceeds the maximum of ${max} bytes`;
+    }
+    const target = filename || 'Total';
+    return `- ${target}: growth of ${formatGrowth(value)} exceeds the maximum of ${formatGrowth(max)}`;
+  });
+
+  const exceeded = files.filter(file =>
+    violations.some(violation => violation.filename === file.filename)
+  );
+  const breakdown = exceeded
+    .concat({filename: 'Total', ...total})
+    .map(
+      file =>
+        `  ${file.filename}: ${file.size === null ? '-' : file.size} -> ${
+          file.protectedSize
+        } bytes (${formatGrowth(file.growth)})`
+    );
+
+  return `Size budget exceeded:\n${lines.join('\n')}\n${breakdown.join('\n')}`;
+}
+
+/**
+ * Fail, or only warn with `budget.warn`, when a protection exceeds its size
+ * budget.
+ * @param {object} budget
+ * @param {object} sizes as returned by `getProtectionSizes`, with the
+ * `violations` found by `checkSizeBudget`
+ * @param {string} protectionId
+ * @param {object} logger
+ * @param {function} emit
+ * @throws {SizeBudgetError}
+ */
+export function applySizeBudget(budget, sizes, protectionId, logger, emit) {
+  if (sizes.violations.length === 0) {
+    return;
+  }
+
+  const message = formatSizeBudgetViolations(sizes);
+  if (!budget.warn) {
+    throw new SizeBudgetError(message, protectionId, sizes.violations);
+  }
+  logger.warn(message);
+  emit('warning', {protectionId, message, sizeBudget: sizes});
+}
@@ -0,0 +1,132 @@
+import fs from 'fs';
+import path from 'path';
+import {outputFileSync} from 'fs-extra';
+
+import {ConfigurationError} from './errors';
+
+// Each application has a directory in the store with the merged table of all
+// its protections (`symbolTable.json`), used as the input of the next one, and
+// the table of each protection (`protections/<protectionId>.json`).
+
+const KINDS = ['vars', 'props'];
+
+function getStorePaths(dir, applicationId) {
+  const appDir = path.join(dir, applicationId);
+  return {
+    table: path.join(appDir, 'symbolTable.json'),
+    protections: path.join(appDir, 'protections')
+  };
+}
+
+/**
+ * Parse a symbol table, in the `uglifyjs@^3` schema.
+ * @param {string|Buffer} content
+ * @param {string} [source] where it came from, for error messages
+ * @returns {{vars: {props: object}, props: {props: object}}}
+ */
+export function parseSymbolTable(content, source = 'symbol table') {
+  let table;
+  try {
+    table = JSON.parse(content.toString());
+  } catch (e) {
+    throw new ConfigurationError(`Invalid ${source}: ${e.message}`);
+  }
+  if (!table || typeof table !== 'object') {
+    throw new ConfigurationError(`Invalid ${source}: not an object`);
+  }
+  const parsed = {};
+  KINDS.forEach(kind => {
+    parsed[kind] = {
+      props: {...((table[kind] && table[kind].props) || {})}
+    };
+  });
+  return parsed;
+}
+
+/**
+ * Merge symbol tables. Names already renamed by an earlier table keep their
+ * transformed name, so code protected with it stays compatible.
+ * @param {Array.<object>} tables as returned by `parseSymbolTable`
+ * @returns {{table: object, conflicts: Array.<{kind: string, name: string, transformed: string, ignored: string}>}}
+ */
+export function mergeSymbolTables(tables) {
+  const table = parseSymbolTable('{}');
+  const conflicts = [];
+  tables.forEach(current => {
+    KINDS.forEach(kind => {
+      const merged = table[kind].props;
+      Object.keys(current[kind].props).forEach(key => {
+        const transformed = current[kind].props[key];
+        if (!merged.hasOwnProperty(key)) {
+          merged[key] = transformed;
+        } else if (merged[key] !== transformed) {
+          conflicts.push({
+            kind,
+            name: key.replace(/^\$/, ''),
+            transformed: merged[key],
+            ignored: transformed
+          });
+        }
+      });
+    });
+  });
+  return {table, conflicts};
+}
+
+/**
+ * Find a name in a symbol table, either original or transformed.
+ * @param {object} table as returned by `parseSymbolTable`
+ * @param {string} name
+ * @returns {Array.<{kind: string, name: string, transformed: string}>}
+ */
+export function lookupSymbol(table, name) {
+  const matches = [];
+  KINDS.forEach(kind => {
+    const {props} = table[kind];
+    Object.keys(props).forEach(key => {
+      const original = key.replace(/^\$/, '');
+      if (original === name || props[key] === name) {
+        matches.push({kind, name: original, transformed: props[key]});
+      }
+    });
+  });
+  return matches;
+}
+
+/**
+ * Read the merged symbol table of an application.
+ * @param {string} dir the store directory
+ * @param {string} applicationId
+ * @returns {?object} nothing if there's none yet
+ */
+export function readStoredSymbolTable(dir, applicationId) {
+  const {table} = getStorePaths(dir, applicationId);
+  if (!fs.existsSync(table)) {
+    return undefined;
+  }
+  return parseSymbolTable(fs.readFileSync(table, 'utf-8'), table);
+}
+
+/**
+ * Store the symbol table of a protection and merge it into the table of its
+ * application.
+ * @param {string} dir the store directory
+ * @param {string} applicationId
+ * @param {string} protectionId
+ * @param {string|Buffer} content the downloaded table
+ * @returns {{file: string, conflicts: Array.<object>}} the merged table path
+ * and the names the protection renamed differently
+ */
+export function storeSymbolTable(dir, applicationId, protectionId, content) {
+  const paths = getStorePaths(dir, applicationId);
+  const table = parseSymbolTable(content, `symbol table of ${protectionId}`);
+  const stored = readStoredSymbolTable(dir, applicationId);
+  const merged = mergeSymbolTables(stored ? [stored, table] : [table]);
+
+  outputFileSync(
+    path.join(paths.protections, `${protectionId}.json`),
+    JSON.stringify(table, null, 2)
+  );
+  outputFileSync(paths.table, JSON.stringify(merged.table, null, 2));
+  return {file: paths.table, conflicts: merged.conflicts};
+}
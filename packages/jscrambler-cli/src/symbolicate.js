@@ -0,0 +1,169 @@
+import fs from 'fs';
+import path from 'path';
+import {SourceMapConsumer} from 'source-map';
+
+import {ConfigurationError} from './errors';
+
+// `    at fn (https://example.com/main.js:1:2)` or `    at https://example.com/main.js:1:2`
+const V8_FRAME = /^(\s*at\s+)(?:(.*?)\s+\()?(\S+?):(\d+):(\d+)\)?\s*$/;
+// `fn@https://example.com/main.js:1:2` (Firefox and Safari, whose names can
+// have spaces: `global code@...`)
+const GECKO_FRAME = /^(\s*)([^@]*?)@(\S+?):(\d+):(\d+)\s*$/;
+
+function readSourceMap(file) {
+  try {
+    return new SourceMapConsumer(JSON.parse(fs.readFileSync(file, 'utf-8')));
+  } catch (e) {
+    throw new ConfigurationError(`Invalid source map ${file}: ${e.message}`);
+  }
+}
+
+/**
+ * Load every `.map` file in a directory, such as the ones downloaded with
+ * `downloadSourceMaps`.
+ * @param {string} dir
+ * @returns {Array.<{name: string, consumer: SourceMapConsumer}>} `name` is the
+ * path of the map relative to `dir`, without the `.map` extension
+ */
+export function loadSourceMaps(dir) {
+  const maps = [];
+  const walk = current => {
+    fs.readdirSync(current)
+      .sort()
+      .forEach(entry => {
+        const file = path.join(current, entry);
+        if (fs.statSync(file).isDirectory()) {
+          walk(file);
+        } else if (path.extname(entry) === '.map') {
+          maps.push({
+            name: path
+              .relative(dir, file)
+              .replace(/\\/g, '/')
+              .replace(/\.map$/, ''),
+            consumer: readSourceMap(file)
+          });
+        }
+      });
+  };
+  walk(dir);
+  return maps;
+}
+
+/**
+ * Parse a stack trace line.
+ * @param {string} line
+ * @returns {?{style: string, indent: string, name: ?string, file: string, line: number, column: number}}
+ * nothing if the line isn't a frame with a location. Lines and columns are 1-based
+ */
+export function parseStackFrame(line) {
+  let match = line.match(V8_FRAME);
+  if (match) {
+    return {
+      style: 'v8',
+      indent: match[1],
+      name: match[2] || null,
+      file: match[3],
+      line: parseInt(match[4], 10),
+      column: parseInt(match[5], 10)
+    };
+  }
+  match = line.match(GECKO_FRAME);
+  if (match) {
+    return {
+      style: 'gecko',
+      indent: match[1],
+      name: match[2] || null,
+      file: match[3],
+      line: parseInt(match[4], 10),
+      column: parseInt(match[5], 10)
+    };
+  }
+  return undefined;
+}
+
+function formatStackFrame({style, indent, name, file, line, column}) {
+  const location = `${file}:${line}:${column}`;
+  if (style === 'gecko') {
+    return `${indent}${name || ''}@${location}`;
+  }
+  return name ? `${indent}${name} (${location})` : `${indent}${location}`;
+}
+
+/**
+ * The map of a frame file. Maps are matched by path, the one sharing the most
+ * trailing segments with the file path wins (`js/main.js` over `main.js` for
+ * `https://example.com/js/main.js`).
+ * @param {Array.<{name: string}>} maps
+ * @param {string} file a path or URL
+ * @returns {?object}
+ */
+function findSourceMap(maps, file) {
+  const segments = file
+    .replace(/[?#].*$/, '')
+    .replace(/\\/g, '/')
+    .split('/')
+    .reverse();
+  let found;
+  let foundScore = 0;
+  maps.forEach(map => {
+    const mapSegments = map.name.split('/').reverse();
+    let score = 0;
+    while (
+      score < mapSegments.length &&
+      score < segments.length &&
+      mapSegments[score] === segments[score]
+    ) {
+      score += 1;
+    }
+    if (score > foundScore) {
+      found = map;
+      foundScore = score;
+    }
+  });
+  return found;
+}
+
+/**
+ * Map a stack trace of protected code back to the original files, lines and
+ * function names. Lines that aren't frames, or without a matching map, are
+ * kept as they are.
+ * @param {string} trace
+ * @param {Array.<{name: string, consumer: SourceMapConsumer}>} maps as returned
+ * by `loadSourceMaps`
+ * @returns {{trace: string, frames: Array.<object>}} the mapped trace and its
+ * frames, each with its `original` location (or `null` if it wasn't mapped)
+ */
+export function symbolicate(trace, maps) {
+  const frames = [];
+  const lines = trace.split(/\r?\n/).map(line => {
+    const frame = parseStackFrame(line);
+    if (!frame) {
+      return line;
+    }
+
+    const map = findSourceMap(maps, frame.file);
+    const position =
+      map &&
+      map.consumer.originalPositionFor({
+        line: frame.line,
+        // Stack traces have 1-based columns, source maps 0-based ones
+        column: Math.max(frame.column - 1, 0)
+      });
+    const {style, indent, ...location} = frame;
+    if (!position || !position.source) {
+      frames.push({...location, original: null});
+      return line;
+    }
+
+    const original = {
+      name: position.name || frame.name,
+      file: position.source,
+      line: position.line,
+      column: position.column + 1
+    };
+    frames.push({...location, original});
+    return formatStackFrame({style, indent, ...original});
+  });
+
+  return {trace: lines.join('\n'), frames};
+}
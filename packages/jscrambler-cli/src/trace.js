@@ -0,0 +1,116 @@
+import {outputFileSync} from 'fs-extra';
+import keys from 'lodash.keys';
+
+import {redact} from './redact';
+
+const {version} = require('../package.json');
+
+// Clients tracing into the same file share its entries
+const traces = {};
+
+function toNameValueList(object) {
+  return keys(object || {})
+    .filter(name => typeof object[name] !== 'object' || object[name] === null)
+    .map(name => ({name, value: String(object[name])}));
+}
+
+function toContent(data, headers = {}) {
+  const mimeType = headers['content-type'] || '';
+  if (data === undefined || data === null) {
+    return {size: 0, mimeType};
+  }
+  if (typeof data === 'object' && typeof data.byteLength === 'number') {
+    return {size: data.byteLength, mimeType, comment: 'Binary content omitted'};
+  }
+  const text =
+    typeof data === 'string' ? redact(data) : JSON.stringify(redact(data));
+  return {size: text.length, mimeType, text};
+}
+
+/**
+ * Build a HAR entry of a request, with every secret redacted.
+ * @param {{
+ *  startedAt: Date,
+ *  method: string,
+ *  url: string,
+ *  params: ?object,
+ *  response: ?object,
+ *  error: ?Error
+ * }} request `response` and `error` as given by axios
+ * @returns {object}
+ */
+function toHarEntry({startedAt, method, url, params, response, error}) {
+  const time = Date.now() - startedAt.getTime();
+  const config = (response && response.config) || (error && error.config) || {};
+  const isQuery = method === 'GET' || method === 'DELETE';
+  const redactedParams = redact(params);
+
+  const entry = {
+    startedDateTime: startedAt.toISOString(),
+    time,
+    request: {
+      method,
+      url: redact(url),
+      httpVersion: 'HTTP/1.1',
+      headers: toNameValueList(redact(config.headers)),
+      queryString: isQuery ? toNameValueList(redactedParams) : [],
+      cookies: [],
+      headersSize: -1,
+      bodySize: -1
+    },
+    response: {
+      status: response ? response.status : 0,
+      statusText: response ? response.statusText : '',
+      httpVersion: 'HTTP/1.1',
+      headers: toNameValueList(redact(response && response.headers)),
+      cookies: [],
+      content: response
+        ? toContent(response.data, response.headers)
+        : {size: 0, mimeType: ''},
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: -1
+    },
+    cache: {},
+    timings: {send: 0, wait: time, receive: 0}
+  };
+
+  if (!isQuery) {
+    entry.request.postData = {
+      mimeType: 'application/json',
+      text: JSON.stringify(redactedParams)
+    };
+  }
+
+  if (error && !response) {
+    entry.response._error = redact(error.message);
+  }
+
+  return entry;
+}
+
+/**
+ * Get the recorder of a HAR trace file. The file is rewritten after every
+ * request, so it's complete even if the process is interrupted.
+ * @param {string} file
+ * @returns {{record: function}}
+ */
+export function getTrace(file) {
+  if (!traces[file]) {
+    const entries = [];
+    traces[file] = {
+      record(request) {
+        entries.push(toHarEntry(request));
+        outputFileSync(
+          file,
+          JSON.stringify(
+            {log: {version: '1.2', creator: {name: 'jscrambler', version}, entries}},
+            null,
+            2
+          )
+        );
+      }
+    };
+  }
+  return traces[file];
+}
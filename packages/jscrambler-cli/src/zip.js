@@ -1,157 +1,337 @@
-// TODO Replace `sync` functions with async versions
-
-import size from 'lodash.size';
-import temp from 'temp';
 import JSZip from 'jszip';
-import {readFileSync, statSync, outputFileSync} from 'fs-extra';
-import {normalize, resolve, relative, join, isAbsolute} from 'path';
-import {defer} from 'q';
-import {inspect} from 'util';
+import fs from 'fs';
+import {mkdirs, outputFileSync} from 'fs-extra';
+import {normalize, resolve, relative, join, dirname, posix} from 'path';
+import {Readable} from 'stream';
 
-const debug = !!process.env.DEBUG;
+import {ConfigurationError, InvalidArchiveError} from './errors';
+import {createLogger} from './logger';
 
 // ./zip.js module is excluded from browser-like environments. We take advantage of that here.
 export {outputFileSync};
 
-export function zip(files, cwd) {
-  debug && console.log('Zipping files', inspect(files));
-  const deferred = defer();
-  // Flag to detect if any file was added to the zip archive
-  let hasFiles = false;
+// Every entry gets the same timestamp, so zipping the same files always
+// produces the same archive. JSZip writes DOS dates in UTC.
+const ENTRY_DATE = new Date(Date.UTC(1980, 0, 1));
+
+function promisify(fn) {
+  return (...args) =>
+    new Promise((_resolve, reject) =>
+      fn(...args, (err, result) => (err ? reject(err) : _resolve(result)))
+    );
+}
+
+const readFile = promisify(fs.readFile);
+const stat = promisify(fs.stat);
+const ensureDir = promisify(mkdirs);
+
+function writeStream(readable, path) {
+  return new Promise((_resolve, reject) => {
+    readable
+      .on('error', reject)
+      .pipe(fs.createWriteStream(path))
+      .on('error', reject)
+      .on('finish', _resolve);
+  });
+}
+
+/**
+ * A stream of a file that is only opened once it's read, so files waiting to
+ * be zipped don't hold a file descriptor.
+ * @param {string} path
+ * @returns {Readable}
+ */
+function createLazyReadStream(path) {
+  let source;
+  const readable = new Readable({
+    read() {
+      if (source) {
+        source.resume();
+        return;
+      }
+      source = fs
+        .createReadStream(path)
+        .on('data', chunk => {
+          if (!readable.push(chunk)) {
+            source.pause();
+          }
+        })
+        .on('end', () => readable.push(null))
+        .on('error', e => readable.emit('error', e));
+    }
+  });
+  return readable;
+}
+
+/**
+ * Generate an archive through a stream. Files are added one at a time,
+ * so only the archive and the file being read are in memory.
+ * @param {JSZip} zipFile
+ * @returns {Promise<Buffer>}
+ */
+export function generateArchive(zipFile) {
+  return new Promise((_resolve, reject) => {
+    const chunks = [];
+    zipFile
+      .generateNodeStream({type: 'nodebuffer'})
+      .on('data', chunk => chunks.push(chunk))
+      .on('error', reject)
+      .on('end', () => _resolve(Buffer.concat(chunks)));
+  });
+}
+
+function byName(a, b) {
+  if (a.name === b.name) {
+    return 0;
+  }
+  return a.name < b.name ? -1 : 1;
+}
+
+/**
+ * Resolve a path or vinyl file into the entry it adds to the archive.
+ * @param {string|object} file
+ * @param {?string} cwd
+ * @returns {Promise<?{name: string, buffer: ?Buffer, path: ?string, dir: ?boolean}>}
+ * nothing if the file is skipped. Files on disk are read when zipped, from
+ * `path`
+ */
+async function toEntry(file, cwd) {
+  // Sanitise path
+  if (typeof file === 'string') {
+    file = normalize(file);
+    if (file.indexOf('../') === 0) {
+      file = resolve(file);
+    }
+  }
+  // Bypass unwanted patterns from `files`
+  if (/.*\.(git|hg)(\/.*|$)/.test(file.path || file)) {
+    return undefined;
+  }
+  // If buffer
+  if (file.contents) {
+    return {name: relative(file.cwd, file.path), buffer: file.contents};
+  }
+
+  const inCwd = cwd && file.indexOf && file.indexOf(cwd) === 0;
+  const sPath = cwd && file.indexOf && !inCwd ? join(cwd, file) : file;
+
+  if ((await stat(sPath)).isDirectory()) {
+    return {name: sPath, dir: true};
+  }
+  // Else if it's a path and not a directory
+  return {name: inCwd ? file.substring(cwd.length) : file, path: sPath};
+}
+
+/**
+ * Zip paths or vinyl files. A single `.zip` path is loaded as is. Files are
+ * streamed into the archive, which is then loaded back so its entries can be
+ * read more than once without keeping the sources in memory.
+ * @param {Array.<string|object>} files
+ * @param {?string} cwd
+ * @param {object} [logger]
+ * @returns {Promise<JSZip>}
+ */
+export async function zip(files, cwd, logger = createLogger()) {
+  logger.debug('Zipping files', files);
+  // If it's already a zip file
+  if (files.length === 1 && /^.*\.zip$/.test(files[0])) {
+    return JSZip.loadAsync(await readFile(files[0]));
+  }
+
   // Sanitize `cwd`
   if (cwd) {
     cwd = normalize(cwd);
   }
-  // If it's already a zip file
-  if (files.length === 1 && /^.*\.zip$/.test(files[0])) {
-    hasFiles = true;
-    const zip = new JSZip();
-    let zipFile = readFileSync(files[0]);
-
-    outputFileSync(temp.openSync({suffix: '.zip'}).path, zipFile);
-    zipFile = zip.load(zipFile);
-    deferred.resolve(zipFile);
-  } else {
-    const zip = new JSZip();
-    for (let i = 0, l = files.length; i < l; ++i) {
-      // Sanitise path
-      if (typeof files[i] === 'string') {
-        files[i] = normalize(files[i]);
-        if (files[i].indexOf('../') === 0) {
-          files[i] = resolve(files[i]);
-        }
-      }
-      // Bypass unwanted patterns from `files`
-      if (/.*\.(git|hg)(\/.*|$)/.test(files[i].path || files[i])) {
-        continue;
-      }
-      let buffer, name;
-      let sPath;
-      if (cwd && files[i].indexOf && files[i].indexOf(cwd) !== 0) {
-        sPath = join(cwd, files[i]);
-      } else {
-        sPath = files[i];
-      }
-      // If buffer
-      if (files[i].contents) {
-        name = relative(files[i].cwd, files[i].path);
-        buffer = files[i].contents;
-      } else if (!statSync(sPath).isDirectory()) {
-        // Else if it's a path and not a directory
-        if (cwd && files[i].indexOf && files[i].indexOf(cwd) === 0) {
-          name = files[i].substring(cwd.length);
-        } else {
-          name = files[i];
-        }
-        buffer = readFileSync(sPath);
-      } else {
-        // Else if it's a directory path
-        zip.folder(sPath);
-      }
-      if (name) {
-        hasFiles = true;
-        zip.file(name, buffer);
-      }
-    }
-    if (hasFiles) {
-      const tempFile = temp.openSync({suffix: '.zip'});
-      outputFileSync(tempFile.path, zip.generate({type: 'nodebuffer'}), {
-        encoding: 'base64'
-      });
-      files[0] = tempFile.path;
-      files.length = 1;
-      deferred.resolve(zip);
-    } else {
-      throw new Error(
-        'No source files found. If you intend to send a whole directory sufix your path with "**" (e.g. ./my-directory/**)'
-      );
+
+  const entries = [];
+  for (const file of files) {
+    const entry = await toEntry(file, cwd);
+    if (entry) {
+      entries.push(entry);
     }
   }
 
-  return deferred.promise;
+  if (!entries.some(entry => !entry.dir)) {
+    throw new ConfigurationError(
+      'No source files found. If you intend to send a whole directory sufix your path with "**" (e.g. ./my-directory/**)'
+    );
+  }
+
+  const zipFile = new JSZip();
+  entries.sort(byName).forEach(({name, buffer, path, dir}) => {
+    let content = null;
+    if (!dir) {
+      content = buffer || createLazyReadStream(path);
+    }
+    zipFile.file(name, content, {
+      dir,
+      binary: true,
+      date: ENTRY_DATE,
+      createFolders: false
+    });
+  });
+  return JSZip.loadAsync(await generateArchive(zipFile));
 }
 
-export function zipSources(sources) {
+/**
+ * Zip in-memory sources.
+ * @param {Array.<{filename: string, content: string}>} sources
+ * @param {object} [logger]
+ * @returns {Promise<JSZip>}
+ */
+export function zipSources(sources, logger = createLogger()) {
   const zipFile = new JSZip();
-  const fileNames = sources.map(source => {
-    zipFile.file(source.filename, source.content);
-    return source.filename;
+  const sorted = sources
+    .map(source => ({name: source.filename, content: source.content}))
+    .sort(byName);
+
+  sorted.forEach(({name, content}) => {
+    zipFile.file(name, content, {date: ENTRY_DATE, createFolders: false});
   });
 
-  if (debug) {
-    console.log('Zipping files', inspect(fileNames));
-  }
+  logger.debug('Zipping files', sorted.map(({name}) => name));
   return Promise.resolve(zipFile);
 }
 
-function isWinAbsolutePath(path) {
-  return isAbsolute(path) && /^([a-z]:)(.*)/i.test(path);
+// File type bits of the unix permissions stored in zip entries
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+function isSymlink(entry) {
+  return (
+    typeof entry.unixPermissions === 'number' &&
+    (entry.unixPermissions & S_IFMT) === S_IFLNK
+  );
+}
+
+/**
+ * Path of an archive entry relative to the destination. Drive letters and
+ * leading separators are dropped, so absolute entries are extracted inside the
+ * destination, and entries that would still escape it are rejected.
+ * @param {string} name
+ * @returns {string}
+ * @throws {InvalidArchiveError}
+ */
+function getEntryPath(name) {
+  const entryPath = posix.normalize(
+    name
+      .replace(/\\/g, '/')
+      .replace(/^[a-z]:/i, '')
+      .replace(/^\/+/, '')
+  );
+
+  if (
+    name.indexOf('\0') !== -1 ||
+    entryPath === '.' ||
+    entryPath === '..' ||
+    entryPath.indexOf('../') === 0
+  ) {
+    throw new InvalidArchiveError(
+      `Invalid archive: entry "${name}" is outside of the destination`
+    );
+  }
+  return entryPath;
 }
 
-function parseWinAbsolutePath(_path) {
-  const [full, drv, path] = _path.match(/^([a-z]:)(.*)/i);
-  return {
-    drv,
-    path
-  };
+/**
+ * Load and check a whole archive before anything is extracted: the CRC of
+ * every entry, entry paths and symbolic links.
+ * @param {Buffer} zipFile
+ * @returns {Promise<{archive: JSZip, entries: Array.<{name: string, path: string}>}>}
+ * file entries sorted by name
+ * @throws {InvalidArchiveError}
+ */
+async function loadArchive(zipFile) {
+  let archive;
+  try {
+    archive = await JSZip.loadAsync(zipFile, {checkCRC32: true});
+  } catch (e) {
+    throw new InvalidArchiveError(`Invalid archive: ${e.message}`);
+  }
+
+  const entries = [];
+  Object.keys(archive.files)
+    .sort()
+    .forEach(name => {
+      const entry = archive.files[name];
+      // JSZip resolves `..` segments by itself, the original name is kept
+      const originalName = entry.unsafeOriginalName || name;
+
+      if (isSymlink(entry)) {
+        throw new InvalidArchiveError(
+          `Invalid archive: entry "${originalName}" is a symbolic link`
+        );
+      }
+      // Directories are created along with their files
+      if (!entry.dir) {
+        entries.push({name, path: getEntryPath(originalName)});
+      }
+    });
+
+  return {archive, entries};
+}
+
+/**
+ * Read the files of an archive, validated and sorted by name like `unzip`
+ * does, without writing them.
+ * @param {Buffer} zipFile
+ * @returns {Promise<Array.<{name: string, content: Buffer}>>}
+ * @throws {InvalidArchiveError}
+ */
+export async function readArchive(zipFile) {
+  const {archive, entries} = await loadArchive(zipFile);
+  const files = [];
+  for (const {name} of entries) {
+    files.push({name, content: await archive.files[name].async('nodebuffer')});
+  }
+  return files;
 }
 
-export function unzip(zipFile, dest, stream = true) {
-  const zip = new JSZip(zipFile);
-  const _size = size(zip.files);
+/**
+ * Extract a zip archive into a directory or hand its files to a callback.
+ * The archive is fully validated first (see `loadArchive`), so an invalid
+ * archive never leaves a partially extracted output. Files are then extracted
+ * one at a time, sorted by name, and streamed to disk.
+ * @param {Buffer} zipFile
+ * @param {string|function} dest
+ * @param {boolean} [stream=true]
+ * @returns {Promise<Array.<string>>} the extracted file names (or paths when
+ * `dest` is a directory), in the same order as `readArchive`
+ * @throws {InvalidArchiveError}
+ */
+export async function unzip(zipFile, dest, stream = true) {
+  const {archive, entries} = await loadArchive(zipFile);
+  const lastDestChar = typeof dest === 'string' && dest[dest.length - 1];
+  const singleFile =
+    Object.keys(archive.files).length === 1 &&
+    lastDestChar !== '/' &&
+    lastDestChar !== '\\';
 
   const results = [];
+  const files = [];
 
-  for (const file in zip.files) {
-    if (!zip.files[file].options.dir) {
-      const buffer = zip.file(file).asNodeBuffer();
-
-      if (typeof dest === 'function') {
-        if (stream) {
-          dest(buffer, file);
-        } else {
-          results.push({filename: file, content: buffer.toString()});
-        }
-      } else if (dest && typeof dest === 'string') {
-        var destPath;
-
-        const lastDestChar = dest[dest.length - 1];
-        if (_size === 1 && lastDestChar !== '/' && lastDestChar !== '\\') {
-          destPath = dest;
-        } else {
-          let _file = file;
-          // Deal with win path join c:\dest\:c\src
-          if (isWinAbsolutePath(_file)) {
-            _file = parseWinAbsolutePath(_file).path;
-          }
-          destPath = join(dest, _file);
-        }
-        outputFileSync(destPath, buffer);
+  for (const {name, path} of entries) {
+    const entry = archive.files[name];
+
+    if (typeof dest === 'function') {
+      const buffer = await entry.async('nodebuffer');
+      files.push(name);
+      if (stream) {
+        dest(buffer, name);
+      } else {
+        results.push({filename: name, content: buffer.toString()});
       }
+    } else if (dest && typeof dest === 'string') {
+      const destPath = singleFile ? dest : join(dest, path);
+      await ensureDir(dirname(destPath));
+      await writeStream(entry.nodeStream(), destPath);
+      files.push(destPath);
     }
   }
 
   if (!stream) {
     dest(results);
   }
+
+  return files;
 }
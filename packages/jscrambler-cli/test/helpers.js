@@ -0,0 +1,213 @@
+const assert = require('assert');
+const JSZip = require('jszip');
+
+const jscrambler = require('../src').default;
+const {createLogger} = require('../src/logger');
+
+/**
+ * Like `assert.rejects`, which older node versions don't have.
+ * @param {Promise} promise
+ * @param {function|RegExp} expected an error class, a pattern of the message
+ * or a validation function returning `true`
+ * @returns {Promise<Error>} the rejection error
+ */
+async function rejects(promise, expected) {
+  let error;
+  try {
+    await promise;
+  } catch (e) {
+    error = e;
+  }
+  assert.ok(error, 'Missing expected rejection.');
+  assert.throws(() => {
+    throw error;
+  }, expected);
+  return error;
+}
+
+/**
+ * @param {Object.<string, (string|Buffer)>} files contents by name
+ * @param {object} [options] options of every file
+ * @returns {JSZip}
+ */
+function createZip(files, options = {}) {
+  const zipFile = new JSZip();
+  Object.keys(files).forEach(name => {
+    zipFile.file(name, files[name], options);
+  });
+  return zipFile;
+}
+
+/**
+ * An archive, as downloaded.
+ * @param {Object.<string, (string|Buffer)>} files contents by name
+ * @param {object} [options] options of every file
+ * @returns {Promise<Buffer>}
+ */
+function createArchive(files, options) {
+  return createZip(files, options).generateAsync({
+    type: 'nodebuffer',
+    platform: 'UNIX'
+  });
+}
+
+/**
+ * The files of an archive.
+ * @param {Buffer} archive
+ * @returns {Promise<Object.<string, string>>} contents by name
+ */
+async function readFiles(archive) {
+  const zipFile = await JSZip.loadAsync(archive);
+  const files = {};
+  for (const name of Object.keys(zipFile.files)) {
+    files[name] = await zipFile.files[name].async('string');
+  }
+  return files;
+}
+
+// Only answers introspection queries, with types without any field
+class IntrospectionClient {
+  constructor(options) {
+    this.options = options;
+    this.logger = createLogger(options.logger);
+  }
+
+  get(path, query) {
+    if (query && /__type/.test(query.query)) {
+      const {name} = JSON.parse(query.params);
+      return Promise.resolve({data: {__type: {name, fields: []}}});
+    }
+    return Promise.reject(new Error(`Unexpected request to ${path}`));
+  }
+}
+
+function addStubs(api, methods, calls) {
+  api.Client = IntrospectionClient;
+  Object.keys(methods).forEach(name => {
+    api[name] = (client, ...args) => {
+      calls.push([name, ...args]);
+      return Promise.resolve().then(() => methods[name](...args));
+    };
+  });
+}
+
+/**
+ * The API with `methods` replaced by stubs. The stubs get the arguments after
+ * the client and their calls are recorded, in order, as `[name, ...args]`.
+ * @param {Object.<string, function>} methods
+ * @returns {{api: object, calls: Array.<Array>}}
+ */
+function createApi(methods) {
+  const api = Object.create(jscrambler);
+  const calls = [];
+  addStubs(api, methods, calls);
+  return {api, calls};
+}
+
+/**
+ * An API protecting `a.js` into `protected a` as protection `p1`, with the
+ * `methods` given replacing the default stubs.
+ * @param {Object.<string, function>} [methods]
+ * @returns {{api: object, calls: Array.<Array>}}
+ */
+function createProtectionApi(methods = {}) {
+  return createApi({
+    getApplication: () => ({
+      data: {application: {parameters: '[]', areSubscribersOrdered: false}}
+    }),
+    getApplicationProfiling: () => {
+      const error = new Error('Not found');
+      error.statusCode = 404;
+      throw error;
+    },
+    updateApplicationSources: () => ({}),
+    updateApplication: () => ({data: {}}),
+    createApplicationProtection: () => ({
+      data: {createApplicationProtection: {_id: 'p1'}}
+    }),
+    pollProtection: () => ({state: 'finished', sources: []}),
+    downloadApplicationProtection: () =>
+      createArchive({'a.js': 'protected a'}),
+    ...methods
+  });
+}
+
+/**
+ * Run `protectAndDownload` of application `app1` with `options`.
+ * @param {object} api
+ * @param {object} [options]
+ * @returns {Promise<{files: Object.<string, string>, result: object}>} the
+ * written files and the result given to `onResult`
+ */
+function protect(api, options = {}) {
+  const files = {};
+  let result;
+  return api
+    .protectAndDownload(
+      {
+        keys: {accessKey: 'AAAA', secretKey: 'BBBB'},
+        applicationId: 'app1',
+        sources: [{filename: 'a.js', content: 'a'}],
+        params: {},
+        logger: {level: 'silent'},
+        onResult: r => {
+          result = r;
+        },
+        ...options
+      },
+      (buffer, name) => {
+        files[name] = buffer.toString();
+      }
+    )
+    .then(() => ({files, result}));
+}
+
+/**
+ * Like `createApi`, but replacing the methods of the API itself, for the
+ * commands using it. Call `restore` once done.
+ * @param {Object.<string, function>} methods
+ * @returns {{calls: Array.<Array>, restore: function}}
+ */
+function stubApi(methods) {
+  const original = {};
+  const calls = [];
+  ['Client', ...Object.keys(methods)].forEach(name => {
+    original[name] = jscrambler[name];
+  });
+  addStubs(jscrambler, methods, calls);
+  return {
+    calls,
+    restore: () => Object.assign(jscrambler, original)
+  };
+}
+
+/**
+ * Record everything written to stdout until `restore` is called.
+ * @returns {{output: function(): string, restore: function}}
+ */
+function captureStdout() {
+  const {write} = process.stdout;
+  let output = '';
+  process.stdout.write = chunk => {
+    output += chunk;
+    return true;
+  };
+  return {
+    output: () => output,
+    restore: () => {
+      process.stdout.write = write;
+    }
+  };
+}
+
+module.exports = {
+  captureStdout,
+  createApi,
+  createArchive,
+  createProtectionApi,
+  createZip,
+  protect,
+  readFiles,
+  rejects,
+  stubApi
+};
@@ -0,0 +1,134 @@
+const assert = require('assert');
+
+const {
+  createAbortController,
+  onAbort,
+  throwIfAborted,
+  wait
+} = require('../../src/abort');
+const {AbortError} = require('../../src/errors');
+const {createProtectionApi, protect, rejects} = require('../helpers');
+
+describe('abort', () => {
+  const NativeAbortController = global.AbortController;
+
+  // Run the tests with the native controller, if any, and the replacement
+  [['native', NativeAbortController], ['replacement', undefined]].forEach(
+    ([kind, Controller]) => {
+      describe(`with the ${kind} AbortController`, () => {
+        beforeEach(() => {
+          global.AbortController = Controller;
+        });
+
+        afterEach(() => {
+          global.AbortController = NativeAbortController;
+        });
+
+        it('calls the listeners once', () => {
+          const controller = createAbortController();
+          const calls = [];
+          onAbort(controller.signal, () => calls.push('a'));
+          const remove = onAbort(controller.signal, () => calls.push('b'));
+          remove();
+
+          assert.doesNotThrow(() => throwIfAborted(controller.signal));
+          controller.abort();
+          controller.abort();
+
+          assert.strictEqual(controller.signal.aborted, true);
+          assert.deepStrictEqual(calls, ['a']);
+          assert.throws(() => throwIfAborted(controller.signal), AbortError);
+        });
+
+        it('stops waiting when aborted', async () => {
+          const controller = createAbortController();
+          const waiting = wait(60000, controller.signal);
+          controller.abort();
+
+          await rejects(waiting, AbortError);
+          await rejects(wait(0, controller.signal), AbortError);
+        });
+      });
+    }
+  );
+
+  it('waits without a signal', async () => {
+    assert.doesNotThrow(() => throwIfAborted(undefined));
+    assert.strictEqual(typeof onAbort(undefined, () => {}), 'function');
+    await wait(1);
+  });
+});
+
+describe('protectAndDownload abort', () => {
+  it('cancels the protection on the server', async () => {
+    const controller = createAbortController();
+    const {api, calls} = createProtectionApi({
+      pollProtection: () => {
+        controller.abort();
+        throw new AbortError();
+      },
+      cancelProtection: () => ({data: {cancelProtection: 'p1'}})
+    });
+
+    const error = await rejects(
+      protect(api, {signal: controller.signal}),
+      AbortError
+    );
+
+    assert.strictEqual(error.message, 'Protection p1 was aborted');
+    assert.deepStrictEqual(calls.pop(), ['cancelProtection', 'p1', 'app1']);
+  });
+
+  it('rejects with an AbortError even if canceling fails', async () => {
+    const {api} = createProtectionApi({
+      pollProtection: () => {
+        throw new AbortError();
+      },
+      cancelProtection: () => {
+        throw new Error('Unexpected Response: 500');
+      }
+    });
+
+    await rejects(protect(api), AbortError);
+  });
+
+  it('does not cancel protections that failed', async () => {
+    const {api, calls} = createProtectionApi({
+      pollProtection: () => {
+        throw new Error('Failed');
+      },
+      cancelProtection: () => ({})
+    });
+
+    await rejects(protect(api), /Failed/);
+    assert.ok(!calls.some(([name]) => name === 'cancelProtection'));
+  });
+});
+
+describe('instrumentAndDownload abort', () => {
+  it('deletes the instrumentation', async () => {
+    const {api, calls} = createProtectionApi({
+      startInstrumentation: () => ({data: {id: 'i1'}}),
+      pollInstrumentation: () => {
+        throw new AbortError();
+      },
+      deleteProfiling: () => ({})
+    });
+
+    const error = await rejects(
+      api.instrumentAndDownload(
+        {
+          keys: {accessKey: 'AAAA', secretKey: 'BBBB'},
+          applicationId: 'app1',
+          sources: [{filename: 'a.js', content: 'a'}],
+          logger: {level: 'silent'}
+        },
+        () => {}
+      ),
+      AbortError
+    );
+
+    assert.strictEqual(error.message, 'Instrumentation i1 was aborted');
+    assert.deepStrictEqual(calls.pop(), ['deleteProfiling', 'i1']);
+  });
+});
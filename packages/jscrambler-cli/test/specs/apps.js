@@ -0,0 +1,100 @@
+const assert = require('assert');
+
+const apps = require('../../src/commands/apps').default;
+const {ConfigurationError} = require('../../src/errors');
+const {captureStdout, rejects, stubApi} = require('../helpers');
+
+describe('apps command', () => {
+  let stub;
+
+  const application = {
+    _id: 'app1',
+    name: 'App',
+    createdAt: '2020-01-01',
+    protections: 2
+  };
+
+  beforeEach(() => {
+    stub = stubApi({
+      getApplications: () => ({data: {applications: [application]}}),
+      getApplication: () => ({data: {application}}),
+      createApplication: ({name}) => ({
+        data: {createApplication: {_id: 'app2', name}}
+      }),
+      duplicateApplication: () => ({
+        data: {duplicateApplication: {_id: 'app3'}}
+      }),
+      removeApplication: _id => ({data: {removeApplication: {_id}}}),
+      unlockApplication: ({_id}) => ({data: {unlockApplication: {_id}}})
+    });
+  });
+
+  afterEach(() => {
+    stub.restore();
+  });
+
+  async function run(action, args, options) {
+    const stdout = captureStdout();
+    try {
+      await apps(action, args, {clientSettings: {}, ...options});
+    } finally {
+      stdout.restore();
+    }
+    return stdout.output();
+  }
+
+  it('lists the applications as a table or JSON', async () => {
+    assert.strictEqual(
+      await run('list', []),
+      [
+        'ID    NAME  CREATED AT  PROTECTIONS',
+        'app1  App   2020-01-01  2',
+        ''
+      ].join('\n')
+    );
+    assert.deepStrictEqual(JSON.parse(await run('list', [], {json: true})), [
+      application
+    ]);
+  });
+
+  it('takes the application id as argument or option', async () => {
+    await run('show', ['app1'], {json: true});
+    await run('duplicate', [], {applicationId: 'app1', json: true});
+    await run('unlock', ['app1'], {applicationId: 'other'});
+    await run('remove', ['app1']);
+
+    assert.deepStrictEqual(stub.calls.map(([name, id]) => [name, id]), [
+      ['getApplication', 'app1'],
+      ['duplicateApplication', 'app1'],
+      ['unlockApplication', {_id: 'app1'}],
+      ['removeApplication', 'app1']
+    ]);
+  });
+
+  it('prints the id of created applications', async () => {
+    assert.strictEqual(await run('create', ['New']), 'app2\n');
+    assert.deepStrictEqual(stub.calls, [['createApplication', {name: 'New'}]]);
+  });
+
+  it('fails without the required arguments', async () => {
+    await rejects(run('show', []), /Usage: jscrambler apps show <id>/);
+    await rejects(run('create', []), /Usage: jscrambler apps create <name>/);
+    // `remove` only takes the id as argument, never from the configuration
+    await rejects(
+      run('remove', [], {applicationId: 'app1'}),
+      ConfigurationError
+    );
+    assert.deepStrictEqual(stub.calls, []);
+  });
+
+  it('fails with unknown actions', async () => {
+    await rejects(run('rename', []), error => {
+      assert.ok(error instanceof ConfigurationError);
+      assert.strictEqual(
+        error.message,
+        'Unknown apps command "rename". Available commands: list, show, create, duplicate, remove, unlock'
+      );
+      return true;
+    });
+  });
+});
@@ -0,0 +1,266 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {removeSync} = require('fs-extra');
+
+const {
+  cleanCache,
+  getCacheKey,
+  getCacheOptions,
+  listCacheEntries,
+  readCacheEntry,
+  writeCacheEntry
+} = require('../../src/cache');
+const {ConfigurationError} = require('../../src/errors');
+const {createProtectionApi, createZip, protect} = require('../helpers');
+
+describe('getCacheOptions', () => {
+  it('uses the defaults with `true`', () => {
+    assert.deepStrictEqual(getCacheOptions(true), {
+      dir: path.resolve('node_modules/.cache/jscrambler'),
+      maxSize: 500 * 1024 * 1024
+    });
+  });
+
+  it('rejects an invalid `maxSize`', () => {
+    assert.throws(() => getCacheOptions({maxSize: 'big'}), ConfigurationError);
+    assert.throws(() => getCacheOptions({maxSize: -1}), ConfigurationError);
+  });
+});
+
+describe('getCacheKey', () => {
+  it('does not depend on the order of the files', async () => {
+    const first = await getCacheKey(createZip({'a.js': 'a', 'b.js': 'b'}), {});
+    const second = await getCacheKey(
+      createZip({'b.js': 'b', 'a.js': 'a'}),
+      {}
+    );
+
+    assert.strictEqual(first, second);
+  });
+
+  it('changes with the content or the name of a file', async () => {
+    const key = await getCacheKey(createZip({'a.js': 'a'}), {});
+
+    assert.notStrictEqual(
+      await getCacheKey(createZip({'a.js': 'b'}), {}),
+      key
+    );
+    assert.notStrictEqual(
+      await getCacheKey(createZip({'b.js': 'a'}), {}),
+      key
+    );
+  });
+
+  it('changes with the parameters', async () => {
+    const zipped = createZip({'a.js': 'a'});
+    const params = [{name: 'whitespaceRemoval'}];
+
+    assert.strictEqual(
+      await getCacheKey(zipped, {params}),
+      await getCacheKey(zipped, {params: [{name: 'whitespaceRemoval'}]})
+    );
+    assert.notStrictEqual(
+      await getCacheKey(zipped, {params}),
+      await getCacheKey(zipped, {params: [{name: 'stringConcealing'}]})
+    );
+    assert.notStrictEqual(
+      await getCacheKey(zipped, {applicationParameters: {parameters: params}}),
+      await getCacheKey(zipped, {
+        applicationParameters: {parameters: [{name: 'stringConcealing'}]}
+      })
+    );
+  });
+});
+
+describe('cache entries', () => {
+  let cache;
+  let now;
+  let dateNow;
+
+  beforeEach(() => {
+    cache = {
+      dir: fs.mkdtempSync(path.join(os.tmpdir(), 'jscrambler-cache-')),
+      maxSize: 10
+    };
+    // Entries used in the same millisecond would have no order
+    dateNow = Date.now;
+    now = 1000;
+    Date.now = () => {
+      now += 1;
+      return now;
+    };
+  });
+
+  afterEach(() => {
+    Date.now = dateNow;
+    removeSync(cache.dir);
+  });
+
+  it('reads written entries', () => {
+    assert.strictEqual(
+      writeCacheEntry(cache, 'k1', Buffer.from('abc'), {protectionId: 'p1'}),
+      true
+    );
+
+    const entry = readCacheEntry(cache, 'k1');
+    assert.strictEqual(entry.protectionId, 'p1');
+    assert.strictEqual(entry.size, 3);
+    assert.ok(entry.lastUsedAt > entry.createdAt);
+    assert.ok(entry.content.equals(Buffer.from('abc')));
+    assert.strictEqual(readCacheEntry(cache, 'k2'), undefined);
+  });
+
+  it('evicts the least recently used entries past `maxSize`', () => {
+    writeCacheEntry(cache, 'k1', Buffer.alloc(4), {});
+    writeCacheEntry(cache, 'k2', Buffer.alloc(4), {});
+    readCacheEntry(cache, 'k1');
+    writeCacheEntry(cache, 'k3', Buffer.alloc(4), {});
+
+    assert.deepStrictEqual(listCacheEntries(cache).map(({key}) => key), [
+      'k3',
+      'k1'
+    ]);
+    assert.ok(!fs.existsSync(path.join(cache.dir, 'k2.zip')));
+  });
+
+  it('does not store archives larger than `maxSize`', () => {
+    assert.strictEqual(writeCacheEntry(cache, 'k1', Buffer.alloc(11), {}), false);
+    assert.deepStrictEqual(listCacheEntries(cache), []);
+  });
+
+  it('drops corrupt entries', () => {
+    writeCacheEntry(cache, 'k1', Buffer.from('abc'), {});
+    fs.writeFileSync(path.join(cache.dir, 'k1.json'), '{"key":');
+
+    assert.deepStrictEqual(listCacheEntries(cache), []);
+    assert.strictEqual(readCacheEntry(cache, 'k1'), undefined);
+    assert.deepStrictEqual(fs.readdirSync(cache.dir), []);
+  });
+
+  it('removes every entry', () => {
+    writeCacheEntry(cache, 'k1', Buffer.from('a'), {});
+    writeCacheEntry(cache, 'k2', Buffer.from('b'), {});
+
+    assert.deepStrictEqual(cleanCache(cache).map(({key}) => key), [
+      'k2',
+      'k1'
+    ]);
+    assert.deepStrictEqual(fs.readdirSync(cache.dir), []);
+  });
+});
+
+describe('protectAndDownload cache', () => {
+  let dir;
+  let applicationParameters;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jscrambler-cache-'));
+    applicationParameters = '[{"name":"whitespaceRemoval"}]';
+  });
+
+  afterEach(() => {
+    removeSync(dir);
+  });
+
+  function createCachingApi() {
+    return createProtectionApi({
+      getApplication: () => ({
+        data: {
+          application: {
+            parameters: applicationParameters,
+            areSubscribersOrdered: false
+          }
+        }
+      }),
+      downloadSymbolTableRequest: () => '{"vars": {"props": {"$a": "b"}}}'
+    });
+  }
+
+  function protectCached(api, options) {
+    return protect(api, {cache: {dir: path.join(dir, 'cache')}, ...options});
+  }
+
+  function countCalls(calls, name) {
+    return calls.filter(([method]) => method === name).length;
+  }
+
+  it('restores a previous protection', async () => {
+    const {api, calls} = createCachingApi();
+
+    const first = await protectCached(api);
+    const {files, result} = await protectCached(api);
+
+    assert.strictEqual(first.result.cached, false);
+    assert.deepStrictEqual(files, {'a.js': 'protected a'});
+    assert.strictEqual(result.cached, true);
+    assert.strictEqual(result.protectionId, 'p1');
+    assert.strictEqual(countCalls(calls, 'createApplicationProtection'), 1);
+  });
+
+  it('restores a previous protection and still stores its symbol table', async () => {
+    const {api, calls} = createCachingApi();
+    const symbolTableStore = path.join(dir, 'symbols');
+
+    // The stored table is part of the key, it's only the same from the
+    // second protection on
+    await protectCached(api, {symbolTableStore});
+    await protectCached(api, {symbolTableStore});
+    const {files, result} = await protectCached(api, {symbolTableStore});
+
+    assert.deepStrictEqual(files, {'a.js': 'protected a'});
+    assert.strictEqual(result.cached, true);
+    assert.strictEqual(countCalls(calls, 'createApplicationProtection'), 2);
+    assert.strictEqual(countCalls(calls, 'downloadSymbolTableRequest'), 3);
+    assert.strictEqual(
+      result.symbolTable,
+      path.join(symbolTableStore, 'app1/symbolTable.json')
+    );
+  });
+
+  it('protects again when the sources changed', async () => {
+    const {api, calls} = createCachingApi();
+
+    await protectCached(api);
+    const {result} = await protectCached(api, {
+      sources: [{filename: 'a.js', content: 'b'}]
+    });
+
+    assert.strictEqual(result.cached, false);
+    assert.strictEqual(countCalls(calls, 'createApplicationProtection'), 2);
+  });
+
+  it('protects again when the application parameters changed', async () => {
+    const {api, calls} = createCachingApi();
+
+    await protectCached(api);
+    applicationParameters = '[{"name":"stringConcealing"}]';
+    const {result} = await protectCached(api);
+
+    assert.strictEqual(result.cached, false);
+    assert.strictEqual(countCalls(calls, 'createApplicationProtection'), 2);
+  });
+
+  it('does not fetch the application parameters when given', async () => {
+    const {api, calls} = createCachingApi();
+    const params = {whitespaceRemoval: {}};
+
+    await protectCached(api, {params});
+    const {result} = await protectCached(api, {params});
+
+    assert.strictEqual(result.cached, true);
+    assert.strictEqual(countCalls(calls, 'getApplication'), 0);
+  });
+  it('is not used with `removeProfilingData`', async () => {
+    const {api, calls} = createCachingApi();
+
+    await protectCached(api, {removeProfilingData: true});
+    const {result} = await protectCached(api, {removeProfilingData: true});
+
+    assert.strictEqual(result.cached, false);
+    assert.strictEqual(countCalls(calls, 'createApplicationProtection'), 2);
+    assert.strictEqual(countCalls(calls, 'getApplicationProfiling'), 2);
+    assert.ok(!fs.existsSync(path.join(dir, 'cache')));
+  });
+});
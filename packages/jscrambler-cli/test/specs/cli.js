@@ -0,0 +1,70 @@
+const assert = require('assert');
+const {spawnSync} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {removeSync} = require('fs-extra');
+
+const bin = path.join(__dirname, '../../src/bin/jscrambler.js');
+
+describe('jscrambler CLI', function() {
+  // The first run compiles the sources
+  this.timeout(60000);
+
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jscrambler-cli-'));
+  });
+
+  afterEach(() => {
+    removeSync(dir);
+  });
+
+  // Run outside of the project and without a home configuration, but with
+  // the usual compilation cache
+  function run(...args) {
+    const env = {
+      ...process.env,
+      HOME: dir,
+      BABEL_CACHE_PATH:
+        process.env.BABEL_CACHE_PATH || path.join(os.homedir(), '.babel.json')
+    };
+    const {status, stdout, stderr} = spawnSync(
+      process.execPath,
+      [
+        '--require',
+        require.resolve('babel-register'),
+        '--require',
+        require.resolve('babel-polyfill'),
+        bin,
+        ...args
+      ],
+      {cwd: dir, env, encoding: 'utf-8'}
+    );
+    return {status, stdout, stderr};
+  }
+
+  it('prints a JSON document with the error on stdout with --json', () => {
+    const {status, stdout, stderr} = run('apps', 'list', '--json');
+
+    assert.strictEqual(status, 3);
+    assert.deepStrictEqual(JSON.parse(stdout), {
+      error: 'Required *accessKey* not provided'
+    });
+    assert.strictEqual(stderr, 'Required *accessKey* not provided\n');
+  });
+
+  it('exits with the code of the error', () => {
+    const invalidOption = run('--error-format', 'bogus', 'apps', 'list');
+    const missingKeys = run('apps', 'list');
+    const unknownAction = run('-a', 'AAAA', '-s', 'BBBB', 'apps', 'rename');
+
+    assert.strictEqual(invalidOption.status, 2);
+    assert.ok(/^\*error-format\* requires one of/.test(invalidOption.stderr));
+    assert.strictEqual(missingKeys.status, 3);
+    assert.strictEqual(missingKeys.stdout, '');
+    assert.strictEqual(unknownAction.status, 2);
+    assert.ok(/^Unknown apps command "rename"/.test(unknownAction.stderr));
+  });
+});
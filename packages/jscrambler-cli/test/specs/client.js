@@ -0,0 +1,194 @@
+const assert = require('assert');
+const crypto = require('crypto');
+
+const JscramblerClient = require('../../src/client');
+const {
+  AbortError,
+  ClientError,
+  InvalidArchiveError,
+  NetworkError
+} = require('../../src/errors');
+const {createAbortController} = require('../../src/abort');
+const {rejects} = require('../helpers');
+
+function createClient(retry, options = {}) {
+  return new JscramblerClient({
+    accessKey: 'AAAA',
+    secretKey: 'BBBB',
+    host: 'localhost',
+    retry: {minDelay: 1, maxDelay: 4, ...retry},
+    logger: {level: 'silent'},
+    ...options
+  });
+}
+
+function responseError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = {status, statusText: 'Error', headers, data: {}};
+  return error;
+}
+
+function networkError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Replace the `method` of the axios instance of `client` with one that fails
+ * with `errors`, in order, and then succeeds.
+ * @returns {{calls: number}}
+ */
+function stubRequests(client, method, errors) {
+  const stub = {calls: 0};
+  client.axiosInstance[method] = () => {
+    const error = errors[stub.calls];
+    stub.calls += 1;
+    return error
+      ? Promise.reject(error)
+      : Promise.resolve({data: {ok: true}, headers: {}});
+  };
+  return stub;
+}
+
+describe('JscramblerClient retries', () => {
+  it('retries GET requests on retryable status codes', async () => {
+    const client = createClient();
+    const stub = stubRequests(client, 'get', [
+      responseError(503),
+      responseError(429)
+    ]);
+
+    assert.deepStrictEqual(await client.get('/application', {}), {ok: true});
+    assert.strictEqual(stub.calls, 3);
+  });
+
+  it('retries GET requests on connection errors', async () => {
+    const client = createClient();
+    const stub = stubRequests(client, 'get', [networkError('ECONNRESET')]);
+
+    await client.get('/application', {});
+    assert.strictEqual(stub.calls, 2);
+  });
+
+  it('gives up after `retries` and throws a NetworkError', async () => {
+    const client = createClient({retries: 2});
+    const stub = stubRequests(client, 'get', [
+      responseError(502),
+      responseError(502),
+      responseError(502)
+    ]);
+
+    await rejects(client.get('/application', {}), error => {
+      assert.ok(error instanceof NetworkError);
+      assert.strictEqual(error.statusCode, 502);
+      return true;
+    });
+    assert.strictEqual(stub.calls, 3);
+  });
+
+  it('does not retry client errors', async () => {
+    const client = createClient();
+    const stub = stubRequests(client, 'get', [responseError(400)]);
+
+    await rejects(client.get('/application', {}), ClientError);
+    assert.strictEqual(stub.calls, 1);
+  });
+
+  it('does not retry non-idempotent requests by default', async () => {
+    const client = createClient();
+    const stub = stubRequests(client, 'post', [networkError('ECONNREFUSED')]);
+
+    await rejects(client.post('/application', {}), NetworkError);
+    assert.strictEqual(stub.calls, 1);
+  });
+
+  it('retries non-idempotent requests only when they were not sent', async () => {
+    const client = createClient({retryNonIdempotent: true});
+    const notSent = stubRequests(client, 'post', [
+      networkError('ECONNREFUSED')
+    ]);
+    await client.post('/application', {});
+    assert.strictEqual(notSent.calls, 2);
+
+    const maybeSent = stubRequests(client, 'post', [
+      networkError('ECONNRESET')
+    ]);
+    await rejects(client.post('/application', {}), NetworkError);
+    assert.strictEqual(maybeSent.calls, 1);
+  });
+
+  it('retries non-idempotent requests when asked to with Retry-After', async () => {
+    const client = createClient({retryNonIdempotent: true});
+    const stub = stubRequests(client, 'post', [
+      responseError(503, {'retry-after': '0'}),
+      responseError(503)
+    ]);
+
+    await rejects(client.post('/application', {}), NetworkError);
+    assert.strictEqual(stub.calls, 2);
+  });
+
+  it('waits for Retry-After instead of the backoff delay', async () => {
+    const client = createClient({minDelay: 60000, maxDelay: 60000});
+    stubRequests(client, 'get', [responseError(429, {'retry-after': '0'})]);
+
+    const startedAt = Date.now();
+    await client.get('/application', {});
+    assert.ok(Date.now() - startedAt < 1000);
+  });
+
+  it('backs off exponentially, up to `maxDelay`', async () => {
+    const client = createClient({minDelay: 20, maxDelay: 40, factor: 2});
+    stubRequests(client, 'get', [
+      responseError(503),
+      responseError(503),
+      responseError(503)
+    ]);
+
+    // Each delay is at least half of 20, 40 and 40 (capped) ms
+    const startedAt = Date.now();
+    await client.get('/application', {});
+    assert.ok(Date.now() - startedAt >= 50);
+  });
+
+  it('stops retrying when aborted', async () => {
+    const controller = createAbortController();
+    const client = createClient(
+      {minDelay: 60000, maxDelay: 60000},
+      {signal: controller.signal}
+    );
+    stubRequests(client, 'get', [responseError(503)]);
+
+    const request = client.get('/application', {});
+    setTimeout(() => controller.abort(), 10);
+    await rejects(request, AbortError);
+  });
+});
+
+describe('JscramblerClient downloads', () => {
+  const data = Buffer.from('archive');
+
+  function download(headers) {
+    const client = createClient();
+    client.axiosInstance.get = () => Promise.resolve({data, headers});
+    return client.get('/application/download', {}, false);
+  }
+
+  it('accepts files matching their checksums', async () => {
+    const digest = crypto
+      .createHash('sha256')
+      .update(data)
+      .digest('base64');
+
+    assert.strictEqual(
+      await download({digest: `SHA-256=${digest}, unknown=abc`}),
+      data
+    );
+  });
+
+  it('rejects files not matching their checksums', async () => {
+    await rejects(download({digest: 'sha-256=abc'}), InvalidArchiveError);
+    await rejects(download({'content-md5': 'abc'}), InvalidArchiveError);
+  });
+});
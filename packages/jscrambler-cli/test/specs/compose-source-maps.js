@@ -0,0 +1,189 @@
+const assert = require('assert');
+const {SourceMapConsumer, SourceMapGenerator} = require('source-map');
+
+const {ConfigurationError} = require('../../src/errors');
+const {createLogger} = require('../../src/logger');
+const {
+  composeSourceMaps,
+  getComposeSourceMapsOptions
+} = require('../../src/compose-source-maps');
+const {createArchive, readFiles} = require('../helpers');
+
+/**
+ * A source map of `file` with a single mapping, from line 1, column
+ * `generatedColumn` to `source`.
+ */
+function createMap(file, generatedColumn, source, sourceContent) {
+  const generator = new SourceMapGenerator({file});
+  generator.addMapping({
+    generated: {line: 1, column: generatedColumn},
+    original: {line: source.line, column: source.column},
+    source: source.name
+  });
+  if (sourceContent) {
+    generator.setSourceContent(source.name, sourceContent);
+  }
+  return generator.toString();
+}
+
+describe('getComposeSourceMapsOptions', () => {
+  it('uses the defaults with `true`', () => {
+    assert.deepStrictEqual(getComposeSourceMapsOptions(true), {
+      sourcesContent: true,
+      sourceMappingURL: 'keep'
+    });
+  });
+
+  it('is disabled with falsy values', () => {
+    assert.strictEqual(getComposeSourceMapsOptions(false), undefined);
+    assert.strictEqual(getComposeSourceMapsOptions(undefined), undefined);
+  });
+
+  it('keeps the given options', () => {
+    assert.deepStrictEqual(
+      getComposeSourceMapsOptions({
+        sourcesContent: false,
+        sourceMappingURL: 'https://maps.example.com/'
+      }),
+      {sourcesContent: false, sourceMappingURL: 'https://maps.example.com/'}
+    );
+  });
+
+  it('rejects an empty `sourceMappingURL`', () => {
+    assert.throws(
+      () => getComposeSourceMapsOptions({sourceMappingURL: ''}),
+      ConfigurationError
+    );
+    assert.throws(
+      () => getComposeSourceMapsOptions({sourceMappingURL: 1}),
+      ConfigurationError
+    );
+  });
+});
+
+describe('composeSourceMaps', () => {
+  const logger = createLogger({level: 'silent'});
+  // The bundle `app.js` maps to `src/app.ts` through `maps/app.js.map`
+  const inputs = {
+    'app.js': 'run();\n//# sourceMappingURL=maps/app.js.map\n',
+    'maps/app.js.map': createMap(
+      'app.js',
+      0,
+      {name: '../src/app.ts', line: 5, column: 2},
+      'run();'
+    )
+  };
+  const readInput = name => Promise.resolve(inputs[name]);
+  let download;
+  let sourceMaps;
+
+  before(async () => {
+    download = await createArchive({
+      'app.js': 'var _0x1;_0x2();\n//# sourceMappingURL=maps/app.js.map\n',
+      'data.json': '{}'
+    });
+    // The protected code of `app.js` at column 9 comes from column 0
+    sourceMaps = await createArchive({
+      'jscramblerSourceMaps/app.js.map': createMap(
+        'app.js',
+        9,
+        {name: 'app.js', line: 1, column: 0},
+        inputs['app.js']
+      )
+    });
+  });
+
+  function compose(options, read = readInput) {
+    return composeSourceMaps(
+      {
+        download,
+        sourceMaps,
+        readInput: read,
+        options: {sourcesContent: true, sourceMappingURL: 'keep', ...options}
+      },
+      logger
+    ).then(readFiles);
+  }
+
+  it('maps the protected code back to the original sources', async () => {
+    const files = await compose();
+
+    const map = JSON.parse(files['maps/app.js.map']);
+    assert.strictEqual(map.file, 'app.js');
+    assert.deepStrictEqual(map.sourcesContent, ['run();']);
+    const position = new SourceMapConsumer(map).originalPositionFor({
+      line: 1,
+      column: 9
+    });
+    assert.deepStrictEqual(
+      [position.source, position.line, position.column],
+      ['../src/app.ts', 5, 2]
+    );
+  });
+
+  it('points the protected files to the composed map', async () => {
+    const files = await compose();
+
+    assert.strictEqual(
+      files['app.js'],
+      'var _0x1;_0x2();\n//# sourceMappingURL=maps/app.js.map\n'
+    );
+    assert.strictEqual(files['data.json'], '{}');
+  });
+
+  it('prefixes the map path with a URL', async () => {
+    const files = await compose({
+      sourceMappingURL: 'https://maps.example.com/'
+    });
+
+    assert.strictEqual(
+      files['app.js'],
+      'var _0x1;_0x2();\n//# sourceMappingURL=https://maps.example.com/maps/app.js.map\n'
+    );
+  });
+
+  it('removes the comment in `hidden` mode', async () => {
+    const files = await compose({sourceMappingURL: 'hidden'});
+
+    assert.strictEqual(files['app.js'], 'var _0x1;_0x2();\n');
+    assert.ok(files['maps/app.js.map']);
+  });
+
+  it('leaves the sources content out', async () => {
+    const files = await compose({sourcesContent: false});
+
+    assert.ok(!('sourcesContent' in JSON.parse(files['maps/app.js.map'])));
+  });
+
+  it('writes the map of inline source maps to `<file>.map`', async () => {
+    const inlineMap = Buffer.from(inputs['maps/app.js.map']).toString('base64');
+    const files = await compose({}, name =>
+      Promise.resolve(
+        name === 'app.js'
+          ? `run();\n//# sourceMappingURL=data:application/json;base64,${inlineMap}\n`
+          : undefined
+      )
+    );
+
+    assert.ok(!files['maps/app.js.map']);
+    assert.ok(
+      files['app.js'].endsWith('\n//# sourceMappingURL=app.js.map\n')
+    );
+    const position = new SourceMapConsumer(
+      JSON.parse(files['app.js.map'])
+    ).originalPositionFor({line: 1, column: 9});
+    assert.strictEqual(position.line, 5);
+  });
+
+  it('uses the Jscrambler map of files without an input map', async () => {
+    const files = await compose({}, () => Promise.resolve(undefined));
+
+    const position = new SourceMapConsumer(
+      JSON.parse(files['app.js.map'])
+    ).originalPositionFor({line: 1, column: 9});
+    assert.deepStrictEqual(
+      [position.source, position.line, position.column],
+      ['app.js', 1, 0]
+    );
+  });
+});
@@ -0,0 +1,193 @@
+const assert = require('assert');
+
+const {version} = require('../../package.json');
+const {errorFormats, formatErrors} = require('../../src/commands/error-formats');
+
+const result = {
+  errorMessage: 'Protection failed: <fatal> & "stop"',
+  sourcesErrors: [
+    {
+      filename: 'lib/a&b,c.js',
+      line: 3,
+      column: 4,
+      fatal: true,
+      message: 'Unexpected token <, expected "}"'
+    },
+    {
+      filename: 'lib/d.js',
+      line: 1,
+      column: 0,
+      fatal: false,
+      message: "100% done, it's: odd\nnext line"
+    },
+    {
+      filename: 'bundle.js',
+      line: 10,
+      column: 2,
+      fatal: true,
+      message: 'Mapped',
+      original: {filename: 'webpack://app/src/x.js', line: 2, column: 5}
+    }
+  ]
+};
+
+function format(name, value = result) {
+  return formatErrors(name, value, process.cwd());
+}
+
+describe('formatErrors', () => {
+  it('supports every format', () => {
+    assert.deepStrictEqual(errorFormats, [
+      'sarif',
+      'junit',
+      'checkstyle',
+      'github'
+    ]);
+  });
+
+  it('makes files relative to the current directory', () => {
+    assert.strictEqual(
+      formatErrors(
+        'github',
+        {sourcesErrors: [{filename: 'a.js', message: 'Error'}]},
+        'lib'
+      ),
+      '::error file=lib/a.js,title=Jscrambler::Error'
+    );
+  });
+
+  it('formats SARIF', () => {
+    const location = (uri, startLine, startColumn) => [
+      {
+        physicalLocation: {
+          artifactLocation: {uri},
+          region: {startLine, startColumn}
+        }
+      }
+    ];
+    const ruleId = 'jscrambler/protection';
+
+    assert.strictEqual(
+      format('sarif'),
+      JSON.stringify(
+        {
+          $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+          version: '2.1.0',
+          runs: [
+            {
+              tool: {
+                driver: {
+                  name: 'jscrambler',
+                  version,
+                  informationUri: 'https://jscrambler.com',
+                  rules: [
+                    {
+                      id: ruleId,
+                      shortDescription: {text: 'Jscrambler protection error'}
+                    }
+                  ]
+                }
+              },
+              results: [
+                {
+                  ruleId,
+                  level: 'error',
+                  message: {text: 'Protection failed: <fatal> & "stop"'}
+                },
+                {
+                  ruleId,
+                  level: 'error',
+                  message: {text: 'Unexpected token <, expected "}"'},
+                  locations: location('lib/a&b,c.js', 3, 5)
+                },
+                {
+                  ruleId,
+                  level: 'warning',
+                  message: {text: "100% done, it's: odd\nnext line"},
+                  locations: location('lib/d.js', 1, 1)
+                },
+                {
+                  ruleId,
+                  level: 'error',
+                  message: {text: 'Mapped (in bundle.js:10:2)'},
+                  locations: location('webpack://app/src/x.js', 2, 6)
+                }
+              ]
+            }
+          ]
+        },
+        null,
+        2
+      )
+    );
+  });
+
+  it('formats JUnit', () => {
+    assert.strictEqual(
+      format('junit'),
+      `<?xml version="1.0" encoding="utf-8"?>
+<testsuites>
+  <testsuite name="jscrambler" tests="4" failures="4" errors="0">
+    <testcase classname="protection" name="Protection failed: &lt;fatal&gt; &amp; &quot;stop&quot;">
+      <failure type="error" message="Protection failed: &lt;fatal&gt; &amp; &quot;stop&quot;">protection Protection failed: &lt;fatal&gt; &amp; &quot;stop&quot;</failure>
+    </testcase>
+    <testcase classname="lib/a&amp;b,c.js" name="3:5 Unexpected token &lt;, expected &quot;}&quot;">
+      <failure type="error" message="Unexpected token &lt;, expected &quot;}&quot;">lib/a&amp;b,c.js:3:5 Unexpected token &lt;, expected &quot;}&quot;</failure>
+    </testcase>
+    <testcase classname="lib/d.js" name="1:1 100% done, it&apos;s: odd&#10;next line">
+      <failure type="warning" message="100% done, it&apos;s: odd&#10;next line">lib/d.js:1:1 100% done, it&apos;s: odd&#10;next line</failure>
+    </testcase>
+    <testcase classname="webpack://app/src/x.js" name="2:6 Mapped (in bundle.js:10:2)">
+      <failure type="error" message="Mapped (in bundle.js:10:2)">webpack://app/src/x.js:2:6 Mapped (in bundle.js:10:2)</failure>
+    </testcase>
+  </testsuite>
+</testsuites>`
+    );
+  });
+
+  it('formats JUnit without errors as a passing test', () => {
+    assert.strictEqual(
+      format('junit', {sourcesErrors: []}),
+      `<?xml version="1.0" encoding="utf-8"?>
+<testsuites>
+  <testsuite name="jscrambler" tests="1" failures="0" errors="0">
+    <testcase classname="protection" name="protection"/>
+  </testsuite>
+</testsuites>`
+    );
+  });
+
+  it('formats Checkstyle', () => {
+    assert.strictEqual(
+      format('checkstyle'),
+      `<?xml version="1.0" encoding="utf-8"?>
+<checkstyle version="4.3">
+  <file name="protection">
+    <error line="0" column="0" severity="error" message="Protection failed: &lt;fatal&gt; &amp; &quot;stop&quot;" source="jscrambler/protection"/>
+  </file>
+  <file name="lib/a&amp;b,c.js">
+    <error line="3" column="5" severity="error" message="Unexpected token &lt;, expected &quot;}&quot;" source="jscrambler/protection"/>
+  </file>
+  <file name="lib/d.js">
+    <error line="1" column="1" severity="warning" message="100% done, it&apos;s: odd&#10;next line" source="jscrambler/protection"/>
+  </file>
+  <file name="webpack://app/src/x.js">
+    <error line="2" column="6" severity="error" message="Mapped (in bundle.js:10:2)" source="jscrambler/protection"/>
+  </file>
+</checkstyle>`
+    );
+  });
+
+  it('formats GitHub workflow commands', () => {
+    assert.strictEqual(
+      format('github'),
+      [
+        '::error title=Jscrambler::Protection failed: <fatal> & "stop"',
+        '::error file=lib/a&b%2Cc.js,line=3,col=5,title=Jscrambler::Unexpected token <, expected "}"',
+        "::warning file=lib/d.js,line=1,col=1,title=Jscrambler::100%25 done, it's: odd%0Anext line",
+        '::error file=webpack%3A//app/src/x.js,line=2,col=6,title=Jscrambler::Mapped (in bundle.js:10:2)'
+      ].join('\n')
+    );
+    assert.strictEqual(format('github', {}), '');
+  });
+});
@@ -0,0 +1,185 @@
+const assert = require('assert');
+
+const JscramblerClient = require('../../src/client');
+const errors = require('../../src/errors');
+const {errorHandler} = require('../../src');
+const {getExitCode} = require('../../src/exit-codes');
+const {rejects} = require('../helpers');
+
+const {
+  AbortError,
+  AuthenticationError,
+  ClientError,
+  ConfigurationError,
+  GraphQLError,
+  InstrumentationFailedError,
+  InvalidArchiveError,
+  JscramblerError,
+  NetworkError,
+  ProfilingStateError,
+  ProtectionCanceledError,
+  ProtectionFailedError,
+  SizeBudgetError,
+  TimeoutError
+} = errors;
+
+describe('errors', () => {
+  // The exit codes documented in the README
+  [
+    [ConfigurationError, 'CONFIGURATION_ERROR', 2],
+    [AuthenticationError, 'AUTHENTICATION_ERROR', 3],
+    [NetworkError, 'NETWORK_ERROR', 4],
+    [ClientError, 'CLIENT_ERROR', 5],
+    [GraphQLError, 'GRAPHQL_ERROR', 6],
+    [ProtectionFailedError, 'PROTECTION_FAILED', 7],
+    [ProtectionCanceledError, 'PROTECTION_CANCELED', 8],
+    [InstrumentationFailedError, 'INSTRUMENTATION_FAILED', 9],
+    [ProfilingStateError, 'PROFILING_STATE_ERROR', 10],
+    [TimeoutError, 'TIMEOUT', 11],
+    [InvalidArchiveError, 'INVALID_ARCHIVE', 12],
+    [SizeBudgetError, 'SIZE_BUDGET_EXCEEDED', 13],
+    [AbortError, 'ABORTED', 130]
+  ].forEach(([ErrorClass, code, exitCode]) => {
+    it(`exits with ${exitCode} on ${ErrorClass.name}`, () => {
+      const error = new ErrorClass('Failed');
+
+      assert.ok(error instanceof ErrorClass);
+      assert.ok(error instanceof JscramblerError);
+      assert.ok(error instanceof Error);
+      assert.strictEqual(error.name, ErrorClass.name);
+      assert.strictEqual(error.code, code);
+      assert.strictEqual(getExitCode(error), exitCode);
+    });
+  });
+
+  it('exits with 1 on unexpected errors', () => {
+    assert.strictEqual(getExitCode(new Error('Failed')), 1);
+    assert.strictEqual(getExitCode(new JscramblerError('Failed')), 1);
+    assert.strictEqual(getExitCode('Failed'), 1);
+    assert.strictEqual(getExitCode(undefined), 1);
+  });
+
+  it('keeps the details of each error', () => {
+    const budget = new SizeBudgetError('Too big', 'p1', [{filename: 'a.js'}]);
+    const failed = new ProtectionFailedError('Failed', 'p1', [{message: 'x'}]);
+
+    assert.deepStrictEqual(
+      [budget.protectionId, budget.violations],
+      ['p1', [{filename: 'a.js'}]]
+    );
+    assert.deepStrictEqual(
+      [failed.protectionId, failed.sourcesErrors],
+      ['p1', [{message: 'x'}]]
+    );
+    assert.strictEqual(new AuthenticationError('Denied', 403).statusCode, 403);
+    assert.ok(new NetworkError('Down', 503) instanceof ClientError);
+    assert.strictEqual(new AbortError().message, 'The operation was aborted');
+  });
+});
+
+describe('errorHandler', () => {
+  it('throws GraphQL errors', () => {
+    assert.throws(
+      () => errorHandler({errors: [{message: 'Invalid'}, {message: 'Other'}]}),
+      error => {
+        assert.ok(error instanceof GraphQLError);
+        assert.strictEqual(error.message, 'Error: Invalid');
+        assert.strictEqual(error.errors.length, 2);
+        return true;
+      }
+    );
+    assert.throws(
+      () => errorHandler({data: {errors: [{message: 'A'}, {message: 'B'}]}}),
+      error =>
+        error instanceof GraphQLError &&
+        error.message === 'GraphQL Query Error: A\nB'
+    );
+  });
+
+  it('throws API error messages and errors as they are', () => {
+    const error = new NetworkError('Down');
+
+    assert.throws(() => errorHandler({message: 'Not found'}), ClientError);
+    assert.throws(() => errorHandler(error), e => e === error);
+  });
+
+  it('returns successful responses', () => {
+    const res = {data: {application: {}}, errors: []};
+
+    assert.strictEqual(errorHandler(res), res);
+  });
+});
+
+describe('JscramblerClient errors', () => {
+  function requestError(error) {
+    const client = new JscramblerClient({
+      accessKey: 'AAAA',
+      secretKey: 'BBBB',
+      host: 'localhost',
+      retry: {retries: 0},
+      logger: {level: 'silent'}
+    });
+    client.axiosInstance.get = () => Promise.reject(error);
+    return client.get('/application', {});
+  }
+
+  function responseError(status, data = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = {status, statusText: 'Status', headers: {}, data};
+    return error;
+  }
+
+  [
+    [401, AuthenticationError],
+    [403, AuthenticationError],
+    [404, ClientError],
+    [429, NetworkError],
+    [500, NetworkError],
+    [503, NetworkError]
+  ].forEach(([status, ErrorClass]) => {
+    it(`throws a ${ErrorClass.name} on HTTP ${status}`, async () => {
+      const error = await rejects(
+        requestError(responseError(status)),
+        ErrorClass
+      );
+
+      assert.strictEqual(error.constructor, ErrorClass);
+      assert.strictEqual(error.statusCode, status);
+    });
+  });
+
+  it('throws a NetworkError without a response', async () => {
+    const error = new Error('connect ECONNREFUSED');
+    error.code = 'ECONNREFUSED';
+
+    await rejects(requestError(error), e => {
+      assert.ok(e instanceof NetworkError);
+      assert.strictEqual(
+        e.message,
+        'Unexpected Response: connect ECONNREFUSED'
+      );
+      return true;
+    });
+  });
+
+  it('adds the API error message', async () => {
+    await rejects(
+      requestError(responseError(400, {error: true, message: 'Invalid id'})),
+      e => e.message === 'Unexpected Response: 400 Status - Invalid id'
+    );
+  });
+
+  it('fails without credentials', () => {
+    const client = new JscramblerClient({
+      secretKey: 'BBBB',
+      logger: {level: 'silent'}
+    });
+
+    assert.throws(
+      () => client.get('/application', {}),
+      error =>
+        error instanceof AuthenticationError &&
+        error.message === 'Required *accessKey* not provided'
+    );
+  });
+});
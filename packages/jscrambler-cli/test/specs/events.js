@@ -0,0 +1,77 @@
+const assert = require('assert');
+
+const {createProtectionApi, protect} = require('../helpers');
+
+describe('protectAndDownload events', () => {
+  function createEventsApi(protection) {
+    const {api, calls} = createProtectionApi({
+      removeSourceFromApplication: () => ({}),
+      addApplicationSource: () => ({}),
+      pollProtection: (appId, protectionId, fragments, {onProgress}) => {
+        onProgress({state: 'queued', final: false});
+        onProgress({state: 'queued', previousState: 'queued', final: false});
+        onProgress({state: 'finished', previousState: 'queued', final: true});
+        return protection;
+      }
+    });
+    // Upload the sources with the real method
+    delete api.updateApplicationSources;
+    return {api, calls};
+  }
+
+  it('reports each step of the protection', async () => {
+    const {api} = createEventsApi({
+      state: 'finished',
+      sources: [],
+      growthWarning: true,
+      deprecations: [{type: 'Transformation', entity: 'dotToBracketNotation'}]
+    });
+    const events = [];
+
+    await protect(api, {
+      params: {whitespaceRemoval: {}},
+      onEvent: event => events.push(event)
+    });
+
+    assert.deepStrictEqual(
+      events.map(({type, applicationId, protectionId}) => [
+        type,
+        applicationId,
+        protectionId
+      ]),
+      [
+        ['sourcesZipped', 'app1', undefined],
+        ['sourcesUploaded', 'app1', undefined],
+        ['applicationUpdated', 'app1', undefined],
+        ['protectionCreated', 'app1', 'p1'],
+        ['stateChanged', 'app1', 'p1'],
+        ['stateChanged', 'app1', 'p1'],
+        ['warning', 'app1', 'p1'],
+        ['warning', 'app1', 'p1'],
+        ['downloadStarted', 'app1', 'p1'],
+        ['filesWritten', 'app1', 'p1']
+      ]
+    );
+    assert.deepStrictEqual(events[0].files, ['a.js']);
+    assert.strictEqual(events[1].size, events[0].size);
+    assert.deepStrictEqual(
+      events
+        .filter(({type}) => type === 'stateChanged')
+        .map(({state, previousState}) => [state, previousState]),
+      [['queued', undefined], ['finished', 'queued']]
+    );
+    assert.deepStrictEqual(events[7].deprecation, {
+      type: 'Transformation',
+      entity: 'dotToBracketNotation'
+    });
+    assert.deepStrictEqual(events[9].files, ['a.js']);
+  });
+
+  it('works without onEvent', async () => {
+    const {api} = createEventsApi({state: 'finished', sources: []});
+
+    const {files} = await protect(api);
+
+    assert.deepStrictEqual(files, {'a.js': 'protected a'});
+  });
+});
@@ -0,0 +1,233 @@
+const assert = require('assert');
+const {SourceMapGenerator} = require('source-map');
+
+const {createLogger} = require('../../src/logger');
+const {
+  formatErrorLocation,
+  loadInputSourceMap,
+  mapSourcesErrors
+} = require('../../src/input-source-maps');
+const {rejects} = require('../helpers');
+
+// Line 1, columns 0 and 10 of the bundle come from line 5 and 8 of `source`
+function createMap(source) {
+  const generator = new SourceMapGenerator({file: 'bundle.js'});
+  generator.addMapping({
+    generated: {line: 1, column: 0},
+    original: {line: 5, column: 2},
+    source,
+    name: 'run'
+  });
+  generator.addMapping({
+    generated: {line: 1, column: 10},
+    original: {line: 8, column: 0},
+    source
+  });
+  return generator.toString();
+}
+
+function createReader(files) {
+  const reader = name => {
+    reader.reads.push(name);
+    return Promise.resolve(files[name]);
+  };
+  reader.reads = [];
+  return reader;
+}
+
+describe('loadInputSourceMap', () => {
+  const map = createMap('../src/a.ts');
+
+  it('loads inline base64 source maps', async () => {
+    const readInput = createReader({
+      'lib/bundle.js': `run();\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,${Buffer.from(
+        map
+      ).toString('base64')}`
+    });
+
+    const inputMap = await loadInputSourceMap('lib/bundle.js', readInput);
+
+    assert.deepStrictEqual(inputMap.consumer.sources, ['../src/a.ts']);
+    assert.strictEqual(inputMap.dir, 'lib');
+    assert.strictEqual(inputMap.file, undefined);
+    assert.deepStrictEqual(readInput.reads, ['lib/bundle.js']);
+  });
+
+  it('loads inline URL encoded source maps', async () => {
+    const readInput = createReader({
+      'bundle.js': `run();\n//@ sourceMappingURL=data:application/json,${encodeURIComponent(
+        map
+      )}`
+    });
+
+    const inputMap = await loadInputSourceMap('bundle.js', readInput);
+
+    assert.deepStrictEqual(inputMap.consumer.sources, ['../src/a.ts']);
+  });
+
+  it('loads the source map of the last sourceMappingURL, relative to the file', async () => {
+    const readInput = createReader({
+      'lib/bundle.js':
+        '//# sourceMappingURL=other.js.map\nrun();\n//# sourceMappingURL=maps/bundle%20a.js.map\n',
+      'lib/maps/bundle a.js.map': map
+    });
+
+    const inputMap = await loadInputSourceMap('lib/bundle.js', readInput);
+
+    assert.strictEqual(inputMap.file, 'lib/maps/bundle a.js.map');
+    assert.strictEqual(inputMap.dir, 'lib/maps');
+    assert.deepStrictEqual(readInput.reads, [
+      'lib/bundle.js',
+      'lib/maps/bundle a.js.map'
+    ]);
+  });
+
+  it('loads `<filename>.map` without a sourceMappingURL', async () => {
+    const readInput = createReader({
+      'lib/bundle.js': 'run();',
+      'lib/bundle.js.map': map
+    });
+
+    const inputMap = await loadInputSourceMap('lib/bundle.js', readInput);
+
+    assert.strictEqual(inputMap.file, 'lib/bundle.js.map');
+  });
+
+  it('has nothing without a source map', async () => {
+    assert.strictEqual(
+      await loadInputSourceMap(
+        'lib/bundle.js',
+        createReader({'lib/bundle.js': 'run();'})
+      ),
+      undefined
+    );
+    assert.strictEqual(
+      await loadInputSourceMap('lib/missing.js', createReader({})),
+      undefined
+    );
+  });
+
+  it('does not fetch remote source maps', async () => {
+    const readInput = createReader({
+      'bundle.js': 'run();\n//# sourceMappingURL=https://example.com/a.map'
+    });
+
+    assert.strictEqual(
+      await loadInputSourceMap('bundle.js', readInput),
+      undefined
+    );
+    assert.deepStrictEqual(readInput.reads, ['bundle.js']);
+  });
+
+  it('fails with invalid source maps', async () => {
+    await rejects(
+      loadInputSourceMap(
+        'bundle.js',
+        createReader({'bundle.js': 'run();', 'bundle.js.map': '{'})
+      ),
+      SyntaxError
+    );
+  });
+});
+
+describe('mapSourcesErrors', () => {
+  const logger = createLogger({level: 'silent'});
+
+  it('adds the original location of errors', async () => {
+    const readInput = createReader({
+      'lib/bundle.js': 'run();',
+      'lib/bundle.js.map': createMap('../src/a.ts')
+    });
+
+    const errors = await mapSourcesErrors(
+      [
+        {filename: 'lib/bundle.js', line: 1, column: 3, message: 'A'},
+        {filename: 'lib/bundle.js', line: 1, column: 12, message: 'B'}
+      ],
+      readInput,
+      logger
+    );
+
+    assert.deepStrictEqual(errors, [
+      {
+        filename: 'lib/bundle.js',
+        line: 1,
+        column: 3,
+        message: 'A',
+        original: {filename: 'src/a.ts', line: 5, column: 2, name: 'run'}
+      },
+      {
+        filename: 'lib/bundle.js',
+        line: 1,
+        column: 12,
+        message: 'B',
+        original: {filename: 'src/a.ts', line: 8, column: 0, name: null}
+      }
+    ]);
+    // The source map is only loaded once
+    assert.deepStrictEqual(readInput.reads, [
+      'lib/bundle.js',
+      'lib/bundle.js.map'
+    ]);
+  });
+
+  it('keeps URL sources as they are', async () => {
+    const [error] = await mapSourcesErrors(
+      [{filename: 'lib/bundle.js', line: 1, column: 0}],
+      createReader({
+        'lib/bundle.js': 'run();',
+        'lib/bundle.js.map': createMap('webpack://app/src/a.ts')
+      }),
+      logger
+    );
+
+    assert.strictEqual(error.original.filename, 'webpack://app/src/a.ts');
+  });
+
+  it('leaves errors that can not be mapped as they are', async () => {
+    const errors = [
+      // Outside of any mapping
+      {filename: 'lib/bundle.js', line: 2, column: 0, message: 'A'},
+      // Without a location
+      {filename: 'lib/bundle.js', message: 'B'},
+      {message: 'C'},
+      // Without a source map
+      {filename: 'lib/other.js', line: 1, column: 0, message: 'D'},
+      // With an invalid one
+      {filename: 'lib/invalid.js', line: 1, column: 0, message: 'E'}
+    ];
+
+    const mapped = await mapSourcesErrors(
+      errors,
+      createReader({
+        'lib/bundle.js': 'run();',
+        'lib/bundle.js.map': createMap('../src/a.ts'),
+        'lib/other.js': 'run();',
+        'lib/invalid.js': 'run();',
+        'lib/invalid.js.map': '{'
+      }),
+      logger
+    );
+
+    assert.deepStrictEqual(mapped, errors);
+  });
+});
+
+describe('formatErrorLocation', () => {
+  it('formats the location and the original one', () => {
+    assert.strictEqual(
+      formatErrorLocation({filename: 'a.js', line: 1, column: 0}),
+      'a.js:1:0'
+    );
+    assert.strictEqual(formatErrorLocation({filename: 'a.js'}), 'a.js');
+    assert.strictEqual(
+      formatErrorLocation({
+        filename: 'a.js',
+        line: 1,
+        column: 0,
+        original: {filename: 'src/a.ts', line: 5, column: 2}
+      }),
+      'a.js:1:0 (original src/a.ts:5:2)'
+    );
+  });
+});
@@ -0,0 +1,135 @@
+/* eslint-disable no-console */
+const assert = require('assert');
+
+const {ConfigurationError} = require('../../src/errors');
+const {consoleSink, createLogger, stderrSink} = require('../../src/logger');
+const {createProtectionApi, protect} = require('../helpers');
+
+// The console calls made by `write`
+async function captureConsole(write) {
+  const original = {};
+  const output = [];
+  ['log', 'warn', 'error'].forEach(method => {
+    original[method] = console[method];
+    console[method] = (...args) => output.push([method, ...args]);
+  });
+  try {
+    await write();
+  } finally {
+    Object.assign(console, original);
+  }
+  return output;
+}
+
+describe('createLogger', () => {
+  function loggedLevels(level) {
+    const entries = [];
+    const logger = createLogger({level, sink: entry => entries.push(entry)});
+    ['error', 'warn', 'info', 'debug'].forEach(entryLevel =>
+      logger[entryLevel](entryLevel)
+    );
+    return entries.map(({level: entryLevel}) => entryLevel);
+  }
+
+  it('drops the entries above `level`', () => {
+    assert.deepStrictEqual(loggedLevels('silent'), []);
+    assert.deepStrictEqual(loggedLevels('error'), ['error']);
+    assert.deepStrictEqual(loggedLevels('warn'), ['error', 'warn']);
+    assert.deepStrictEqual(loggedLevels('info'), ['error', 'warn', 'info']);
+    assert.deepStrictEqual(loggedLevels('debug'), [
+      'error',
+      'warn',
+      'info',
+      'debug'
+    ]);
+  });
+
+  it('defaults to `info`, or `debug` with DEBUG set', () => {
+    const {DEBUG} = process.env;
+    try {
+      delete process.env.DEBUG;
+      assert.strictEqual(createLogger().level, 'info');
+      process.env.DEBUG = '1';
+      assert.strictEqual(createLogger({sink: () => {}}).level, 'debug');
+    } finally {
+      if (DEBUG === undefined) {
+        delete process.env.DEBUG;
+      } else {
+        process.env.DEBUG = DEBUG;
+      }
+    }
+  });
+
+  it('passes the message and the data to the sink', () => {
+    const entries = [];
+    const logger = createLogger({sink: entry => entries.push(entry)});
+
+    logger.error('Failed', {sourcesErrors: []});
+    logger.info('Done');
+
+    assert.deepStrictEqual(entries, [
+      {level: 'error', message: 'Failed', data: {sourcesErrors: []}},
+      {level: 'info', message: 'Done', data: undefined}
+    ]);
+  });
+
+  it('returns loggers as they are', () => {
+    const logger = createLogger({level: 'silent'});
+
+    assert.strictEqual(createLogger(logger), logger);
+  });
+
+  it('fails with unknown levels', () => {
+    assert.throws(() => createLogger({level: 'verbose'}), ConfigurationError);
+  });
+});
+
+describe('logger sinks', () => {
+  it('writes to the console method of each level', async () => {
+    const output = await captureConsole(() => {
+      ['error', 'warn', 'info', 'debug'].forEach(level =>
+        consoleSink({level, message: level})
+      );
+      consoleSink({level: 'info', message: 'data', data: {a: 1}});
+    });
+
+    assert.deepStrictEqual(output, [
+      ['error', 'error'],
+      ['warn', 'warn'],
+      ['log', 'info'],
+      ['log', 'debug'],
+      ['log', 'data', '{ a: 1 }']
+    ]);
+  });
+
+  it('writes everything to stderr with `stderrSink`', async () => {
+    const output = await captureConsole(() => {
+      stderrSink({level: 'info', message: 'info'});
+      stderrSink({level: 'debug', message: 'data', data: {a: 1}});
+    });
+
+    assert.deepStrictEqual(output, [
+      ['error', 'info'],
+      ['error', 'data', '{ a: 1 }']
+    ]);
+  });
+});
+
+describe('protectAndDownload logging', () => {
+  it('only logs through the given logger', async () => {
+    const {api} = createProtectionApi();
+    const entries = [];
+
+    const output = await captureConsole(() =>
+      protect(api, {
+        logger: {level: 'debug', sink: entry => entries.push(entry)}
+      })
+    );
+
+    assert.deepStrictEqual(output, []);
+    assert.ok(entries.length > 0);
+    assert.ok(
+      entries.some(({level, message}) => level === 'info' && message === 'p1')
+    );
+  });
+});
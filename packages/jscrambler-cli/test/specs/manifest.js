@@ -0,0 +1,73 @@
+const assert = require('assert');
+const crypto = require('crypto');
+
+const {createManifest} = require('../../src/manifest');
+const {createArchive, createZip} = require('../helpers');
+
+describe('createManifest', () => {
+  it('lists every protected file with its hashes and SRI value', async () => {
+    const download = await createArchive({
+      'b.js': 'protected b',
+      'a.js': 'protected a'
+    });
+    const inputs = createZip({'a.js': 'a'});
+
+    const manifest = await createManifest({
+      protectionId: 'p1',
+      applicationId: 'app1',
+      jscramblerVersion: '7.2',
+      inputs,
+      download,
+      files: ['out/a.js', 'out/b.js']
+    });
+
+    assert.deepStrictEqual(manifest, {
+      protectionId: 'p1',
+      applicationId: 'app1',
+      jscramblerVersion: '7.2',
+      seed: null,
+      files: [
+        {
+          input: 'a.js',
+          output: 'out/a.js',
+          size: 1,
+          protectedSize: 11,
+          sha256: crypto
+            .createHash('sha256')
+            .update('protected a')
+            .digest('hex'),
+          integrity: `sha384-${crypto
+            .createHash('sha384')
+            .update('protected a')
+            .digest('base64')}`
+        },
+        {
+          input: null,
+          output: 'out/b.js',
+          size: null,
+          protectedSize: 11,
+          sha256: crypto
+            .createHash('sha256')
+            .update('protected b')
+            .digest('hex'),
+          integrity: `sha384-${crypto
+            .createHash('sha384')
+            .update('protected b')
+            .digest('base64')}`
+        }
+      ]
+    });
+  });
+
+  it('computes the SRI value of the exact bytes', async () => {
+    // Known value: `printf 'alert(1)' | openssl dgst -sha384 -binary | base64`
+    const download = await createArchive({'a.js': 'alert(1)'});
+
+    const manifest = await createManifest({download, files: ['a.js']});
+
+    assert.strictEqual(
+      manifest.files[0].integrity,
+      'sha384-HT2E9NfWiuQ/w1PRai+hTyqW16NIoCGA/m8VQDUopfAtcz6YQjtsMmQd5uRbVDpW'
+    );
+  });
+});
@@ -0,0 +1,138 @@
+const assert = require('assert');
+
+const {
+  AbortError,
+  ProtectionCanceledError,
+  ProtectionFailedError,
+  TimeoutError
+} = require('../../src/errors');
+const {createAbortController} = require('../../src/abort');
+const {createLogger} = require('../../src/logger');
+const {createApi, rejects} = require('../helpers');
+
+const client = {options: {}, logger: createLogger({level: 'silent'})};
+
+describe('pollProtection', () => {
+  const realSetTimeout = global.setTimeout;
+  const realNow = Date.now;
+  let now;
+  let delays;
+
+  // Timers fire right away, moving the clock forward by their delay
+  beforeEach(() => {
+    now = 0;
+    delays = [];
+    Date.now = () => now;
+    global.setTimeout = (callback, ms) => {
+      delays.push(ms);
+      now += ms;
+      return realSetTimeout(callback, 0);
+    };
+  });
+
+  afterEach(() => {
+    global.setTimeout = realSetTimeout;
+    Date.now = realNow;
+  });
+
+  // An API whose protection goes through `states`, then stays in the last one
+  function createPollingApi(states, onFetch = () => {}) {
+    let fetches = 0;
+    return createApi({
+      getApplicationProtection: () => {
+        const state = states[Math.min(fetches, states.length - 1)];
+        fetches += 1;
+        onFetch(fetches);
+        return {data: {applicationProtection: {_id: 'p1', state}}};
+      }
+    });
+  }
+
+  const polling = {minInterval: 100, maxInterval: 300, factor: 2};
+
+  it('grows the interval while the state does not change', async () => {
+    const {api} = createPollingApi([
+      'queued',
+      'queued',
+      'queued',
+      'processing',
+      'processing',
+      'finished'
+    ]);
+    const progress = [];
+
+    const protection = await api.pollProtection(client, 'app1', 'p1', {}, {
+      polling,
+      onProgress: ({state, previousState, final}) =>
+        progress.push([state, previousState, final])
+    });
+
+    assert.deepStrictEqual(protection, {_id: 'p1', state: 'finished'});
+    assert.deepStrictEqual(delays, [100, 200, 300, 100, 200]);
+    assert.deepStrictEqual(progress, [
+      ['queued', undefined, false],
+      ['queued', 'queued', false],
+      ['queued', 'queued', false],
+      ['processing', 'queued', false],
+      ['processing', 'processing', false],
+      ['finished', 'processing', true]
+    ]);
+  });
+
+  it('fails after `timeout`, without waiting past it', async () => {
+    const {api, calls} = createPollingApi(['queued']);
+
+    const error = await rejects(
+      api.pollProtection(client, 'app1', 'p1', {}, {
+        polling: {...polling, timeout: 250}
+      }),
+      TimeoutError
+    );
+
+    assert.strictEqual(error.id, 'p1');
+    assert.strictEqual(
+      error.message,
+      'The protection p1 did not finish after 0s (last state: queued).'
+    );
+    assert.deepStrictEqual(delays, [100, 150]);
+    assert.strictEqual(calls.length, 3);
+  });
+
+  it('stops when aborted', async () => {
+    const controller = createAbortController();
+    const {api, calls} = createPollingApi(['queued'], fetches => {
+      if (fetches === 2) {
+        controller.abort();
+      }
+    });
+
+    await rejects(
+      api.pollProtection(client, 'app1', 'p1', {}, {
+        polling,
+        signal: controller.signal
+      }),
+      AbortError
+    );
+    assert.strictEqual(calls.length, 2);
+  });
+
+  it('fails when the protection is canceled', async () => {
+    const {api} = createPollingApi(['queued', 'canceled']);
+
+    await rejects(
+      api.pollProtection(client, 'app1', 'p1', {}, {polling}),
+      ProtectionCanceledError
+    );
+  });
+
+  it('fails when the protection can not be fetched', async () => {
+    const {api} = createApi({
+      getApplicationProtection: () => ({errors: [{message: 'Not found'}]})
+    });
+
+    await rejects(
+      api.pollProtection(client, 'app1', 'p1', {}, {polling}),
+      ProtectionFailedError
+    );
+  });
+});
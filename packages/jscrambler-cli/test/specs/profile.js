@@ -0,0 +1,165 @@
+const assert = require('assert');
+
+const jscrambler = require('../../src').default;
+const profile = require('../../src/commands/profile').default;
+const {ProfilingStateError} = require('../../src/errors');
+const {createLogger} = require('../../src/logger');
+const {captureStdout, createApi, rejects, stubApi} = require('../helpers');
+
+const polling = {minInterval: 1, maxInterval: 1};
+
+describe('pollProfiling', () => {
+  const client = {options: {}, logger: createLogger({level: 'silent'})};
+
+  function createProfilingApi(states) {
+    let fetches = 0;
+    return createApi({
+      getApplicationProfiling: () => {
+        const state = states[Math.min(fetches, states.length - 1)];
+        fetches += 1;
+        if (!state) {
+          const error = new Error('Not found');
+          error.statusCode = 404;
+          throw error;
+        }
+        return {data: {id: 'r1', state}};
+      }
+    });
+  }
+
+  it('waits for the profiling data', async () => {
+    const {api, calls} = createProfilingApi(['RUNNING', 'STOPPED', 'READY']);
+
+    const profiling = await api.pollProfiling(client, 'app1', {polling});
+
+    assert.deepStrictEqual(profiling, {data: {id: 'r1', state: 'READY'}});
+    assert.strictEqual(calls.length, 3);
+  });
+
+  ['DELETED', 'FAILED', 'SOMETHING_NEW'].forEach(state => {
+    it(`fails when the profiling run ends ${state}`, async () => {
+      const {api} = createProfilingApi(['STOPPED', state]);
+
+      const error = await rejects(
+        api.pollProfiling(client, 'app1', {polling}),
+        ProfilingStateError
+      );
+
+      assert.strictEqual(error.state, state);
+      assert.strictEqual(
+        error.message,
+        `Profiling r1 of application app1 ended in the ${state} state.`
+      );
+    });
+  });
+
+  it('fails without a profiling run', async () => {
+    const {api} = createProfilingApi([undefined]);
+
+    await rejects(
+      api.pollProfiling(client, 'app1', {polling}),
+      /There is no active profiling run/
+    );
+  });
+});
+
+describe('profile command', () => {
+  const logger = createLogger({level: 'silent'});
+  let stub;
+  let calls;
+  let original;
+
+  // The methods taking a configuration instead of a client
+  function stubConfigMethods(methods) {
+    original = {};
+    Object.keys(methods).forEach(name => {
+      original[name] = jscrambler[name];
+      jscrambler[name] = (...args) => {
+        calls.push([name, ...args]);
+        return Promise.resolve().then(() => methods[name](...args));
+      };
+    });
+  }
+
+  beforeEach(() => {
+    stub = stubApi({
+      pollProfiling: () => ({data: {id: 'r1', state: 'READY'}})
+    });
+    calls = stub.calls;
+    stubConfigMethods({
+      instrumentAndDownload: () => 'i1',
+      setProfilingState: () => {},
+      protectAndDownload: ({onResult}) => onResult({protectionId: 'p1'})
+    });
+  });
+
+  afterEach(() => {
+    stub.restore();
+    Object.assign(jscrambler, original);
+  });
+
+  async function run(options) {
+    const stdout = captureStdout();
+    try {
+      await profile({
+        clientSettings: {logger},
+        applicationId: 'app1',
+        json: true,
+        instrumentedDir: 'instrumented',
+        protectOptions: {filesSrc: ['a.js'], filesDest: 'protected'},
+        ...options
+      });
+    } finally {
+      stdout.restore();
+    }
+    return JSON.parse(stdout.output());
+  }
+
+  it('instruments, profiles and protects the application', async () => {
+    const output = await run({exercise: 'exit 0'});
+
+    assert.deepStrictEqual(output, {
+      applicationId: 'app1',
+      instrumentationId: 'i1',
+      profilingState: 'READY',
+      protection: {protectionId: 'p1'}
+    });
+    assert.deepStrictEqual(calls.map(([name]) => name), [
+      'instrumentAndDownload',
+      'setProfilingState',
+      'setProfilingState',
+      'pollProfiling',
+      'protectAndDownload'
+    ]);
+
+    const [[, instrument], [, , started], [, , stopped], , [, protect]] = calls;
+    assert.strictEqual(instrument.filesDest, 'instrumented');
+    assert.deepStrictEqual(instrument.filesSrc, ['a.js']);
+    assert.deepStrictEqual([started, stopped], ['RUNNING', 'READY']);
+    assert.strictEqual(protect.filesDest, 'protected');
+    assert.strictEqual(protect.profilingDataMode, 'automatic');
+    assert.strictEqual(protect.skipSources, true);
+    assert.strictEqual(protect.removeProfilingData, false);
+  });
+
+  it('leaves the profiling running when the exercise fails', async () => {
+    const error = await rejects(run({exercise: 'exit 3'}), ProfilingStateError);
+
+    assert.strictEqual(error.state, 'RUNNING');
+    assert.ok(
+      /^The exercise command failed with exit code 3\. /.test(error.message)
+    );
+    assert.deepStrictEqual(calls.map(([name]) => name), [
+      'instrumentAndDownload',
+      'setProfilingState'
+    ]);
+  });
+
+  it('fails without the instrumented directory', async () => {
+    await rejects(
+      run({instrumentedDir: undefined}),
+      /Required \*instrumented-dir\* not provided/
+    );
+    assert.deepStrictEqual(calls, []);
+  });
+});
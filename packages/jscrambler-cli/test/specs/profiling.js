@@ -0,0 +1,122 @@
+const assert = require('assert');
+
+const profiling = require('../../src/commands/profiling').default;
+const {ProfilingStateError} = require('../../src/errors');
+const {captureStdout, rejects, stubApi} = require('../helpers');
+
+describe('profiling command', () => {
+  let stub;
+  let profilingRun;
+
+  let statusCode;
+
+  beforeEach(() => {
+    profilingRun = {id: 'r1', state: 'READY'};
+    statusCode = 404;
+    stub = stubApi({
+      getApplicationProfiling: () => {
+        if (!profilingRun) {
+          const error = new Error(`Status ${statusCode}`);
+          error.statusCode = statusCode;
+          throw error;
+        }
+        return {data: profilingRun};
+      },
+      getInstrumentation: () => ({
+        data: {instrumentationErrors: [{fileName: 'a.js', message: 'Failed'}]}
+      }),
+      deleteProfiling: () => ({})
+    });
+  });
+
+  afterEach(() => {
+    stub.restore();
+  });
+
+  async function run(action, options) {
+    const stdout = captureStdout();
+    try {
+      await profiling(action, [], {
+        clientSettings: {},
+        applicationId: 'app1',
+        json: true,
+        ...options
+      });
+    } finally {
+      stdout.restore();
+    }
+    return JSON.parse(stdout.output());
+  }
+
+  describe('status', () => {
+    it('shows the profiling run with its instrumentation errors', async () => {
+      assert.deepStrictEqual(await run('status', {expectState: 'ready'}), {
+        applicationId: 'app1',
+        profiling: {
+          id: 'r1',
+          state: 'READY',
+          instrumentationErrors: [{fileName: 'a.js', message: 'Failed'}]
+        }
+      });
+      assert.deepStrictEqual(stub.calls, [
+        ['getApplicationProfiling', 'app1'],
+        ['getInstrumentation', 'r1']
+      ]);
+    });
+
+    it('fails when not in the expected state', async () => {
+      profilingRun.state = 'RUNNING';
+
+      const error = await rejects(
+        run('status', {expectState: 'ready'}),
+        ProfilingStateError
+      );
+
+      assert.strictEqual(error.state, 'RUNNING');
+      assert.strictEqual(
+        error.message,
+        'Profiling of application app1 is RUNNING, expected READY.'
+      );
+      assert.strictEqual(stub.calls.length, 1);
+    });
+
+    it('is NONE without a profiling run', async () => {
+      profilingRun = undefined;
+
+      assert.deepStrictEqual(await run('status', {expectState: 'none'}), {
+        applicationId: 'app1',
+        profiling: null
+      });
+      const error = await rejects(
+        run('status', {expectState: 'READY'}),
+        ProfilingStateError
+      );
+      assert.strictEqual(error.state, 'NONE');
+    });
+
+    it('fails when the profiling run can not be fetched', async () => {
+      profilingRun = undefined;
+      statusCode = 500;
+
+      await rejects(run('status', {expectState: 'none'}), /Status 500/);
+    });
+  });
+
+  describe('delete', () => {
+    it('deletes the profiling run', async () => {
+      assert.deepStrictEqual(await run('delete'), {
+        applicationId: 'app1',
+        profilingId: 'r1',
+        previousState: 'READY'
+      });
+      assert.deepStrictEqual(stub.calls.pop(), ['deleteProfiling', 'r1']);
+    });
+
+    it('fails without a profiling run', async () => {
+      profilingRun = undefined;
+
+      await rejects(run('delete'), ProfilingStateError);
+      assert.deepStrictEqual(stub.calls, [['getApplicationProfiling', 'app1']]);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {removeSync} = require('fs-extra');
+
+const protections = require('../../src/commands/protections').default;
+const {ConfigurationError} = require('../../src/errors');
+const {captureStdout, createArchive, rejects, stubApi} = require('../helpers');
+
+describe('protections command', () => {
+  let dir;
+  let stub;
+
+  const protection = {
+    _id: 'p1',
+    state: 'errored',
+    growthWarning: false,
+    deprecations: [{type: 'Transformation', entity: 'dotToBracketNotation'}],
+    sources: [
+      {filename: 'a.js', errorMessages: [{line: 1, column: 2, message: 'Bad'}]},
+      {filename: 'b.js'}
+    ]
+  };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jscrambler-protections-'));
+    const archive = await createArchive({'a.js': 'a', 'lib/b.js': 'b'});
+    stub = stubApi({
+      getApplicationProtections: () => ({
+        data: {applicationProtections: [{_id: 'p1', state: 'finished'}]}
+      }),
+      getApplicationProtectionsCount: () => ({
+        data: {applicationProtectionsCount: {count: 10}}
+      }),
+      getApplicationProtection: () => ({
+        data: {applicationProtection: protection}
+      }),
+      cancelProtection: _id => ({data: {cancelProtection: {_id}}}),
+      removeProtection: _id => ({data: {removeProtection: {_id}}}),
+      downloadApplicationProtection: () => archive
+    });
+  });
+
+  afterEach(() => {
+    stub.restore();
+    removeSync(dir);
+  });
+
+  async function run(action, args, options) {
+    const stdout = captureStdout();
+    try {
+      await protections(action, args, {
+        clientSettings: {
+          keys: {accessKey: 'AAAA', secretKey: 'BBBB'},
+          logger: {level: 'silent'}
+        },
+        applicationId: 'app1',
+        ...options
+      });
+    } finally {
+      stdout.restore();
+    }
+    return stdout.output();
+  }
+
+  it('lists a page of protections with the total count', async () => {
+    const output = await run('list', [], {
+      json: true,
+      sort: 'finishedAt',
+      order: 'DESC',
+      page: '2',
+      limit: '5'
+    });
+
+    assert.deepStrictEqual(JSON.parse(output), {
+      count: 10,
+      protections: [{_id: 'p1', state: 'finished'}]
+    });
+    assert.deepStrictEqual(stub.calls[0].slice(0, 3), [
+      'getApplicationProtections',
+      'app1',
+      {sort: 'finishedAt', order: 'desc', page: 2, limit: 5}
+    ]);
+    assert.strictEqual(
+      await run('list', []),
+      [
+        'ID  STATE     FINISHED AT  SEED',
+        'p1  finished',
+        '',
+        'Showing 1 of 10 protections.',
+        ''
+      ].join('\n')
+    );
+  });
+
+  it('fails with invalid list options', async () => {
+    await rejects(run('list', [], {order: 'up'}), /\{asc,desc\}/);
+    await rejects(
+      run('list', [], {page: '-1'}),
+      /\*page\* requires a positive integer value/
+    );
+    await rejects(
+      run('list', [], {applicationId: undefined}),
+      /Usage: jscrambler protections list -i <applicationId>/
+    );
+    assert.deepStrictEqual(stub.calls, []);
+  });
+
+  it('shows a protection with its deprecations and source errors', async () => {
+    assert.strictEqual(
+      await run('show', ['p1']),
+      [
+        'ID:             p1',
+        'STATE:          errored',
+        'GROWTH WARNING: false',
+        '',
+        'Deprecations:',
+        '- Transformation dotToBracketNotation',
+        '',
+        'FILENAME  LINE  COLUMN  FATAL  MESSAGE',
+        'a.js      1     2              Bad',
+        ''
+      ].join('\n')
+    );
+    assert.deepStrictEqual(stub.calls[0].slice(0, 3), [
+      'getApplicationProtection',
+      'app1',
+      'p1'
+    ]);
+  });
+
+  it('cancels and removes protections', async () => {
+    assert.strictEqual(
+      await run('cancel', ['p1']),
+      'Protection p1 was canceled.\n'
+    );
+    assert.deepStrictEqual(
+      JSON.parse(await run('remove', ['p1'], {json: true})),
+      {_id: 'p1'}
+    );
+    assert.deepStrictEqual(stub.calls, [
+      ['cancelProtection', 'p1', 'app1'],
+      ['removeProtection', 'p1', 'app1']
+    ]);
+  });
+
+  it('downloads a protection and lists its files', async () => {
+    const output = await run('download', ['p1'], {filesDest: dir, json: true});
+
+    assert.deepStrictEqual(JSON.parse(output), {
+      protectionId: 'p1',
+      filesDest: dir,
+      files: [path.join(dir, 'a.js'), path.join(dir, 'lib/b.js')]
+    });
+    assert.strictEqual(
+      fs.readFileSync(path.join(dir, 'lib/b.js'), 'utf-8'),
+      'b'
+    );
+    assert.deepStrictEqual(stub.calls, [
+      ['downloadApplicationProtection', 'p1']
+    ]);
+  });
+
+  it('fails without a destination to download to', async () => {
+    await rejects(run('download', ['p1']), ConfigurationError);
+    assert.deepStrictEqual(stub.calls, []);
+  });
+});
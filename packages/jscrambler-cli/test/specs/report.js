@@ -0,0 +1,241 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {removeSync} = require('fs-extra');
+
+const {
+  createReport,
+  renderHtmlReport,
+  writeReport
+} = require('../../src/report');
+
+const protection = {
+  protectionId: 'p1',
+  applicationId: 'app1',
+  cached: false,
+  state: 'finished',
+  options: {
+    params: [{name: 'whitespaceRemoval'}],
+    jscramblerVersion: '7.1',
+    seed: 'seed',
+    codeHardeningThreshold: 100,
+    profilingDataMode: 'off'
+  },
+  growthWarning: false,
+  errorMessage: null,
+  deprecations: [],
+  sourcesErrors: [],
+  timings: {total: 10}
+};
+
+describe('createReport', () => {
+  it('uses the downloaded sizes and tells where code hardening applied', () => {
+    const report = createReport({
+      ...protection,
+      sizes: {
+        total: {size: 300, protectedSize: 600, growth: 2},
+        files: [
+          {filename: 'a.js', size: 100, protectedSize: 300, growth: 3},
+          {filename: 'b.js', size: 200, protectedSize: 300, growth: 1.5},
+          {filename: 'c.js', size: null, protectedSize: 10, growth: null}
+        ]
+      }
+    });
+
+    assert.deepStrictEqual(report, {
+      protectionId: 'p1',
+      applicationId: 'app1',
+      applicationName: null,
+      state: 'finished',
+      cached: false,
+      finishedAt: null,
+      jscramblerVersion: '7.1',
+      seed: 'seed',
+      profiling: {mode: 'off', useProfilingData: null},
+      codeHardeningThreshold: 100,
+      total: {size: 300, protectedSize: 600, growth: 2},
+      files: [
+        {
+          filename: 'a.js',
+          size: 100,
+          protectedSize: 300,
+          growth: 3,
+          codeHardening: 'applied'
+        },
+        {
+          filename: 'b.js',
+          size: 200,
+          protectedSize: 300,
+          growth: 1.5,
+          codeHardening: 'skipped'
+        },
+        {
+          filename: 'c.js',
+          size: null,
+          protectedSize: 10,
+          growth: null,
+          codeHardening: null
+        }
+      ],
+      parameters: [{name: 'whitespaceRemoval'}],
+      growthWarning: false,
+      errorMessage: null,
+      deprecations: [],
+      sourcesErrors: [],
+      timings: {total: 10}
+    });
+  });
+
+  it('prefers the details of the protection over its options', () => {
+    const report = createReport({
+      ...protection,
+      details: {
+        application: {name: 'App'},
+        state: 'errored',
+        finishedAt: '2020-01-01T00:00:00.000Z',
+        version: '7.2',
+        randomizationSeed: 'other',
+        codeHardeningThreshold: 250,
+        useProfilingData: false,
+        parameters: '[{"name":"stringConcealing"}]',
+        size: 300,
+        transformedSize: 450,
+        sources: [
+          {filename: 'a.js', size: 200, transformedSize: 300},
+          {filename: 'b.js', size: 0, transformedSize: 0},
+          {filename: 'c.js', size: 300}
+        ]
+      }
+    });
+
+    assert.strictEqual(report.applicationName, 'App');
+    assert.strictEqual(report.state, 'errored');
+    assert.strictEqual(report.finishedAt, '2020-01-01T00:00:00.000Z');
+    assert.strictEqual(report.jscramblerVersion, '7.2');
+    assert.strictEqual(report.seed, 'other');
+    assert.deepStrictEqual(report.profiling, {
+      mode: 'off',
+      useProfilingData: false
+    });
+    assert.deepStrictEqual(report.parameters, [{name: 'stringConcealing'}]);
+    assert.deepStrictEqual(report.total, {
+      size: 300,
+      protectedSize: 450,
+      growth: 1.5
+    });
+    assert.deepStrictEqual(report.files, [
+      {
+        filename: 'a.js',
+        size: 200,
+        protectedSize: 300,
+        growth: 1.5,
+        codeHardening: 'applied'
+      },
+      {
+        filename: 'b.js',
+        size: 0,
+        protectedSize: 0,
+        growth: null,
+        codeHardening: 'applied'
+      },
+      {
+        filename: 'c.js',
+        size: 300,
+        protectedSize: null,
+        growth: null,
+        codeHardening: 'skipped'
+      }
+    ]);
+  });
+
+  it('has no code hardening information without a threshold', () => {
+    const report = createReport({
+      ...protection,
+      options: {},
+      sizes: {
+        total: {size: 1, protectedSize: 1, growth: 1},
+        files: [{filename: 'a.js', size: 1, protectedSize: 1, growth: 1}]
+      }
+    });
+
+    assert.strictEqual(report.codeHardeningThreshold, null);
+    assert.strictEqual(report.files[0].codeHardening, null);
+    assert.deepStrictEqual(report.parameters, []);
+  });
+});
+
+describe('renderHtmlReport', () => {
+  it('escapes every value', () => {
+    const html = renderHtmlReport(
+      createReport({
+        ...protection,
+        protectionId: 'p1"&',
+        options: {params: [{name: 'a', options: {x: '</td>'}}]},
+        sizes: {
+          total: {size: 1, protectedSize: 2, growth: 2},
+          files: [
+            {
+              filename: '<script>alert(1)</script>.js',
+              size: 1,
+              protectedSize: 2,
+              growth: 2
+            }
+          ]
+        },
+        sourcesErrors: [
+          {filename: 'a.js', line: 1, column: 2, message: "it's <b>bad</b>"}
+        ]
+      })
+    );
+
+    assert.ok(!/<script>/.test(html));
+    assert.ok(!/<b>/.test(html));
+    assert.ok(
+      html.includes(
+        '<td>&lt;script&gt;alert(1)&lt;/script&gt;.js</td><td>1</td><td>2</td><td>2.00x</td><td>-</td>'
+      )
+    );
+    assert.ok(html.includes('<title>Jscrambler protection p1&quot;&amp;</title>'));
+    assert.ok(html.includes('<td>{&quot;x&quot;:&quot;&lt;/td&gt;&quot;}</td>'));
+    assert.ok(html.includes('<td>it&#39;s &lt;b&gt;bad&lt;/b&gt;</td>'));
+  });
+
+  it('shows empty sections', () => {
+    const html = renderHtmlReport(createReport({...protection, options: {}}));
+
+    assert.ok(
+      html.includes('<h2>Deprecations</h2>\n<p class="empty">None</p>')
+    );
+    assert.ok(html.includes('<tr><th>Growth</th><td>-</td></tr>'));
+  });
+});
+
+describe('writeReport', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jscrambler-report-'));
+  });
+
+  afterEach(() => {
+    removeSync(dir);
+  });
+
+  it('writes HTML or JSON depending on the extension', () => {
+    const report = createReport(protection);
+
+    writeReport(path.join(dir, 'report.HTML'), report);
+    writeReport(path.join(dir, 'out/report.json'), report);
+
+    assert.ok(
+      /^<!DOCTYPE html>/.test(
+        fs.readFileSync(path.join(dir, 'report.HTML'), 'utf-8')
+      )
+    );
+    assert.deepStrictEqual(
+      JSON.parse(fs.readFileSync(path.join(dir, 'out/report.json'), 'utf-8')),
+      report
+    );
+  });
+});
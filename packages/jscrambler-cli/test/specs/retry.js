@@ -0,0 +1,120 @@
+const assert = require('assert');
+
+const {getRetryDelay, parseRetryAfter} = require('../../src/retry');
+
+const retry = {
+  retries: 3,
+  minDelay: 100,
+  maxDelay: 300,
+  factor: 2,
+  retryNonIdempotent: false
+};
+
+function responseError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = {status, headers};
+  return error;
+}
+
+function networkError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+describe('parseRetryAfter', () => {
+  const realNow = Date.now;
+
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  it('reads delays in seconds or HTTP dates', () => {
+    Date.now = () => Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+    const parse = value => parseRetryAfter({headers: {'retry-after': value}});
+
+    assert.strictEqual(parse('0'), 0);
+    assert.strictEqual(parse('120'), 120000);
+    assert.strictEqual(parse('Wed, 21 Oct 2015 07:28:30 GMT'), 30000);
+    // Dates in the past mean now
+    assert.strictEqual(parse('Wed, 21 Oct 2015 07:00:00 GMT'), 0);
+  });
+
+  it('ignores missing or invalid values', () => {
+    assert.strictEqual(parseRetryAfter(undefined), undefined);
+    assert.strictEqual(parseRetryAfter({headers: {}}), undefined);
+    assert.strictEqual(
+      parseRetryAfter({headers: {'retry-after': 'soon'}}),
+      undefined
+    );
+  });
+});
+
+describe('getRetryDelay', () => {
+  const realRandom = Math.random;
+
+  afterEach(() => {
+    Math.random = realRandom;
+  });
+
+  it('backs off exponentially with jitter, up to `maxDelay`', () => {
+    const error = responseError(503);
+
+    Math.random = () => 0;
+    assert.deepStrictEqual(
+      [0, 1, 2].map(attempt => getRetryDelay(retry, 'GET', error, attempt)),
+      [50, 100, 150]
+    );
+    Math.random = () => 0.999;
+    assert.ok(getRetryDelay(retry, 'GET', error, 2) < 300);
+  });
+
+  it('stops after `retries`', () => {
+    assert.strictEqual(
+      getRetryDelay(retry, 'GET', responseError(503), 3),
+      undefined
+    );
+  });
+
+  [
+    ['GET', responseError(408), true],
+    ['GET', responseError(429), true],
+    ['GET', responseError(502), true],
+    ['GET', responseError(400), false],
+    ['GET', responseError(500), false],
+    ['GET', networkError('ECONNRESET'), true],
+    ['GET', networkError('EPROTO'), false],
+    ['POST', networkError('ECONNREFUSED'), false],
+    ['POST', responseError(503, {'retry-after': '1'}), false]
+  ].forEach(([method, error, retried]) => {
+    it(`${retried ? 'retries' : 'does not retry'} ${method} after "${
+      error.message
+    }"`, () => {
+      assert.strictEqual(
+        getRetryDelay(retry, method, error, 0) !== undefined,
+        retried
+      );
+    });
+  });
+
+  it('retries non-idempotent requests only if safe and asked to', () => {
+    const options = {...retry, retryNonIdempotent: true};
+    const delay = error => getRetryDelay(options, 'POST', error, 0);
+
+    assert.notStrictEqual(delay(networkError('ENOTFOUND')), undefined);
+    assert.strictEqual(delay(networkError('ECONNRESET')), undefined);
+    assert.strictEqual(delay(responseError(429, {'retry-after': '2'})), 2000);
+    assert.strictEqual(delay(responseError(503)), undefined);
+    assert.strictEqual(
+      delay(responseError(502, {'retry-after': '2'})),
+      undefined
+    );
+  });
+
+  it('waits for Retry-After instead of backing off', () => {
+    assert.strictEqual(
+      getRetryDelay(retry, 'GET', responseError(429, {'retry-after': '5'}), 2),
+      5000
+    );
+  });
+});
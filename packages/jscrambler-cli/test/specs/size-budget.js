@@ -0,0 +1,176 @@
+const assert = require('assert');
+
+const {ConfigurationError, SizeBudgetError} = require('../../src/errors');
+const {
+  applySizeBudget,
+  checkSizeBudget,
+  formatSizeBudgetViolations,
+  getProtectionSizes,
+  getSizeBudget
+} = require('../../src/size-budget');
+const {createArchive, createZip} = require('../helpers');
+
+async function getSizes(inputs, protectedFiles, totals = {}) {
+  const download = await createArchive(protectedFiles);
+  return getProtectionSizes({
+    inputs: createZip(inputs),
+    download,
+    ...totals
+  });
+}
+
+describe('getSizeBudget', () => {
+  it('parses ratios and sizes', () => {
+    assert.deepStrictEqual(
+      getSizeBudget({maxGrowth: '2.5', maxFileSize: '1kb', maxFileGrowth: 3}),
+      {warn: false, maxGrowth: 2.5, maxFileSize: 1024, maxFileGrowth: 3}
+    );
+  });
+
+  it('has no budget without options', () => {
+    assert.strictEqual(getSizeBudget(undefined), undefined);
+  });
+
+  it('rejects invalid values', () => {
+    assert.throws(() => getSizeBudget({maxGrowth: 'x'}), ConfigurationError);
+    assert.throws(() => getSizeBudget({maxGrowth: 0}), ConfigurationError);
+    assert.throws(
+      () => getSizeBudget({maxFileSize: '10 parsecs'}),
+      ConfigurationError
+    );
+  });
+});
+
+describe('getProtectionSizes', () => {
+  it('compares each protected file with its input', async () => {
+    const sizes = await getSizes(
+      {'a.js': 'aa', 'b.js': 'bbbb'},
+      {'a.js': 'aaaaaa', 'b.js': 'bbbb', 'c.js': 'c'}
+    );
+
+    assert.deepStrictEqual(sizes.files, [
+      {filename: 'a.js', size: 2, protectedSize: 6, growth: 3},
+      {filename: 'b.js', size: 4, protectedSize: 4, growth: 1},
+      {filename: 'c.js', size: null, protectedSize: 1, growth: null}
+    ]);
+    // Only the files with a known input count for the totals
+    assert.deepStrictEqual(sizes.total, {
+      size: 6,
+      protectedSize: 10,
+      growth: 10 / 6
+    });
+  });
+
+  it('prefers the totals reported by the API', async () => {
+    const sizes = await getSizes(
+      {'a.js': 'aa'},
+      {'a.js': 'aaaa'},
+      {size: 10, transformedSize: 15}
+    );
+
+    assert.deepStrictEqual(sizes.total, {
+      size: 10,
+      protectedSize: 15,
+      growth: 1.5
+    });
+  });
+});
+
+describe('checkSizeBudget', () => {
+  it('reports every exceeded limit', async () => {
+    const sizes = await getSizes(
+      {'a.js': 'aa', 'b.js': 'bbbb'},
+      {'a.js': 'aaaaaa', 'b.js': 'bbbbb'}
+    );
+
+    const violations = checkSizeBudget(
+      {maxGrowth: 1.5, maxFileSize: 5, maxFileGrowth: 2},
+      sizes
+    );
+
+    assert.deepStrictEqual(violations, [
+      {filename: null, limit: 'maxGrowth', value: 11 / 6, max: 1.5},
+      {filename: 'a.js', limit: 'maxFileSize', value: 6, max: 5},
+      {filename: 'a.js', limit: 'maxFileGrowth', value: 3, max: 2}
+    ]);
+  });
+
+  it('passes within the budget', async () => {
+    const sizes = await getSizes({'a.js': 'aa'}, {'a.js': 'aaaa'});
+
+    assert.deepStrictEqual(
+      checkSizeBudget({maxGrowth: 2, maxFileSize: 4, maxFileGrowth: 2}, sizes),
+      []
+    );
+  });
+});
+
+describe('applySizeBudget', () => {
+  let sizes;
+  let warnings;
+  let events;
+  const logger = {warn: message => warnings.push(message)};
+  const emit = (type, data) => events.push({type, ...data});
+
+  beforeEach(async () => {
+    sizes = await getSizes({'a.js': 'aa'}, {'a.js': 'aaaaaa'});
+    sizes.violations = checkSizeBudget({maxFileGrowth: 2}, sizes);
+    warnings = [];
+    events = [];
+  });
+
+  it('fails with the violations', () => {
+    assert.throws(
+      () => applySizeBudget({warn: false}, sizes, 'p1', logger, emit),
+      error => {
+        assert.ok(error instanceof SizeBudgetError);
+        assert.strictEqual(error.code, 'SIZE_BUDGET_EXCEEDED');
+        assert.strictEqual(error.protectionId, 'p1');
+        assert.deepStrictEqual(error.violations, sizes.violations);
+        assert.strictEqual(error.message, formatSizeBudgetViolations(sizes));
+        return true;
+      }
+    );
+    assert.deepStrictEqual(warnings, []);
+  });
+
+  it('only warns with `warn`', () => {
+    applySizeBudget({warn: true}, sizes, 'p1', logger, emit);
+
+    assert.deepStrictEqual(warnings, [formatSizeBudgetViolations(sizes)]);
+    assert.deepStrictEqual(events, [
+      {
+        type: 'warning',
+        protectionId: 'p1',
+        message: warnings[0],
+        sizeBudget: sizes
+      }
+    ]);
+  });
+
+  it('does nothing without violations', () => {
+    sizes.violations = [];
+
+    applySizeBudget({warn: false}, sizes, 'p1', logger, emit);
+    assert.deepStrictEqual(warnings, []);
+    assert.deepStrictEqual(events, []);
+  });
+});
+
+describe('formatSizeBudgetViolations', () => {
+  it('describes the violations and the sizes of the files exceeding them', async () => {
+    const sizes = await getSizes({'a.js': 'aa'}, {'a.js': 'aaaaaa'});
+    sizes.violations = checkSizeBudget({maxFileGrowth: 2, maxGrowth: 2}, sizes);
+
+    assert.strictEqual(
+      formatSizeBudgetViolations(sizes),
+      [
+        'Size budget exceeded:',
+        '- Total: growth of 3.00x exceeds the maximum of 2.00x',
+        '- a.js: growth of 3.00x exceeds the maximum of 2.00x',
+        '  a.js: 2 -> 6 bytes (3.00x)',
+        '  Total: 2 -> 6 bytes (3.00x)'
+      ].join('\n')
+    );
+  });
+});
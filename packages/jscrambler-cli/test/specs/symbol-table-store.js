@@ -0,0 +1,128 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {removeSync} = require('fs-extra');
+
+const {ConfigurationError} = require('../../src/errors');
+const {
+  lookupSymbol,
+  mergeSymbolTables,
+  parseSymbolTable,
+  readStoredSymbolTable,
+  storeSymbolTable
+} = require('../../src/symbol-table-store');
+
+function table(vars, props = {}) {
+  return {vars: {props: vars}, props: {props}};
+}
+
+describe('parseSymbolTable', () => {
+  it('keeps the renamed variables and properties only', () => {
+    assert.deepStrictEqual(
+      parseSymbolTable(
+        Buffer.from('{"vars": {"props": {"$a": "b"}, "cname": 1}, "extra": 1}')
+      ),
+      table({$a: 'b'})
+    );
+  });
+
+  it('fails with invalid tables', () => {
+    assert.throws(
+      () => parseSymbolTable('{', 'table.json'),
+      error => {
+        assert.ok(error instanceof ConfigurationError);
+        assert.ok(/^Invalid table\.json: /.test(error.message));
+        return true;
+      }
+    );
+    assert.throws(() => parseSymbolTable('null'), /not an object/);
+  });
+});
+
+describe('mergeSymbolTables', () => {
+  it('keeps the first transformed name of each symbol', () => {
+    const {table: merged, conflicts} = mergeSymbolTables([
+      table({$a: 'x', $b: 'y'}, {$c: 'z'}),
+      table({$a: 'w', $d: 'v'}, {$c: 'z', $a: 'u'})
+    ]);
+
+    assert.deepStrictEqual(
+      merged,
+      table({$a: 'x', $b: 'y', $d: 'v'}, {$c: 'z', $a: 'u'})
+    );
+    assert.deepStrictEqual(conflicts, [
+      {kind: 'vars', name: 'a', transformed: 'x', ignored: 'w'}
+    ]);
+  });
+
+  it('merges nothing into an empty table', () => {
+    assert.deepStrictEqual(mergeSymbolTables([]), {
+      table: table({}),
+      conflicts: []
+    });
+  });
+});
+
+describe('lookupSymbol', () => {
+  const symbols = table({$a: 'x', $b: 'a'}, {$a: 'y'});
+
+  it('finds symbols by original or transformed name', () => {
+    assert.deepStrictEqual(lookupSymbol(symbols, 'a'), [
+      {kind: 'vars', name: 'a', transformed: 'x'},
+      {kind: 'vars', name: 'b', transformed: 'a'},
+      {kind: 'props', name: 'a', transformed: 'y'}
+    ]);
+    assert.deepStrictEqual(lookupSymbol(symbols, 'y'), [
+      {kind: 'props', name: 'a', transformed: 'y'}
+    ]);
+    assert.deepStrictEqual(lookupSymbol(symbols, 'z'), []);
+  });
+});
+
+describe('symbol table store', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jscrambler-symbols-'));
+  });
+
+  afterEach(() => {
+    removeSync(dir);
+  });
+
+  it('merges the table of each protection into the application table', () => {
+    assert.strictEqual(readStoredSymbolTable(dir, 'app1'), undefined);
+
+    storeSymbolTable(dir, 'app1', 'p1', '{"vars": {"props": {"$a": "x"}}}');
+    const {file, conflicts} = storeSymbolTable(
+      dir,
+      'app1',
+      'p2',
+      '{"vars": {"props": {"$a": "w", "$b": "y"}}}'
+    );
+
+    assert.strictEqual(file, path.join(dir, 'app1/symbolTable.json'));
+    assert.deepStrictEqual(conflicts, [
+      {kind: 'vars', name: 'a', transformed: 'x', ignored: 'w'}
+    ]);
+    assert.deepStrictEqual(
+      readStoredSymbolTable(dir, 'app1'),
+      table({$a: 'x', $b: 'y'})
+    );
+    assert.deepStrictEqual(
+      JSON.parse(
+        fs.readFileSync(path.join(dir, 'app1/protections/p2.json'), 'utf-8')
+      ),
+      table({$a: 'w', $b: 'y'})
+    );
+  });
+
+  it('does not store invalid tables', () => {
+    assert.throws(
+      () => storeSymbolTable(dir, 'app1', 'p1', 'not json'),
+      /Invalid symbol table of p1/
+    );
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+  });
+});
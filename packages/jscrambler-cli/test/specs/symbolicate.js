@@ -0,0 +1,181 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {outputFileSync, removeSync} = require('fs-extra');
+const {SourceMapConsumer, SourceMapGenerator} = require('source-map');
+
+const {ConfigurationError} = require('../../src/errors');
+const {
+  loadSourceMaps,
+  parseStackFrame,
+  symbolicate
+} = require('../../src/symbolicate');
+
+// Line 1, column 99 (0-based) of the protected file comes from `source`
+function createMap(source, line, name) {
+  const generator = new SourceMapGenerator({file: 'main.js'});
+  generator.addMapping({
+    generated: {line: 1, column: 99},
+    original: {line, column: 4},
+    source,
+    name
+  });
+  return generator.toString();
+}
+
+describe('parseStackFrame', () => {
+  const frame = (style, indent, name, file, line, column) => ({
+    style,
+    indent,
+    name,
+    file,
+    line,
+    column
+  });
+
+  [
+    [
+      '    at run (https://example.com/js/main.js:1:100)',
+      frame('v8', '    at ', 'run', 'https://example.com/js/main.js', 1, 100)
+    ],
+    [
+      '    at https://example.com/js/main.js:1:100',
+      frame('v8', '    at ', null, 'https://example.com/js/main.js', 1, 100)
+    ],
+    [
+      '    at Object.<anonymous> (/home/app/main.js:10:5)',
+      frame('v8', '    at ', 'Object.<anonymous>', '/home/app/main.js', 10, 5)
+    ],
+    [
+      '    at new Foo (webpack:///./src/foo.js?abcd:3:7)',
+      frame('v8', '    at ', 'new Foo', 'webpack:///./src/foo.js?abcd', 3, 7)
+    ],
+    [
+      '    at async run (file:///app/main.mjs:4:3)',
+      frame('v8', '    at ', 'async run', 'file:///app/main.mjs', 4, 3)
+    ],
+    [
+      '    at C:\\app\\main.js:1:2',
+      frame('v8', '    at ', null, 'C:\\app\\main.js', 1, 2)
+    ],
+    [
+      'run@https://example.com/js/main.js:1:100',
+      frame('gecko', '', 'run', 'https://example.com/js/main.js', 1, 100)
+    ],
+    [
+      '@https://example.com/js/main.js:1:100',
+      frame('gecko', '', null, 'https://example.com/js/main.js', 1, 100)
+    ],
+    [
+      '  Foo/<.bar@https://example.com/main.js:2:3',
+      frame('gecko', '  ', 'Foo/<.bar', 'https://example.com/main.js', 2, 3)
+    ],
+    [
+      'global code@https://example.com/main.js:1:1',
+      frame('gecko', '', 'global code', 'https://example.com/main.js', 1, 1)
+    ],
+    // Not frames, or frames without a location
+    ['TypeError: x is not a function', undefined],
+    ['    at Array.forEach (<anonymous>)', undefined],
+    ['    at async Promise.all (index 0)', undefined],
+    [
+      '    at eval (eval at <anonymous> (https://example.com/main.js:1:2), <anonymous>:1:1)',
+      undefined
+    ],
+    ['run@debugger eval code:1:1', undefined],
+    ['', undefined]
+  ].forEach(([line, expected]) => {
+    it(`parses ${JSON.stringify(line)}`, () => {
+      assert.deepStrictEqual(parseStackFrame(line), expected);
+    });
+  });
+});
+
+describe('symbolicate', () => {
+  const maps = [
+    {
+      name: 'main.js',
+      consumer: new SourceMapConsumer(createMap('src/other.js', 1, 'other'))
+    },
+    {
+      name: 'js/main.js',
+      consumer: new SourceMapConsumer(createMap('src/app.js', 42, 'start'))
+    }
+  ];
+
+  it('maps the frames through the map of their file', () => {
+    const {trace, frames} = symbolicate(
+      [
+        'TypeError: x is not a function',
+        '    at a (https://example.com/js/main.js?v=1:1:100)',
+        '    at https://example.com/static/main.js:1:100',
+        'a@https://example.com/js/main.js:1:100'
+      ].join('\n'),
+      maps
+    );
+
+    assert.strictEqual(
+      trace,
+      [
+        'TypeError: x is not a function',
+        '    at start (src/app.js:42:5)',
+        '    at other (src/other.js:1:5)',
+        'start@src/app.js:42:5'
+      ].join('\n')
+    );
+    assert.deepStrictEqual(frames[0], {
+      name: 'a',
+      file: 'https://example.com/js/main.js?v=1',
+      line: 1,
+      column: 100,
+      original: {name: 'start', file: 'src/app.js', line: 42, column: 5}
+    });
+    assert.strictEqual(frames.length, 3);
+  });
+
+  it('keeps the frames it can not map', () => {
+    const trace = [
+      '    at a (https://example.com/js/vendor.js:1:100)',
+      '    at a (https://example.com/js/main.js:2:1)',
+      '    at Array.forEach (<anonymous>)'
+    ].join('\r\n');
+
+    const result = symbolicate(trace, maps);
+
+    assert.strictEqual(result.trace, trace.replace(/\r\n/g, '\n'));
+    assert.deepStrictEqual(
+      result.frames.map(({original}) => original),
+      [null, null]
+    );
+  });
+});
+
+describe('loadSourceMaps', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jscrambler-maps-'));
+  });
+
+  afterEach(() => {
+    removeSync(dir);
+  });
+
+  it('loads every map of a directory', () => {
+    outputFileSync(path.join(dir, 'main.js.map'), createMap('a.js', 1));
+    outputFileSync(path.join(dir, 'js/vendor.js.map'), createMap('b.js', 1));
+    outputFileSync(path.join(dir, 'main.js'), '');
+
+    assert.deepStrictEqual(loadSourceMaps(dir).map(({name}) => name), [
+      'js/vendor.js',
+      'main.js'
+    ]);
+  });
+
+  it('fails with invalid maps', () => {
+    outputFileSync(path.join(dir, 'main.js.map'), '{');
+
+    assert.throws(() => loadSourceMaps(dir), ConfigurationError);
+  });
+});
@@ -0,0 +1,172 @@
+const assert = require('assert');
+
+const {ProfilingStateError} = require('../../src/errors');
+const {createLogger} = require('../../src/logger');
+const {createApi, createZip, rejects} = require('../helpers');
+
+const client = {options: {}, logger: createLogger({level: 'silent'})};
+
+function remoteSource(_id, filename, content) {
+  return {_id, filename, extension: 'js', content};
+}
+
+/**
+ * An API whose application has `remoteSources`. The mutations succeed unless
+ * `failures` has an error for `<method> <filename or id>`.
+ */
+function createSyncApi(remoteSources, failures = {}) {
+  const result = key => {
+    if (failures[key]) {
+      return {errors: [{message: failures[key]}]};
+    }
+    return {data: {}};
+  };
+  return createApi({
+    getApplication: () => ({data: {application: {sources: remoteSources}}}),
+    addApplicationSource: (applicationId, {filename}) =>
+      result(`add ${filename}`),
+    updateApplicationSource: ({_id}) => result(`update ${_id}`),
+    removeSourceFromApplication: filename => result(`remove ${filename}`),
+    updateApplicationSources: () => ({})
+  });
+}
+
+// The mutations, without the fragments and with sources as `[name, content]`
+function getMutations(calls) {
+  return calls
+    .filter(([method]) => method !== 'getApplication')
+    .map(([method, ...args]) => {
+      switch (method) {
+        case 'addApplicationSource':
+          return [method, args[1].filename, args[1].content];
+        case 'updateApplicationSource':
+          return [method, args[0]._id, args[0].content];
+        case 'removeSourceFromApplication':
+          return [method, args[0]];
+        default:
+          return [method];
+      }
+    });
+}
+
+describe('syncApplicationSources', () => {
+  const remoteSources = [
+    remoteSource('s1', 'same.js', 'same'),
+    remoteSource('s2', 'changed.js', 'before'),
+    remoteSource('s3', 'removed.js', 'removed')
+  ];
+  const zipped = createZip({
+    'added.js': 'new',
+    'same.js': 'same',
+    'changed.js': 'after'
+  });
+
+  it('adds, then updates, then removes the files that changed', async () => {
+    const {api, calls} = createSyncApi(remoteSources);
+
+    const changes = await api.syncApplicationSources(client, 'app1', {zipped});
+
+    assert.deepStrictEqual(changes, {
+      added: ['added.js'],
+      updated: ['changed.js'],
+      removed: ['removed.js']
+    });
+    assert.deepStrictEqual(getMutations(calls), [
+      ['addApplicationSource', 'added.js', 'new'],
+      ['updateApplicationSource', 's2', 'after'],
+      ['removeSourceFromApplication', 'removed.js']
+    ]);
+    assert.strictEqual(
+      calls.filter(([method]) => method === 'getApplication').length,
+      1
+    );
+  });
+
+  it('matches remote files with a leading ./ or /', async () => {
+    const {api, calls} = createSyncApi([
+      remoteSource('s1', './same.js', 'same'),
+      remoteSource('s2', '/changed.js', 'after'),
+      remoteSource('s3', 'added.js', 'new')
+    ]);
+
+    const changes = await api.syncApplicationSources(client, 'app1', {zipped});
+
+    assert.deepStrictEqual(changes, {added: [], updated: [], removed: []});
+    assert.deepStrictEqual(getMutations(calls), []);
+  });
+
+  it('reverts the applied changes, last first, when a step fails', async () => {
+    const {api, calls} = createSyncApi(
+      remoteSources.concat(remoteSource('s4', 'changed-too.js', 'before')),
+      {'update s4': 'Update failed'}
+    );
+
+    await rejects(
+      api.syncApplicationSources(client, 'app1', {
+        zipped: createZip({
+          'added.js': 'new',
+          'same.js': 'same',
+          'changed.js': 'after',
+          'changed-too.js': 'after'
+        })
+      }),
+      /Update failed/
+    );
+
+    assert.deepStrictEqual(getMutations(calls), [
+      ['addApplicationSource', 'added.js', 'new'],
+      ['updateApplicationSource', 's2', 'after'],
+      ['updateApplicationSource', 's4', 'after'],
+      // Reverts, the removal was never applied
+      ['updateApplicationSource', 's2', 'before'],
+      ['removeSourceFromApplication', 'added.js']
+    ]);
+  });
+
+  it('keeps reverting when a revert fails', async () => {
+    const {api, calls} = createSyncApi(remoteSources, {
+      'remove removed.js': 'Remove failed',
+      'remove added.js': 'Revert failed'
+    });
+
+    await rejects(
+      api.syncApplicationSources(client, 'app1', {zipped}),
+      /Remove failed/
+    );
+
+    assert.deepStrictEqual(getMutations(calls).slice(3), [
+      ['updateApplicationSource', 's2', 'before'],
+      ['removeSourceFromApplication', 'added.js']
+    ]);
+  });
+
+  it('uploads every file instead when there are binary files', async () => {
+    const {api, calls} = createSyncApi(remoteSources);
+    const withBinary = createZip({
+      'a.js': 'a',
+      'image.png': Buffer.from([0x89, 0x50, 0xff, 0x00])
+    });
+
+    const changes = await api.syncApplicationSources(client, 'app1', {
+      zipped: withBinary
+    });
+
+    assert.strictEqual(changes, undefined);
+    assert.deepStrictEqual(calls, [
+      ['updateApplicationSources', 'app1', {zipped: withBinary}]
+    ]);
+  });
+
+  it('does not change the sources of an application with finished profiling', async () => {
+    const {api, calls} = createSyncApi(remoteSources);
+
+    await rejects(
+      api.syncApplicationSources(client, 'app1', {
+        zipped,
+        appProfiling: {data: {state: 'READY'}}
+      }),
+      ProfilingStateError
+    );
+    assert.deepStrictEqual(getMutations(calls), []);
+  });
+});
@@ -0,0 +1,137 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {outputFileSync, removeSync} = require('fs-extra');
+
+const templates = require('../../src/commands/templates').default;
+const {ConfigurationError} = require('../../src/errors');
+const {captureStdout, rejects, stubApi} = require('../helpers');
+
+describe('templates sync', () => {
+  let dir;
+  let stub;
+
+  const remoteTemplates = [
+    {
+      _id: 't1',
+      name: 'same',
+      description: 'Same',
+      parameters: '[{"name":"whitespaceRemoval"}]'
+    },
+    {
+      _id: 't2',
+      name: 'changed',
+      description: null,
+      parameters: '[{"name":"whitespaceRemoval"}]'
+    },
+    {_id: 't3', name: 'remote-only', parameters: '[]'}
+  ];
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jscrambler-templates-'));
+    outputFileSync(
+      path.join(dir, 'same.json'),
+      JSON.stringify({
+        description: 'Same',
+        parameters: {whitespaceRemoval: {}}
+      })
+    );
+    outputFileSync(
+      path.join(dir, 'b.json'),
+      JSON.stringify({
+        name: 'changed',
+        parameters: [{name: 'whitespaceRemoval', options: {x: 1}}]
+      })
+    );
+    outputFileSync(
+      path.join(dir, 'new.json'),
+      JSON.stringify({parameters: [{name: 'stringConcealing'}]})
+    );
+    outputFileSync(path.join(dir, 'notes.txt'), 'Not a template');
+
+    stub = stubApi({
+      getTemplates: () => ({data: {templates: remoteTemplates}}),
+      createTemplate: () => ({data: {createTemplate: {_id: 't4'}}}),
+      updateTemplate: template => ({data: {updateTemplate: template}}),
+      removeTemplate: _id => ({data: {removeTemplate: {_id}}})
+    });
+  });
+
+  afterEach(() => {
+    stub.restore();
+    removeSync(dir);
+  });
+
+  async function sync(options) {
+    const stdout = captureStdout();
+    try {
+      await templates('sync', [dir], {
+        clientSettings: {},
+        json: true,
+        ...options
+      });
+    } finally {
+      stdout.restore();
+    }
+    return JSON.parse(stdout.output());
+  }
+
+  it('creates the missing templates and updates the changed ones', async () => {
+    const output = await sync({});
+
+    assert.deepStrictEqual(output, {
+      dryRun: false,
+      changes: [
+        {action: 'update', name: 'changed', _id: 't2'},
+        {action: 'create', name: 'new', _id: 't4'},
+        {action: 'unchanged', name: 'same', _id: 't1'}
+      ]
+    });
+    assert.deepStrictEqual(stub.calls.map(([name]) => name), [
+      'getTemplates',
+      'updateTemplate',
+      'createTemplate'
+    ]);
+    assert.strictEqual(stub.calls[1][1]._id, 't2');
+  });
+
+  it('only removes the templates missing locally with `prune`', async () => {
+    const output = await sync({prune: true});
+
+    assert.deepStrictEqual(output.changes.pop(), {
+      action: 'remove',
+      name: 'remote-only',
+      _id: 't3'
+    });
+    assert.deepStrictEqual(
+      stub.calls.filter(([name]) => name === 'removeTemplate'),
+      [['removeTemplate', 't3']]
+    );
+  });
+
+  it('changes nothing with `dryRun`', async () => {
+    const output = await sync({prune: true, dryRun: true});
+
+    assert.deepStrictEqual(output, {
+      dryRun: true,
+      changes: [
+        {action: 'update', name: 'changed', _id: 't2'},
+        {action: 'create', name: 'new'},
+        {action: 'unchanged', name: 'same', _id: 't1'},
+        {action: 'remove', name: 'remote-only', _id: 't3'}
+      ]
+    });
+    assert.deepStrictEqual(stub.calls.map(([name]) => name), ['getTemplates']);
+  });
+
+  it('fails before any request with duplicated names', async () => {
+    outputFileSync(
+      path.join(dir, 'c.json'),
+      JSON.stringify({name: 'new', parameters: []})
+    );
+
+    await rejects(sync({prune: true}), ConfigurationError);
+    assert.deepStrictEqual(stub.calls, []);
+  });
+});
@@ -0,0 +1,215 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {removeSync} = require('fs-extra');
+
+const {ConfigurationError, InvalidArchiveError} = require('../../src/errors');
+const {createLogger} = require('../../src/logger');
+const {generateArchive, readArchive, unzip, zip} = require('../../src/zip');
+const {createArchive, rejects} = require('../helpers');
+
+// Every file of a directory, relative to it
+function listFiles(dir, prefix = '') {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).reduce((files, name) => {
+    const file = path.join(dir, name);
+    return fs.statSync(file).isDirectory()
+      ? files.concat(listFiles(file, `${prefix}${name}/`))
+      : files.concat(`${prefix}${name}`);
+  }, []);
+}
+
+describe('zip', () => {
+  const logger = createLogger({level: 'silent'});
+  let cwd;
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'jscrambler-zip-'));
+    fs.mkdirSync(path.join(cwd, 'lib'));
+    fs.mkdirSync(path.join(cwd, '.git'));
+    fs.writeFileSync(path.join(cwd, 'lib/b.js'), 'b');
+    fs.writeFileSync(path.join(cwd, 'a.js'), 'a');
+    fs.writeFileSync(path.join(cwd, 'data.bin'), Buffer.from([0xff, 0, 0xfe]));
+    fs.writeFileSync(path.join(cwd, '.git/config'), '');
+  });
+
+  afterEach(() => {
+    removeSync(cwd);
+  });
+
+  it('zips files relative to `cwd`, skipping version control files', async () => {
+    const zipped = await zip(
+      ['lib/b.js', 'a.js', 'data.bin', '.git/config'],
+      cwd,
+      logger
+    );
+
+    assert.deepStrictEqual(Object.keys(zipped.files), [
+      'a.js',
+      'data.bin',
+      'lib/b.js'
+    ]);
+    assert.deepStrictEqual(
+      await zipped.files['data.bin'].async('nodebuffer'),
+      Buffer.from([0xff, 0, 0xfe])
+    );
+  });
+
+  it('keeps the entries readable more than once', async () => {
+    const zipped = await zip(['a.js'], cwd, logger);
+
+    assert.strictEqual(await zipped.files['a.js'].async('string'), 'a');
+    assert.strictEqual(await zipped.files['a.js'].async('string'), 'a');
+  });
+
+  it('produces the same archive regardless of the order of the files', async () => {
+    const first = await zip(['a.js', 'lib/b.js'], cwd, logger);
+    // Entries get a fixed date, not the current one
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    const second = await zip(['lib/b.js', 'a.js'], cwd, logger);
+
+    assert.ok(
+      (await generateArchive(first)).equals(await generateArchive(second))
+    );
+  });
+
+  it('zips vinyl files', async () => {
+    const zipped = await zip(
+      [
+        {
+          cwd,
+          path: path.join(cwd, 'lib/c.js'),
+          contents: Buffer.from('c')
+        }
+      ],
+      undefined,
+      logger
+    );
+
+    assert.strictEqual(await zipped.files['lib/c.js'].async('string'), 'c');
+  });
+
+  it('fails without any file', async () => {
+    await rejects(zip(['lib'], cwd, logger), ConfigurationError);
+  });
+
+  it('fails if a file can not be read', async () => {
+    await rejects(zip(['missing.js'], cwd, logger), /ENOENT/);
+  });
+});
+
+describe('unzip', () => {
+  let dest;
+
+  beforeEach(() => {
+    dest = fs.mkdtempSync(path.join(os.tmpdir(), 'jscrambler-zip-'));
+  });
+
+  afterEach(() => {
+    removeSync(dest);
+  });
+
+  it('extracts files sorted by name', async () => {
+    const archive = await createArchive({'b.js': 'b', 'a/c.js': 'c'});
+
+    const files = await unzip(archive, `${dest}/`);
+
+    assert.deepStrictEqual(files, [
+      path.join(dest, 'a/c.js'),
+      path.join(dest, 'b.js')
+    ]);
+    assert.strictEqual(fs.readFileSync(path.join(dest, 'b.js'), 'utf-8'), 'b');
+  });
+
+  it('rejects entries outside of the destination and extracts nothing', async () => {
+    const archive = await createArchive({
+      'a.js': 'a',
+      '../evil.js': 'evil'
+    });
+
+    await rejects(unzip(archive, `${dest}/out/`), error => {
+      assert.ok(error instanceof InvalidArchiveError);
+      assert.ok(
+        /"\.\.\/evil\.js" is outside of the destination/.test(error.message)
+      );
+      return true;
+    });
+    assert.deepStrictEqual(listFiles(dest), []);
+    assert.ok(!fs.existsSync(path.join(dest, 'evil.js')));
+  });
+
+  it('extracts absolute entries inside the destination', async () => {
+    const archive = await createArchive({
+      '/abs.js': 'abs',
+      'C:\\win.js': 'win'
+    });
+
+    await unzip(archive, `${dest}/`);
+
+    assert.deepStrictEqual(listFiles(dest).sort(), ['abs.js', 'win.js']);
+  });
+
+  it('rejects symbolic links', async () => {
+    const archive = await createArchive(
+      {link: '/etc/passwd'},
+      {unixPermissions: 0o120777}
+    );
+
+    await rejects(
+      unzip(archive, `${dest}/`),
+      /entry "link" is a symbolic link/
+    );
+    assert.deepStrictEqual(listFiles(dest), []);
+  });
+
+  it('rejects archives with a CRC mismatch', async () => {
+    const archive = await createArchive({'a.js': 'original content'});
+    // Entries are stored uncompressed, change the content in place
+    const offset = archive.indexOf('original content');
+    archive.write('tampered', offset);
+
+    await rejects(unzip(archive, `${dest}/`), InvalidArchiveError);
+    assert.deepStrictEqual(listFiles(dest), []);
+  });
+
+  it('rejects data that is not an archive', async () => {
+    await rejects(
+      unzip(Buffer.from('not a zip'), `${dest}/`),
+      InvalidArchiveError
+    );
+  });
+
+  it('hands the files to a callback', async () => {
+    const archive = await createArchive({'b.js': 'b', 'a.js': 'a'});
+    const received = [];
+
+    const files = await unzip(archive, (buffer, name) =>
+      received.push([name, buffer.toString()])
+    );
+
+    assert.deepStrictEqual(files, ['a.js', 'b.js']);
+    assert.deepStrictEqual(received, [['a.js', 'a'], ['b.js', 'b']]);
+  });
+});
+
+describe('readArchive', () => {
+  it('reads the files of an archive sorted by name', async () => {
+    const archive = await createArchive({'b.js': 'b', 'a.js': 'a'});
+
+    const files = await readArchive(archive);
+
+    assert.deepStrictEqual(
+      files.map(({name, content}) => [name, content.toString()]),
+      [['a.js', 'a'], ['b.js', 'b']]
+    );
+  });
+
+  it('validates the archive', async () => {
+    const archive = await createArchive({'../evil.js': 'evil'});
+
+    await rejects(readArchive(archive), InvalidArchiveError);
+  });
+});
@@ -13,6 +13,9 @@ class JscramblerPlugin {
       clientId: 2
     });
 
+    // `options.onEvent` is replaced on every compilation, so keep the user's one
+    this.onEvent = options.onEvent;
+
     this.instrument = instrument;
     if (typeof options.instrument === 'boolean') {
       this.instrument = options.instrument;
@@ -68,7 +71,15 @@ class JscramblerPlugin {
             client,
             Object.assign(this.options, {
               sources,
-              stream: false
+              stream: false,
+              onEvent: event => {
+                if (event.type === 'warning') {
+                  compilation.warnings.push(new Error(event.message));
+                }
+                if (this.onEvent) {
+                  this.onEvent(event);
+                }
+              }
             }),
             res => {
               this.protectionResult = res;
@@ -92,7 +103,9 @@ class JscramblerPlugin {
       const sourceFilename = result.filename
         .slice(0, -4)
         .replace('jscramblerSourceMaps/', '');
-      compilation.warnings.push(`Processing sourcemap: ${sourceFilename}`);
+      compilation.warnings.push(
+        new Error(`Processing sourcemap: ${sourceFilename}`)
+      );
 
       const sm = JSON.parse(result.content);
 